@@ -0,0 +1,176 @@
+import { calculateAllMetrics } from './metrics';
+import { getMarginCallThreshold } from './stress';
+import { toBaseCurrency } from './fx';
+
+export const ALERT_RULES_STORAGE_KEY = 'ibkr-margin-tracker.alert-rules';
+
+const byGroup = (holdings, key) => holdings.reduce((acc, h) => {
+  const group = key(h);
+  acc[group] = (acc[group] || 0) + (h.marketValue || 0);
+  return acc;
+}, {});
+
+/**
+ * Metrics that alert rules can watch. Each reads one value per subject: scalar metrics have a
+ * single reading with a null subject, concentration metrics one per sector or ticker, so a rule
+ * on them fires for any sector or ticker over the threshold.
+ */
+export const ALERT_METRICS = {
+  leverage: {
+    label: 'Leverage',
+    unit: 'x',
+    read: ({ metrics }) => [{ subject: null, value: parseFloat(metrics.leverage) }],
+  },
+  marginHealth: {
+    label: 'Margin health',
+    unit: '%',
+    read: ({ metrics }) => [{ subject: null, value: parseFloat(metrics.marginHealth) }],
+  },
+  excessLiquidity: {
+    label: 'Excess liquidity',
+    unit: '$',
+    read: ({ metrics }) => [{ subject: null, value: parseFloat(metrics.excessLiquidity) }],
+  },
+  netLiquidationValue: {
+    label: 'Net liquidation value',
+    unit: '$',
+    read: ({ metrics }) => [{ subject: null, value: parseFloat(metrics.netLiquidationValue) }],
+  },
+  buyingPower: {
+    label: 'Buying power',
+    unit: '$',
+    read: ({ metrics }) => [{ subject: null, value: parseFloat(metrics.buyingPower) }],
+  },
+  marginCallDistance: {
+    label: 'Margin-call distance',
+    unit: '%',
+    // No loan means no margin call, so there is nothing to read.
+    read: ({ marginCall }) => (marginCall.dropPercentage === 'N/A' ? [] : [{ subject: null, value: parseFloat(marginCall.dropPercentage) }]),
+  },
+  sectorConcentration: {
+    label: 'Sector concentration (% of market value)',
+    unit: '%',
+    read: ({ portfolio }) => {
+      const total = portfolio.holdings.reduce((acc, h) => acc + (h.marketValue || 0), 0);
+      if (total <= 0) return [];
+      return Object.entries(byGroup(portfolio.holdings, h => h.sector || 'Uncategorized'))
+        .map(([sector, value]) => ({ subject: sector, value: (value / total) * 100 }));
+    },
+  },
+  tickerConcentration: {
+    label: 'Ticker concentration (% of NLV)',
+    unit: '%',
+    // Option legs count toward their underlying.
+    read: ({ portfolio, metrics }) => {
+      const nlv = parseFloat(metrics.netLiquidationValue);
+      if (nlv <= 0) return [];
+      return Object.entries(byGroup(portfolio.holdings, h => h.underlying || h.ticker))
+        .map(([ticker, value]) => ({ subject: ticker, value: (value / nlv) * 100 }));
+    },
+  },
+};
+
+export const ALERT_OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+/** Starter rules; margin health below 25% replaces the dashboard's fixed red/green cutoff. */
+export const DEFAULT_ALERT_RULES = [
+  { id: 'margin-health', metric: 'marginHealth', operator: '<', threshold: 25, enabled: true },
+  { id: 'leverage', metric: 'leverage', operator: '>', threshold: 2, enabled: true },
+  { id: 'excess-liquidity', metric: 'excessLiquidity', operator: '<', threshold: 10000, enabled: true },
+  { id: 'sector-concentration', metric: 'sectorConcentration', operator: '>', threshold: 35, enabled: true },
+  { id: 'ticker-concentration', metric: 'tickerConcentration', operator: '>', threshold: 20, enabled: true },
+  { id: 'margin-call-distance', metric: 'marginCallDistance', operator: '<', threshold: 15, enabled: true },
+];
+
+function formatValue(value, unit) {
+  if (unit === '$') return `$${value.toFixed(2)}`;
+  return `${value.toFixed(2)}${unit}`;
+}
+
+/**
+ * Evaluates alert rules against a portfolio.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {Array<object>} rules - Rules: { id, metric, operator, threshold, enabled }.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @returns {Array<object>} Firing alerts: { key, ruleId, metric, subject, value, operator, threshold, message }.
+ */
+export function evaluateAlerts(portfolio, rules, marginRules = null) {
+  if (!portfolio || !portfolio.holdings || !rules) return [];
+  const base = toBaseCurrency(portfolio);
+  const context = {
+    portfolio: base,
+    metrics: calculateAllMetrics(base, 0.5, 0.25, marginRules),
+    marginCall: getMarginCallThreshold(base, 0.25, marginRules),
+  };
+
+  return rules
+    .filter(rule => rule.enabled !== false && ALERT_METRICS[rule.metric] && ALERT_OPERATORS[rule.operator])
+    .flatMap(rule => {
+      const { label, unit, read } = ALERT_METRICS[rule.metric];
+      return read(context)
+        .filter(({ value }) => !isNaN(value) && ALERT_OPERATORS[rule.operator](value, rule.threshold))
+        .map(({ subject, value }) => ({
+          key: subject === null ? rule.id : `${rule.id}:${subject}`,
+          ruleId: rule.id,
+          metric: rule.metric,
+          subject,
+          value,
+          operator: rule.operator,
+          threshold: rule.threshold,
+          message: `${subject === null ? '' : `${subject}: `}${label} is ${formatValue(value, unit)} (${rule.operator} ${formatValue(rule.threshold, unit)}).`,
+        }));
+    });
+}
+
+/**
+ * Reads the saved alert rules. Missing or corrupt data gives the default rules.
+ *
+ * @param {Storage} [storage=window.localStorage] - Where the rules are kept.
+ * @returns {Array<object>} The rules.
+ */
+export function loadAlertRules(storage = window.localStorage) {
+  try {
+    const rules = JSON.parse(storage.getItem(ALERT_RULES_STORAGE_KEY) || 'null');
+    return Array.isArray(rules) ? rules.filter(r => r && ALERT_METRICS[r.metric] && ALERT_OPERATORS[r.operator]) : DEFAULT_ALERT_RULES;
+  } catch (error) {
+    return DEFAULT_ALERT_RULES;
+  }
+}
+
+/**
+ * Writes the alert rules to storage.
+ *
+ * @param {Array<object>} rules - The rules.
+ * @param {Storage} [storage=window.localStorage] - Where the rules are kept.
+ * @returns {boolean} False when storage is full or unavailable.
+ */
+export function saveAlertRules(rules, storage = window.localStorage) {
+  try {
+    storage.setItem(ALERT_RULES_STORAGE_KEY, JSON.stringify(rules));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sends a browser notification for each alert that was not already firing. Nothing is sent
+ * unless notification permission has been granted.
+ *
+ * @param {Array<object>} alerts - Alerts now firing.
+ * @param {Array<string>} previousKeys - Keys of the alerts firing before.
+ * @param {Function} [NotificationApi=window.Notification] - The Notification constructor.
+ * @returns {Array<object>} The alerts that were notified.
+ */
+export function notifyNewAlerts(alerts, previousKeys, NotificationApi = window.Notification) {
+  if (!NotificationApi || NotificationApi.permission !== 'granted') return [];
+  const fresh = alerts.filter(alert => !previousKeys.includes(alert.key));
+  fresh.forEach(alert => new NotificationApi('IBKR Margin Tracker alert', { body: alert.message, tag: alert.key }));
+  return fresh;
+}
@@ -0,0 +1,72 @@
+import {
+  ALERT_RULES_STORAGE_KEY,
+  DEFAULT_ALERT_RULES,
+  evaluateAlerts,
+  loadAlertRules,
+  saveAlertRules,
+  notifyNewAlerts,
+} from '../utils/alerts';
+
+describe('alert rules', () => {
+  const portfolio = {
+    cash: 0,
+    marginUsed: 40000,
+    holdings: [
+      { ticker: 'AAPL', marketValue: 30000, sector: 'Technology' },
+      { ticker: 'AAPL 2026-12-18 170P', underlying: 'AAPL', marketValue: -1000, sector: 'Technology' },
+      { ticker: 'JPM', marketValue: 20000, sector: 'Financials' },
+      { ticker: 'XOM', marketValue: 30000, sector: 'Energy' },
+    ],
+  };
+  const rule = (metric, operator, threshold) => ({ id: metric, metric, operator, threshold, enabled: true });
+
+  it('fires scalar rules on account metrics', () => {
+    // NLV 39000, market value 79000
+    const alerts = evaluateAlerts(portfolio, [rule('leverage', '>', 2), rule('excessLiquidity', '<', 25000), rule('netLiquidationValue', '<', 10000)]);
+    expect(alerts.map(a => a.key)).toEqual(['leverage', 'excessLiquidity']);
+    expect(alerts[0].value).toBeCloseTo(79000 / 39000);
+    expect(alerts[1].message).toBe('Excess liquidity is $18750.00 (< $25000.00).');
+  });
+
+  it('fires concentration rules for every sector or ticker over the threshold', () => {
+    const alerts = evaluateAlerts(portfolio, [rule('sectorConcentration', '>', 35), rule('tickerConcentration', '>=', 74)]);
+    expect(alerts.map(a => a.key)).toEqual(['sectorConcentration:Technology', 'sectorConcentration:Energy', 'tickerConcentration:AAPL', 'tickerConcentration:XOM']);
+    expect(alerts[2].value).toBeCloseTo((29000 / 39000) * 100);
+    expect(alerts[0].message).toMatch(/^Technology: Sector concentration \(% of market value\) is 36\.71%/);
+  });
+
+  it('reads margin-call distance only when there is a loan', () => {
+    expect(evaluateAlerts(portfolio, [rule('marginCallDistance', '<', 50)])[0].value).toBeCloseTo(31.91, 1);
+    expect(evaluateAlerts({ ...portfolio, marginUsed: 0 }, [rule('marginCallDistance', '<', 50)])).toEqual([]);
+  });
+
+  it('skips disabled and unknown rules', () => {
+    expect(evaluateAlerts(portfolio, [{ ...rule('leverage', '>', 0), enabled: false }, rule('vega', '>', 0), rule('leverage', '!=', 0)])).toEqual([]);
+    expect(evaluateAlerts(null, DEFAULT_ALERT_RULES)).toEqual([]);
+  });
+
+  it('saves and loads rules', () => {
+    const storage = { data: {}, getItem(key) { return this.data[key] ?? null; }, setItem(key, value) { this.data[key] = value; } };
+    expect(loadAlertRules(storage)).toBe(DEFAULT_ALERT_RULES);
+    expect(saveAlertRules([rule('leverage', '>', 3), rule('unknown', '>', 1)], storage)).toBe(true);
+    expect(loadAlertRules(storage)).toEqual([rule('leverage', '>', 3)]);
+    storage.setItem(ALERT_RULES_STORAGE_KEY, '{broken');
+    expect(loadAlertRules(storage)).toBe(DEFAULT_ALERT_RULES);
+    expect(saveAlertRules([], { setItem: () => { throw new Error('SecurityError'); } })).toBe(false);
+  });
+
+  it('notifies only newly firing alerts once permission is granted', () => {
+    const sent = [];
+    function FakeNotification(title, options) {
+      sent.push(options.body);
+    }
+    FakeNotification.permission = 'granted';
+    const alerts = evaluateAlerts(portfolio, [rule('leverage', '>', 2), rule('excessLiquidity', '<', 25000)]);
+    expect(notifyNewAlerts(alerts, ['leverage'], FakeNotification)).toHaveLength(1);
+    expect(sent).toEqual(['Excess liquidity is $18750.00 (< $25000.00).']);
+
+    FakeNotification.permission = 'denied';
+    expect(notifyNewAlerts(alerts, [], FakeNotification)).toEqual([]);
+    expect(notifyNewAlerts(alerts, [], undefined)).toEqual([]);
+  });
+});
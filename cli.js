@@ -0,0 +1,277 @@
+import { importPortfolioFile } from './importer';
+import { DEFAULT_MARGIN_RULES } from './margin-rules';
+import { DEFAULT_PORTFOLIO_MARGIN_RULES } from './portfolio-margin';
+import { DEFAULT_SCENARIOS, importScenarioLibrary } from './scenarios';
+import { ALERT_METRICS, ALERT_OPERATORS, DEFAULT_ALERT_RULES, evaluateAlerts } from './alerts';
+import { parsePriceHistoryCsv } from './risk';
+import { buildRiskReport, formatMoney, formatPercent } from './report';
+
+/** Process exit codes: 0 when every limit holds, 1 when a limit is breached, 2 on bad input. */
+export const EXIT_CODES = { ok: 0, breached: 1, error: 2 };
+
+const MARGIN_RULES_BY_MODE = {
+  regT: DEFAULT_MARGIN_RULES,
+  portfolio: DEFAULT_PORTFOLIO_MARGIN_RULES,
+};
+
+const VALUE_OPTIONS = ['--format', '--margin', '--scenarios', '--prices', '--limits', '--limit', '--confidence'];
+
+export const CLI_USAGE = `Usage: npm run analyze -- <account-snapshot.json | portfolio.csv> [options]
+
+Runs metrics, stress scenarios, VaR and the margin-call threshold on a portfolio file and
+checks it against risk limits. Exits 1 when a limit is breached and 2 on bad input.
+
+Options:
+  --format table|json     Output format (default: table)
+  --margin regT|portfolio Margin mode (default: regT)
+  --scenarios <file>      Scenario library JSON, as exported from the dashboard
+  --prices <file>         Daily closes CSV (date,ticker,close or one column per ticker) for
+                          historical, parametric and Monte Carlo VaR
+  --limits <file>         Risk limits JSON: a list of alert rules, as saved by the dashboard
+  --limit <rule>          A single limit such as "leverage>2" or "marginHealth<25"; repeatable
+  --confidence <level>    VaR confidence level (default: 0.95)
+  --help                  Show this help
+
+Without --limits or --limit the dashboard's default alert rules are used.
+Limit metrics: ${Object.keys(ALERT_METRICS).join(', ')}.`;
+
+/**
+ * Parses a limit written as `<metric><operator><threshold>`, e.g. `leverage>2`.
+ *
+ * @param {string} text - The limit.
+ * @returns {object} An alert rule { id, metric, operator, threshold, enabled }, or { error }.
+ */
+export function parseLimit(text) {
+  const match = /^\s*(\w+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text || '');
+  if (!match) return { error: `Limit '${text}' must look like leverage>2.` };
+  const [, metric, operator, threshold] = match;
+  if (!ALERT_METRICS[metric]) return { error: `Unknown limit metric '${metric}'.` };
+  return { id: `cli-${metric}${operator}${threshold}`, metric, operator, threshold: parseFloat(threshold), enabled: true };
+}
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {object} { file, format, marginMode, scenariosFile, pricesFile, limitsFile, limits, confidenceLevel, help }, or { error }.
+ */
+export function parseCliArgs(argv) {
+  const options = { file: null, format: 'table', marginMode: 'regT', scenariosFile: null, pricesFile: null, limitsFile: null, limits: [], confidenceLevel: 0.95, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.includes(arg) && (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))) {
+      return { error: `Option '${arg}' needs a value.` };
+    }
+    const value = () => {
+      i += 1;
+      return argv[i];
+    };
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--format') {
+      options.format = value();
+      if (!['table', 'json'].includes(options.format)) return { error: `Unknown format '${options.format}'; use table or json.` };
+    } else if (arg === '--margin') {
+      options.marginMode = value();
+      if (!MARGIN_RULES_BY_MODE[options.marginMode]) return { error: `Unknown margin mode '${options.marginMode}'; use regT or portfolio.` };
+    } else if (arg === '--scenarios') {
+      options.scenariosFile = value();
+    } else if (arg === '--prices') {
+      options.pricesFile = value();
+    } else if (arg === '--limits') {
+      options.limitsFile = value();
+    } else if (arg === '--limit') {
+      const rule = parseLimit(value());
+      if (rule.error) return { error: rule.error };
+      options.limits.push(rule);
+    } else if (arg === '--confidence') {
+      options.confidenceLevel = parseFloat(value());
+      if (!(options.confidenceLevel > 0 && options.confidenceLevel < 1)) return { error: 'Confidence level must be between 0 and 1.' };
+    } else if (arg.startsWith('--')) {
+      return { error: `Unknown option '${arg}'.` };
+    } else if (options.file) {
+      return { error: `Only one portfolio file can be analyzed, got '${options.file}' and '${arg}'.` };
+    } else {
+      options.file = arg;
+    }
+  }
+  if (!options.help && !options.file) return { error: 'No portfolio file given.' };
+  return options;
+}
+
+/**
+ * Parses a limits file: a list of alert rules, or { rules } holding one.
+ *
+ * @param {string} text - The file contents.
+ * @returns {object} { rules } or { error }.
+ */
+export function parseLimitsFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { error: `Limits file is not valid JSON: ${error.message}` };
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+  if (!Array.isArray(list)) return { error: "Limits file must be a list of rules or contain a 'rules' list." };
+  const invalid = list.findIndex(r => !r || !ALERT_METRICS[r.metric] || !ALERT_OPERATORS[r.operator] || typeof r.threshold !== 'number');
+  if (invalid !== -1) return { error: `Limit ${invalid + 1} needs a known metric, an operator and a numeric threshold.` };
+  return { rules: list.map((r, index) => ({ id: r.id || `limit-${index + 1}`, enabled: r.enabled !== false, ...r })) };
+}
+
+/**
+ * Analyzes a portfolio and checks it against risk limits.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} [options] - Analysis options.
+ * @param {string} [options.marginMode='regT'] - regT or portfolio.
+ * @param {Array<object>} [options.scenarios=DEFAULT_SCENARIOS] - Scenarios to run.
+ * @param {Array<object>} [options.limits=DEFAULT_ALERT_RULES] - Alert rules used as limits.
+ * @param {number} [options.confidenceLevel=0.95] - VaR confidence level.
+ * @param {object|null} [options.priceHistory=null] - Daily closes from parsePriceHistoryCsv.
+ * @param {string} [options.generatedAt] - Report timestamp.
+ * @returns {object} { report, breaches } with the report from buildRiskReport and the firing alerts.
+ */
+export function analyzeSnapshot(portfolio, {
+  marginMode = 'regT',
+  scenarios = DEFAULT_SCENARIOS,
+  limits = DEFAULT_ALERT_RULES,
+  confidenceLevel = 0.95,
+  priceHistory = null,
+  generatedAt = new Date().toISOString(),
+} = {}) {
+  const marginRules = MARGIN_RULES_BY_MODE[marginMode];
+  return {
+    report: buildRiskReport(portfolio, { marginRules, scenarios, confidenceLevel, priceHistory, generatedAt }),
+    breaches: evaluateAlerts(portfolio, limits, marginRules),
+  };
+}
+
+// Plain-text table; every column but the first is right-aligned.
+function textTable(headers, rows) {
+  const widths = headers.map((h, col) => Math.max(h.length, ...rows.map(row => String(row[col]).length)));
+  const line = row => row.map((cell, col) => (col === 0 ? String(cell).padEnd(widths[col]) : String(cell).padStart(widths[col]))).join('  ');
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Formats an analysis as plain-text tables for the terminal.
+ *
+ * @param {object} analysis - The result of analyzeSnapshot.
+ * @param {string} [source=''] - The file name shown in the heading.
+ * @returns {string} The text.
+ */
+export function formatAnalysisTable({ report, breaches }, source = '') {
+  const { metrics, marginCall, valueAtRisk, riskMetrics, stress } = report;
+  const money = value => formatMoney(value, report.baseCurrency);
+  return [
+    `Margin risk for ${source || 'portfolio'} (${report.baseCurrency}) · ${report.generatedAt} · input hash ${report.inputHash}`,
+    '',
+    textTable(['Metric', 'Value'], [
+      ['Net liquidation value', money(metrics.netLiquidationValue)],
+      ['Market value', money(metrics.marketValue)],
+      ['Maintenance margin', money(metrics.maintenanceMargin)],
+      ['Excess liquidity', money(metrics.excessLiquidity)],
+      ['Buying power', money(metrics.buyingPower)],
+      ['Leverage', `${metrics.leverage}x`],
+      ['Margin health', formatPercent(metrics.marginHealth)],
+      ['Market drop to margin call', marginCall.dropPercentage === 'N/A' ? 'N/A (no margin loan)' : formatPercent(marginCall.dropPercentage)],
+      [`VaR at flat 2% volatility (${valueAtRisk.confidenceLevel}, ${valueAtRisk.timeHorizon})`, money(valueAtRisk.VaR)],
+    ]),
+    '',
+    ...(riskMetrics ? [
+      textTable(['VaR from price history', 'VaR', 'Expected shortfall'], [
+        ['Historical', riskMetrics.historical], ['Parametric', riskMetrics.parametric], ['Monte Carlo', riskMetrics.monteCarlo],
+      ].map(([label, estimate]) => [label, money(estimate.VaR), money(estimate.expectedShortfall)])),
+      '',
+      textTable(['Ticker', 'Marginal VaR', 'Component VaR', 'Share'], riskMetrics.components.map(c => [
+        c.ticker, formatPercent(c.marginalVaR * 100), money(c.componentVaR), formatPercent(c.contribution),
+      ])),
+      `${riskMetrics.observations} daily returns.${riskMetrics.missingTickers.length > 0 ? ` No history for: ${riskMetrics.missingTickers.join(', ')}.` : ''}`,
+      '',
+    ] : []),
+    textTable(['Market drop', 'NLV', 'Excess liquidity', 'Margin health'], stress.marketDrops.map(d => [
+      `-${(d.drop * 100).toFixed(0)}%`, money(d.netLiquidationValue), money(d.excessLiquidity), formatPercent(d.marginHealth),
+    ])),
+    '',
+    textTable(['Scenario', 'NLV change', 'Excess liquidity', 'Margin health', 'Maintenance'], stress.scenarios.map(s => [
+      s.name, money(s.nlvChange), money(s.excessLiquidity), formatPercent(s.marginHealth), s.breachesMaintenance ? 'BREACH' : 'OK',
+    ])),
+    '',
+    report.concentration,
+    '',
+    breaches.length === 0
+      ? 'All risk limits hold.'
+      : [`${breaches.length} risk limit(s) breached:`, ...breaches.map(b => `  - ${b.message}`)].join('\n'),
+  ].join('\n');
+}
+
+/**
+ * Runs the CLI. File access is passed in so the CLI can be run without touching the disk.
+ *
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @param {object} io - Input and output.
+ * @param {Function} io.readFile - Reads a file path into a string; may throw.
+ * @param {string} [io.generatedAt] - Report timestamp.
+ * @returns {object} { exitCode, stdout, stderr }.
+ */
+export function runCli(argv, { readFile, generatedAt = new Date().toISOString() }) {
+  const fail = message => ({ exitCode: EXIT_CODES.error, stdout: '', stderr: `${message}\n\n${CLI_USAGE}\n` });
+  const options = parseCliArgs(argv);
+  if (options.error) return fail(options.error);
+  if (options.help) return { exitCode: EXIT_CODES.ok, stdout: `${CLI_USAGE}\n`, stderr: '' };
+
+  const read = (path, label) => {
+    try {
+      return { text: readFile(path) };
+    } catch (error) {
+      return { error: `Could not read ${label} '${path}': ${error.message}` };
+    }
+  };
+
+  const portfolioFile = read(options.file, 'portfolio file');
+  if (portfolioFile.error) return fail(portfolioFile.error);
+  const imported = importPortfolioFile(portfolioFile.text);
+  if (imported.error || !imported.portfolio) return fail(imported.error || `Nothing could be imported from '${options.file}'.`);
+
+  let scenarios = DEFAULT_SCENARIOS;
+  if (options.scenariosFile) {
+    const file = read(options.scenariosFile, 'scenario library');
+    if (file.error) return fail(file.error);
+    const library = importScenarioLibrary(file.text);
+    if (library.errors.length > 0) return fail(library.errors.join('\n'));
+    scenarios = library.scenarios;
+  }
+
+  let priceHistory = null;
+  if (options.pricesFile) {
+    const file = read(options.pricesFile, 'price history');
+    if (file.error) return fail(file.error);
+    priceHistory = parsePriceHistoryCsv(file.text);
+    if (priceHistory.error) return fail(priceHistory.error);
+  }
+
+  let limits = options.limitsFile || options.limits.length > 0 ? [] : DEFAULT_ALERT_RULES;
+  if (options.limitsFile) {
+    const file = read(options.limitsFile, 'limits file');
+    if (file.error) return fail(file.error);
+    const parsed = parseLimitsFile(file.text);
+    if (parsed.error) return fail(parsed.error);
+    limits = parsed.rules;
+  }
+  limits = [...limits, ...options.limits];
+
+  const analysis = analyzeSnapshot(imported.portfolio, {
+    marginMode: options.marginMode,
+    scenarios,
+    limits,
+    confidenceLevel: options.confidenceLevel,
+    priceHistory,
+    generatedAt,
+  });
+  const stdout = options.format === 'json'
+    ? JSON.stringify({ source: options.file, ...analysis }, null, 2)
+    : formatAnalysisTable(analysis, options.file);
+  const warnings = imported.unmappedRows.map(r => `Skipped ${r.section}${r.row === null ? '' : ` row ${r.row}`}: ${r.reason}\n`).join('');
+  return { exitCode: analysis.breaches.length > 0 ? EXIT_CODES.breached : EXIT_CODES.ok, stdout: `${stdout}\n`, stderr: warnings };
+}
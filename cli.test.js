@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import { EXIT_CODES, parseLimit, parseCliArgs, parseLimitsFile, analyzeSnapshot, runCli } from '../utils/cli';
+
+const fixtures = path.join(__dirname, '../../mock');
+const readFile = name => fs.readFileSync(path.join(fixtures, name), 'utf8');
+const generatedAt = '2026-10-18T06:00:00.000Z';
+
+describe('margin CLI', () => {
+  it('parses limits and arguments', () => {
+    expect(parseLimit('leverage>2.5')).toMatchObject({ metric: 'leverage', operator: '>', threshold: 2.5 });
+    expect(parseLimit('leverage=>2').error).toMatch(/must look like/);
+    expect(parseLimit('beta>1').error).toBe("Unknown limit metric 'beta'.");
+    expect(parseCliArgs(['a.json', '--format', 'json', '--margin', 'portfolio', '--limit', 'marginHealth<30']))
+      .toMatchObject({ file: 'a.json', format: 'json', marginMode: 'portfolio', limits: [{ metric: 'marginHealth' }] });
+    expect(parseCliArgs(['--format', 'xml', 'a.json']).error).toMatch(/Unknown format/);
+    expect(parseCliArgs([]).error).toBe('No portfolio file given.');
+    expect(parseCliArgs(['--help'])).toMatchObject({ help: true });
+    expect(parseCliArgs(['a.json', '--prices']).error).toBe("Option '--prices' needs a value.");
+    expect(parseCliArgs(['a.json', '--limits', '--format', 'json']).error).toBe("Option '--limits' needs a value.");
+  });
+
+  it('reads limits files in the saved alert rule format', () => {
+    expect(parseLimitsFile('[{"metric":"leverage","operator":">","threshold":2}]').rules)
+      .toEqual([{ id: 'limit-1', enabled: true, metric: 'leverage', operator: '>', threshold: 2 }]);
+    expect(parseLimitsFile('{"rules":[{"metric":"leverage","operator":"!","threshold":2}]}').error).toMatch(/^Limit 1 needs/);
+    expect(parseLimitsFile('nope').error).toMatch(/not valid JSON/);
+  });
+
+  it('checks a snapshot against limits', () => {
+    const portfolio = JSON.parse(readFile('account-snapshot.json'));
+    const { report, breaches } = analyzeSnapshot(portfolio, { limits: [parseLimit('leverage>1.5')], generatedAt });
+    expect(report.metrics.leverage).toBe('1.91');
+    expect(report.stress.scenarios).toHaveLength(4);
+    expect(breaches.map(b => b.metric)).toEqual(['leverage']);
+  });
+
+  it('prints a table and exits non-zero on a breach', () => {
+    const breached = runCli(['account-snapshot.json', '--limit', 'leverage>1.5'], { readFile, generatedAt });
+    expect(breached.exitCode).toBe(EXIT_CODES.breached);
+    expect(breached.stdout).toMatch(/^Net liquidation value\s+\$44000\.00$/m);
+    expect(breached.stdout).toMatch(/^2008 replay\s.*BREACH$/m);
+    expect(breached.stdout).toContain('1 risk limit(s) breached:\n  - Leverage is 1.91x (> 1.50x).');
+
+    const held = runCli(['account-snapshot.json', '--limit', 'leverage>3'], { readFile, generatedAt });
+    expect(held.exitCode).toBe(EXIT_CODES.ok);
+    expect(held.stdout).toContain('All risk limits hold.');
+  });
+
+  it('emits JSON for scripts', () => {
+    const result = runCli(['portfolio-template.csv', '--format', 'json', '--limit', 'leverage>3'], { readFile, generatedAt });
+    const output = JSON.parse(result.stdout);
+    expect(output).toMatchObject({ source: 'portfolio-template.csv', breaches: [], report: { generatedAt, version: 1 } });
+    expect(output.report.marginCall).toHaveProperty('dropPercentage');
+    expect(output.report.valueAtRisk).toHaveProperty('VaR');
+  });
+
+  it('runs the price-history VaR methods with --prices', () => {
+    const result = runCli(['account-snapshot.json', '--prices', 'price-history-sample.csv', '--limit', 'leverage>3'], { readFile, generatedAt });
+    expect(result.exitCode).toBe(EXIT_CODES.ok);
+    expect(result.stdout).toMatch(/^Historical\s+\$\d+\.\d{2}\s+\$\d+\.\d{2}$/m);
+    expect(result.stdout).toMatch(/^XOM\s+[\d.]+%\s+\$[\d.]+\s+[\d.]+%$/m);
+    expect(result.stdout).toMatch(/\d+ daily returns\./);
+
+    const json = JSON.parse(runCli(['account-snapshot.json', '--prices', 'price-history-sample.csv', '--format', 'json'], { readFile, generatedAt }).stdout);
+    expect(json.report.riskMetrics.components).toHaveLength(4);
+    expect(runCli(['account-snapshot.json', '--prices', 'account-snapshot.json'], { readFile, generatedAt }).exitCode).toBe(EXIT_CODES.error);
+  });
+
+  it('exits 2 with usage on bad input', () => {
+    const missing = runCli(['missing.json'], { readFile, generatedAt });
+    expect(missing.exitCode).toBe(EXIT_CODES.error);
+    expect(missing.stderr).toMatch(/^Could not read portfolio file 'missing.json'/);
+    expect(missing.stderr).toContain('Usage:');
+    expect(runCli(['price-history-sample.csv'], { readFile, generatedAt }).exitCode).toBe(EXIT_CODES.error);
+
+    const noPrices = runCli(['account-snapshot.json', '--prices'], { readFile, generatedAt });
+    expect(noPrices.exitCode).toBe(EXIT_CODES.error);
+    expect(noPrices.stderr).toMatch(/^Option '--prices' needs a value\./);
+    expect(runCli(['account-snapshot.json', '--limits'], { readFile, generatedAt }).exitCode).toBe(EXIT_CODES.error);
+  });
+});
@@ -0,0 +1,153 @@
+import { monthlyAccrualSchedule } from './interest';
+
+/** Payments per year for each dividend frequency. */
+export const DIVIDEND_FREQUENCIES = {
+  monthly: 12,
+  quarterly: 4,
+  'semi-annual': 2,
+  annual: 1,
+};
+
+/**
+ * Dividend withholding tax by issuer domicile (ISO country code), at treaty rates for a
+ * US-resident account. Accounts resident elsewhere should supply their own table; a
+ * holding's own `withholdingRate` always wins.
+ */
+export const DEFAULT_WITHHOLDING_RATES = {
+  US: 0,
+  CA: 0.15,
+  GB: 0,
+  IE: 0,
+  NL: 0.15,
+  DE: 0.15,
+  FR: 0.15,
+  CH: 0.15,
+  JP: 0.1,
+  AU: 0.15,
+};
+
+// Days from ex-date to pay date when a holding only has one of them.
+const DEFAULT_PAY_LAG_DAYS = 14;
+const DAY = 86400000;
+
+const toDateString = date => date.toISOString().slice(0, 10);
+
+function parseDate(value) {
+  const date = value ? new Date(`${value}T00:00:00Z`) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+// The same day of the month `offset` months later, clamped to the month's last day.
+function addMonths(date, offset) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + offset;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * The withholding rate applied to a holding's dividends.
+ *
+ * @param {object} holding - The holding, with an optional `domicile` and `withholdingRate`.
+ * @param {object} [rates=DEFAULT_WITHHOLDING_RATES] - Withholding by domicile.
+ * @returns {number} The fraction withheld; holdings without a domicile are taken as US.
+ */
+export function withholdingRate(holding, rates = DEFAULT_WITHHOLDING_RATES) {
+  if (typeof holding.withholdingRate === 'number') return holding.withholdingRate;
+  return rates[holding.domicile || 'US'] || 0;
+}
+
+/**
+ * Lists each expected dividend payment. Pay dates repeat at the holding's frequency from its
+ * known `payDate` (or `exDate` plus two weeks); holdings with neither are assumed to pay on the
+ * 15th, starting this month. Each payment grows once a year at the holding's `dividendGrowth`.
+ *
+ * @param {Array<object>} holdings - Portfolio holdings with `annualDividend`.
+ * @param {object} [options] - Schedule options.
+ * @param {number} [options.months=24] - Number of calendar months, starting with the current one.
+ * @param {Date} [options.startDate=new Date()] - Any day in the first month.
+ * @param {number} [options.defaultGrowth=0.05] - Annual growth for holdings without their own.
+ * @param {object} [options.withholdingRates=DEFAULT_WITHHOLDING_RATES] - Withholding by domicile.
+ * @returns {Array<object>} { ticker, exDate, payDate, month, gross, withholding, net } sorted by pay date.
+ */
+export function dividendPayments(holdings, {
+  months = 24,
+  startDate = new Date(),
+  defaultGrowth = 0.05,
+  withholdingRates = DEFAULT_WITHHOLDING_RATES,
+} = {}) {
+  if (!holdings) return [];
+  const windowStart = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), 1));
+  const windowEnd = addMonths(windowStart, months);
+
+  return holdings
+    .filter(h => (h.annualDividend || 0) > 0)
+    .flatMap(h => {
+      const perYear = DIVIDEND_FREQUENCIES[h.dividendFrequency] || DIVIDEND_FREQUENCIES.quarterly;
+      const interval = 12 / perYear;
+      const exDate = parseDate(h.exDate);
+      const anchor = parseDate(h.payDate)
+        || (exDate && new Date(exDate.getTime() + DEFAULT_PAY_LAG_DAYS * DAY))
+        || new Date(windowStart.getTime() + 14 * DAY);
+      const lagDays = exDate ? Math.round((anchor - exDate) / DAY) : DEFAULT_PAY_LAG_DAYS;
+      const growth = typeof h.dividendGrowth === 'number' ? h.dividendGrowth : defaultGrowth;
+      const withheld = withholdingRate(h, withholdingRates);
+
+      // Step back from the anchor to the first payment in the window, then forward through it.
+      const monthsBack = (anchor.getUTCFullYear() - windowStart.getUTCFullYear()) * 12 + anchor.getUTCMonth() - windowStart.getUTCMonth();
+      const payments = [];
+      for (let k = -Math.floor(monthsBack / interval); ; k++) {
+        const payDate = addMonths(anchor, k * interval);
+        if (payDate >= windowEnd) break;
+        if (payDate < windowStart) continue;
+        const monthOffset = (payDate.getUTCFullYear() - windowStart.getUTCFullYear()) * 12 + payDate.getUTCMonth() - windowStart.getUTCMonth();
+        const gross = (h.annualDividend / perYear) * Math.pow(1 + growth, Math.floor(monthOffset / 12));
+        payments.push({
+          ticker: h.ticker,
+          exDate: toDateString(new Date(payDate.getTime() - lagDays * DAY)),
+          payDate: toDateString(payDate),
+          month: toDateString(payDate).slice(0, 7),
+          gross,
+          withholding: gross * withheld,
+          net: gross * (1 - withheld),
+        });
+      }
+      return payments;
+    })
+    .sort((a, b) => a.payDate.localeCompare(b.payDate) || a.ticker.localeCompare(b.ticker));
+}
+
+/**
+ * Month-by-month dividend cash flows, net of withholding and of the margin interest charged
+ * that month. Interest is projected on the current loan without paydown.
+ *
+ * @param {Array<object>} holdings - Portfolio holdings with `annualDividend`.
+ * @param {object} [options] - Calendar options.
+ * @param {number} [options.months=24] - Number of calendar months, starting with the current one.
+ * @param {Date} [options.startDate=new Date()] - Any day in the first month.
+ * @param {number} [options.defaultGrowth=0.05] - Annual growth for holdings without their own.
+ * @param {object} [options.withholdingRates=DEFAULT_WITHHOLDING_RATES] - Withholding by domicile.
+ * @param {number} [options.marginBalance=0] - The margin loan balance.
+ * @param {string} [options.currency='USD'] - The loan currency.
+ * @param {object} [options.schedule] - Interest benchmarks and tiers, as for monthlyAccrualSchedule.
+ * @returns {Array<object>} { month, gross, withholding, net, interest, netCashFlow, payments } per month.
+ */
+export function dividendCalendar(holdings, options = {}) {
+  const { months = 24, startDate = new Date(), marginBalance = 0, currency = 'USD', schedule } = options;
+  const payments = dividendPayments(holdings, { ...options, months, startDate });
+  const accruals = monthlyAccrualSchedule(marginBalance, { months, startDate, currency, ...(schedule && { schedule }) });
+
+  return accruals.map(({ month, interest }) => {
+    const inMonth = payments.filter(p => p.month === month);
+    const sum = field => inMonth.reduce((acc, p) => acc + p[field], 0);
+    return {
+      month,
+      gross: sum('gross'),
+      withholding: sum('withholding'),
+      net: sum('net'),
+      interest,
+      netCashFlow: sum('net') - interest,
+      payments: inMonth,
+    };
+  });
+}
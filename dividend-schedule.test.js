@@ -0,0 +1,56 @@
+import { withholdingRate, dividendPayments, dividendCalendar } from '../utils/dividend-schedule';
+
+describe('dividend schedule', () => {
+  const startDate = new Date('2026-10-18T12:00:00Z');
+  const jpm = { ticker: 'JPM', annualDividend: 630, exDate: '2026-10-06', payDate: '2026-10-31', dividendGrowth: 0 };
+
+  it('looks up withholding by domicile', () => {
+    expect(withholdingRate({ ticker: 'AAPL' })).toBe(0);
+    expect(withholdingRate({ ticker: 'RY', domicile: 'CA' })).toBe(0.15);
+    expect(withholdingRate({ ticker: 'NESN', domicile: 'CH', withholdingRate: 0.35 })).toBe(0.35);
+    expect(withholdingRate({ ticker: 'X', domicile: 'ZZ' })).toBe(0);
+  });
+
+  it('repeats pay and ex dates at the holding frequency', () => {
+    const payments = dividendPayments([jpm], { months: 12, startDate });
+    expect(payments.map(p => p.payDate)).toEqual(['2026-10-31', '2027-01-31', '2027-04-30', '2027-07-31']);
+    expect(payments.map(p => p.exDate)).toEqual(['2026-10-06', '2027-01-06', '2027-04-05', '2027-07-06']);
+    expect(payments[0]).toMatchObject({ ticker: 'JPM', month: '2026-10', gross: 157.5, withholding: 0, net: 157.5 });
+  });
+
+  it('rolls old dates forward and fills in missing ones', () => {
+    const monthly = dividendPayments([{ ticker: 'O', annualDividend: 120, dividendFrequency: 'monthly', payDate: '2026-03-15' }], { months: 3, startDate });
+    expect(monthly.map(p => p.payDate)).toEqual(['2026-10-15', '2026-11-15', '2026-12-15']);
+    expect(monthly[0].net).toBeCloseTo(10);
+
+    const exOnly = dividendPayments([{ ticker: 'KO', annualDividend: 200, dividendFrequency: 'semi-annual', exDate: '2026-11-28' }], { months: 12, startDate });
+    expect(exOnly.map(p => [p.exDate, p.payDate])).toEqual([['2026-11-28', '2026-12-12'], ['2027-05-29', '2027-06-12']]);
+
+    const undated = dividendPayments([{ ticker: 'MSFT', annualDividend: 144 }, { ticker: 'TSLA', annualDividend: 0 }], { months: 6, startDate });
+    expect(undated.map(p => p.payDate)).toEqual(['2026-10-15', '2027-01-15']);
+    expect(dividendPayments(null)).toEqual([]);
+  });
+
+  it('grows payments yearly and withholds tax by domicile', () => {
+    const payments = dividendPayments([{ ...jpm, dividendGrowth: 0.1 }, { ticker: 'RY', annualDividend: 560, domicile: 'CA', payDate: '2026-11-24' }], { months: 24, startDate, defaultGrowth: 0 });
+    const jpmPayments = payments.filter(p => p.ticker === 'JPM');
+    expect(jpmPayments).toHaveLength(8);
+    expect(jpmPayments[3].gross).toBeCloseTo(157.5);
+    expect(jpmPayments[4]).toMatchObject({ month: '2027-10', gross: expect.closeTo(173.25) });
+    const ry = payments.find(p => p.ticker === 'RY');
+    expect(ry).toMatchObject({ payDate: '2026-11-24', gross: 140, withholding: expect.closeTo(21), net: expect.closeTo(119) });
+  });
+
+  it('nets each month of dividends against margin interest', () => {
+    // 3.6% on a 360-day year is exactly 0.01% a day.
+    const schedule = { currencies: { USD: { benchmark: 0.036, dayCount: 360 } }, tiers: [{ upTo: null, spread: 0 }] };
+    const calendar = dividendCalendar([jpm], { startDate, marginBalance: 10000, schedule });
+    expect(calendar).toHaveLength(24);
+    expect(calendar[0]).toMatchObject({ month: '2026-10', gross: 157.5, net: 157.5, interest: expect.closeTo(31) });
+    expect(calendar[0].netCashFlow).toBeCloseTo(126.5);
+    expect(calendar[0].payments).toHaveLength(1);
+    expect(calendar[1]).toMatchObject({ month: '2026-11', net: 0, payments: [] });
+    expect(calendar[1].netCashFlow).toBeCloseTo(-calendar[1].interest);
+    expect(dividendCalendar([], { months: 2, startDate }).map(m => m.netCashFlow)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,51 @@
+import { projectDividendPolicy, compareDividendPolicies } from '../utils/dividend-strategy';
+import { monthlyAccrualSchedule } from '../utils/interest';
+
+describe('dividend policy projection', () => {
+  const portfolio = { cash: 0, marginUsed: 20000, holdings: [{ ticker: 'KO', marketValue: 100000, annualDividend: 4000 }] };
+  const free = { currencies: { USD: { benchmark: 0, dayCount: 360 } }, tiers: [{ upTo: null, spread: 0 }] };
+  const flat = { priceGrowth: 0, dividendGrowth: 0, schedule: free };
+
+  it('pays the loan down with every dividend', () => {
+    const rows = projectDividendPolicy(portfolio, { ...flat, reinvestRatio: 0, years: 6 });
+    expect(rows).toHaveLength(7);
+    expect(rows[0]).toMatchObject({ year: 0, netLiquidationValue: 80000, debt: 20000, income: 4000, leverage: 1.25 });
+    expect(rows[1].debt).toBeCloseTo(16000);
+    expect(rows[1].leverage).toBeCloseTo(100000 / 84000);
+    // Once the loan is gone the dividends pile up as cash.
+    expect(rows[6]).toMatchObject({ debt: 0, cash: expect.closeTo(4000), netLiquidationValue: expect.closeTo(104000) });
+  });
+
+  it('compounds reinvested dividends at the portfolio yield', () => {
+    const [, year1] = projectDividendPolicy(portfolio, { ...flat, reinvestRatio: 1, years: 1 });
+    expect(year1.debt).toBe(20000);
+    expect(year1.income).toBeCloseTo(4000 * Math.pow(1 + 0.04 / 12, 12));
+    expect(year1.marketValue).toBeCloseTo(100000 * Math.pow(1 + 0.04 / 12, 12));
+  });
+
+  it('charges margin interest and grows prices and dividends', () => {
+    const schedule = { currencies: { USD: { benchmark: 0.06, dayCount: 360 } }, tiers: [{ upTo: null, spread: 0 }] };
+    const startDate = new Date('2026-01-15T00:00:00Z');
+    const [, year1] = projectDividendPolicy(portfolio, { reinvestRatio: 1, years: 1, priceGrowth: 0.1, dividendGrowth: 0.05, startDate, schedule });
+    // ACT/360: each month accrues its actual days at 6%/360, as monthlyAccrualSchedule does
+    const monthDays = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    expect(year1.debt).toBeCloseTo(monthDays.reduce((debt, days) => debt * (1 + (0.06 / 360) * days), 20000));
+    expect(year1.debt).toBeCloseTo(monthlyAccrualSchedule(20000, { months: 12, startDate, schedule })[11].balance);
+    expect(year1.interestPaid).toBeCloseTo(year1.debt - 20000);
+    // Rising prices lower the yield that reinvested dividends buy at.
+    expect(year1.income).toBeGreaterThan(4000 * 1.05);
+    expect(year1.income).toBeLessThan(4000 * Math.pow(1 + 0.04 / 12, 12) * 1.05);
+    expect(year1.marketValue).toBeGreaterThan(110000);
+  });
+
+  it('compares the policies side by side', () => {
+    const results = compareDividendPolicies(portfolio, { ...flat, years: 3 });
+    expect(results.map(r => r.id)).toEqual(['drip', 'paydown', 'split']);
+    const final = Object.fromEntries(results.map(r => [r.id, r.years[3]]));
+    expect(final.drip.income).toBeGreaterThan(final.split.income);
+    expect(final.split.income).toBeGreaterThan(final.paydown.income);
+    expect(final.paydown.leverage).toBeLessThan(final.split.leverage);
+    expect(final.split.leverage).toBeLessThan(final.drip.leverage);
+    expect(projectDividendPolicy(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,190 @@
+import Papa from 'papaparse';
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+const CURRENCY_PAIR_PATTERN = /^([A-Z]{3})[./]?([A-Z]{3})$/;
+
+/**
+ * Units of `fxRates.base` per unit of a currency, or undefined when there is no rate.
+ */
+function rateOf(currency, fxRates) {
+  if (!fxRates) return undefined;
+  if (fxRates.rates && typeof fxRates.rates[currency] === 'number') return fxRates.rates[currency];
+  return currency === fxRates.base ? 1 : undefined;
+}
+
+/**
+ * Parses an FX rates file. Accepts JSON ({ base, rates } with rates quoted as units of base per
+ * unit of currency) or a CSV of currency pairs and rates (pair,rate) such as `EUR.USD,1.0850` or
+ * `USDCAD,1.3600`. In the CSV form the base is the currency shared by the pairs.
+ *
+ * @param {string} text - The file contents.
+ * @returns {object} { base, rates, skipped } with the rows that could not be used, or { error }.
+ */
+export function parseFxRates(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      const { base, rates } = JSON.parse(trimmed);
+      if (typeof base !== 'string' || !rates || typeof rates !== 'object') {
+        return { error: "FX rates JSON must have a 'base' currency and a 'rates' object." };
+      }
+      const valid = Object.entries(rates).filter(([, rate]) => typeof rate === 'number' && rate > 0);
+      return {
+        base,
+        rates: Object.fromEntries(valid),
+        skipped: Object.keys(rates).filter(currency => !valid.some(([c]) => c === currency)),
+      };
+    } catch (error) {
+      return { error: `FX rates file is not valid JSON: ${error.message}` };
+    }
+  }
+
+  const { data } = Papa.parse(trimmed, { header: true, skipEmptyLines: true });
+  const quotes = data
+    .map(row => ({ match: CURRENCY_PAIR_PATTERN.exec(String(row.pair || '').trim().toUpperCase()), rate: parseFloat(row.rate), row }))
+    .filter(q => q.match && q.rate > 0);
+  if (quotes.length === 0) {
+    return { error: "FX rates CSV must have 'pair' and 'rate' columns with pairs such as EUR.USD." };
+  }
+
+  // The base is the currency that appears in the most pairs, e.g. USD in EUR.USD and USD.CAD.
+  const counts = quotes.reduce((acc, { match }) => {
+    acc[match[1]] = (acc[match[1]] || 0) + 1;
+    acc[match[2]] = (acc[match[2]] || 0) + 1;
+    return acc;
+  }, {});
+  const base = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+  const rates = { [base]: 1 };
+  const skipped = data.filter(row => !quotes.some(q => q.row === row)).map(row => String(row.pair || ''));
+  quotes.forEach(({ match: [pair, from, to], rate }) => {
+    if (to === base) rates[from] = rate;
+    else if (from === base) rates[to] = 1 / rate;
+    else skipped.push(pair);
+  });
+  return { base, rates, skipped };
+}
+
+/**
+ * The multiplier that converts an amount from one currency to another.
+ *
+ * @param {string} from - The currency of the amount.
+ * @param {string} to - The target currency.
+ * @param {object} fxRates - Rates from parseFxRates.
+ * @returns {number|null} The conversion rate, or null when either currency has no rate.
+ */
+export function conversionRate(from, to, fxRates) {
+  if (!from || from === to) return 1;
+  const fromRate = rateOf(from, fxRates);
+  const toRate = rateOf(to, fxRates);
+  if (fromRate === undefined || toRate === undefined) return null;
+  return fromRate / toRate;
+}
+
+/**
+ * Every currency the portfolio holds positions or cash in.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {Array<string>} Currency codes, base currency first.
+ */
+export function portfolioCurrencies(portfolio) {
+  const base = portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const currencies = new Set([base]);
+  (portfolio.holdings || []).forEach(h => h.currency && currencies.add(h.currency));
+  Object.keys(portfolio.cashBalances || {}).forEach(c => currencies.add(c));
+  return [...currencies];
+}
+
+/**
+ * Currencies used by the portfolio that its FX rates cannot convert to the base currency.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {Array<string>} Currency codes without a rate.
+ */
+export function missingFxRates(portfolio) {
+  const base = portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  return portfolioCurrencies(portfolio).filter(c => conversionRate(c, base, portfolio.fxRates) === null);
+}
+
+/**
+ * Converts a multi-currency portfolio into its base currency. Holding values (and option
+ * strikes and underlying prices) are converted at `portfolio.fxRates`; per-currency
+ * `cashBalances`, when present, replace `cash` and `marginUsed` with the converted sum of
+ * positive and negative balances. Currencies without a rate are taken at 1:1 and reported
+ * by missingFxRates. Converting an already converted portfolio changes nothing.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {object} A single-currency portfolio in its base currency.
+ */
+export function toBaseCurrency(portfolio) {
+  if (!portfolio || !portfolio.holdings) return portfolio;
+  const base = portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const rateTo = currency => conversionRate(currency, base, portfolio.fxRates) ?? 1;
+
+  const holdings = portfolio.holdings.map(h => {
+    if (!h.currency || h.currency === base) return h;
+    const rate = rateTo(h.currency);
+    const converted = {
+      ...h,
+      currency: base,
+      marketValue: (h.marketValue || 0) * rate,
+      costBasis: (h.costBasis || 0) * rate,
+      annualDividend: (h.annualDividend || 0) * rate,
+    };
+    if (typeof h.strike === 'number') converted.strike = h.strike * rate;
+    if (typeof h.underlyingPrice === 'number') converted.underlyingPrice = h.underlyingPrice * rate;
+    return converted;
+  });
+
+  const { cashBalances, ...rest } = portfolio;
+  if (!cashBalances) return { ...rest, baseCurrency: base, holdings };
+
+  const converted = Object.entries(cashBalances).map(([currency, balance]) => balance * rateTo(currency));
+  return {
+    ...rest,
+    baseCurrency: base,
+    holdings,
+    cash: converted.filter(b => b > 0).reduce((acc, b) => acc + b, 0),
+    marginUsed: -converted.filter(b => b < 0).reduce((acc, b) => acc + b, 0),
+  };
+}
+
+/**
+ * Net exposure per currency: position value plus cash, in the currency and in base.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {Array<object>} { currency, marketValue, cash, net, netBase } per currency.
+ */
+export function currencyExposure(portfolio) {
+  const base = portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const cashByCurrency = portfolio.cashBalances || { [base]: (portfolio.cash || 0) - (portfolio.marginUsed || 0) };
+  return portfolioCurrencies(portfolio).map(currency => {
+    const marketValue = portfolio.holdings
+      .filter(h => (h.currency || base) === currency)
+      .reduce((acc, h) => acc + (h.marketValue || 0), 0);
+    const cash = cashByCurrency[currency] || 0;
+    const rate = conversionRate(currency, base, portfolio.fxRates);
+    return { currency, marketValue, cash, net: marketValue + cash, netBase: rate === null ? null : (marketValue + cash) * rate };
+  });
+}
+
+/**
+ * Moves FX rates against the portfolio's base currency.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} shocks - Map of currency to the fractional change in its value in base currency,
+ *   e.g. { EUR: -0.1 } for the euro losing 10%.
+ * @returns {object} The portfolio with shocked fxRates.
+ */
+export function shockFxRates(portfolio, shocks) {
+  const base = portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const fxRates = portfolio.fxRates || { base, rates: {} };
+  const rates = { ...fxRates.rates };
+  Object.entries(shocks).forEach(([currency, shock]) => {
+    const rate = conversionRate(currency, base, fxRates);
+    if (currency === base || rate === null) return;
+    rates[currency] = rateOf(currency, fxRates) * (1 + shock);
+  });
+  return { ...portfolio, fxRates: { ...fxRates, rates } };
+}
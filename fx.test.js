@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  parseFxRates,
+  conversionRate,
+  portfolioCurrencies,
+  missingFxRates,
+  toBaseCurrency,
+  currencyExposure,
+  shockFxRates,
+} from '../utils/fx';
+
+describe('multi-currency portfolios', () => {
+  const fxRates = { base: 'USD', rates: { EUR: 1.085, CAD: 1 / 1.36 } };
+  const portfolio = {
+    baseCurrency: 'USD',
+    fxRates,
+    cashBalances: { USD: -20000, EUR: -10000, CAD: 6800 },
+    holdings: [
+      { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, currency: 'USD' },
+      { ticker: 'SAP', quantity: 50, marketValue: 10000, costBasis: 8000, annualDividend: 110, currency: 'EUR' },
+      { ticker: 'RY', quantity: 100, marketValue: 13600, costBasis: 12000, annualDividend: 560, currency: 'CAD' },
+    ],
+  };
+
+  it('parses rates from currency pairs', () => {
+    const text = fs.readFileSync(path.join(__dirname, '../../mock', 'fx-rates-sample.csv'), 'utf8');
+    const result = parseFxRates(text);
+    expect(result.base).toBe('USD');
+    expect(result.rates.EUR).toBeCloseTo(1.085);
+    expect(result.rates.CAD).toBeCloseTo(1 / 1.36);
+    expect(result.rates.GBP).toBeCloseTo(1.27);
+    expect(result.skipped).toEqual([]);
+
+    expect(parseFxRates('pair,rate\nEURUSD,1.08\nUSD/JPY,150\nGBP.USD,1.27\nEURGBP,0.85\nbad,1').skipped).toEqual(['bad', 'EURGBP']);
+    expect(parseFxRates('currency,rate\nEUR,1.08').error).toMatch(/pair/);
+  });
+
+  it('parses rates from JSON', () => {
+    expect(parseFxRates('{"base":"EUR","rates":{"USD":0.92,"CHF":-1}}')).toEqual({ base: 'EUR', rates: { USD: 0.92 }, skipped: ['CHF'] });
+    expect(parseFxRates('{"rates":{}}').error).toMatch(/base/);
+    expect(parseFxRates('{oops').error).toMatch(/not valid JSON/);
+  });
+
+  it('converts between any two quoted currencies', () => {
+    expect(conversionRate('EUR', 'USD', fxRates)).toBeCloseTo(1.085);
+    expect(conversionRate('EUR', 'CAD', fxRates)).toBeCloseTo(1.085 * 1.36);
+    expect(conversionRate('USD', 'USD', null)).toBe(1);
+    expect(conversionRate('JPY', 'USD', fxRates)).toBeNull();
+  });
+
+  it('aggregates holdings and per-currency cash in the base currency', () => {
+    const base = toBaseCurrency(portfolio);
+    expect(base.holdings.map(h => h.marketValue)).toEqual([17500, expect.closeTo(10850), expect.closeTo(10000)]);
+    expect(base.holdings[1]).toMatchObject({ currency: 'USD', costBasis: expect.closeTo(8680) });
+    expect(base.cash).toBeCloseTo(5000);
+    expect(base.marginUsed).toBeCloseTo(30850);
+    expect(base.cashBalances).toBeUndefined();
+    expect(toBaseCurrency(base)).toEqual(base);
+  });
+
+  it('converts option strikes and underlying prices with the premium', () => {
+    const option = { ticker: 'SAP P', quantity: -1, marketValue: -500, currency: 'EUR', right: 'P', strike: 180, underlyingPrice: 200, expiry: '2026-12-18' };
+    const [converted] = toBaseCurrency({ ...portfolio, holdings: [option] }).holdings;
+    expect(converted.strike).toBeCloseTo(195.3);
+    expect(converted.underlyingPrice).toBeCloseTo(217);
+  });
+
+  it('reports currencies without a rate and leaves them at par', () => {
+    const withYen = { ...portfolio, holdings: [...portfolio.holdings, { ticker: '7203', quantity: 100, marketValue: 300000, currency: 'JPY' }] };
+    expect(portfolioCurrencies(withYen)).toEqual(['USD', 'EUR', 'CAD', 'JPY']);
+    expect(missingFxRates(withYen)).toEqual(['JPY']);
+    expect(toBaseCurrency(withYen).holdings[3].marketValue).toBe(300000);
+    expect(missingFxRates({ cash: 0, marginUsed: 0, holdings: [{ ticker: 'AAPL', marketValue: 100 }] })).toEqual([]);
+  });
+
+  it('summarizes net exposure per currency', () => {
+    const exposure = currencyExposure(portfolio);
+    expect(exposure[1]).toEqual({ currency: 'EUR', marketValue: 10000, cash: -10000, net: 0, netBase: 0 });
+    expect(exposure[2].netBase).toBeCloseTo(15000);
+  });
+
+  it('shocks a currency against the base', () => {
+    const shocked = shockFxRates(portfolio, { EUR: -0.1, USD: 0.5 });
+    expect(conversionRate('EUR', 'USD', shocked.fxRates)).toBeCloseTo(1.085 * 0.9);
+    expect(conversionRate('CAD', 'USD', shocked.fxRates)).toBeCloseTo(1 / 1.36);
+
+    const euroBased = { ...portfolio, baseCurrency: 'EUR' };
+    const dollarDown = shockFxRates(euroBased, { USD: -0.1 });
+    expect(conversionRate('USD', 'EUR', dollarDown.fxRates)).toBeCloseTo(0.9 / 1.085);
+  });
+});
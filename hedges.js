@@ -1,5 +1,257 @@
+import { blackScholes, DEFAULT_RISK_FREE_RATE, DEFAULT_VOLATILITY } from './options';
+
+/**
+ * Strategy presets as leg templates. Option strikes are a fraction of the underlying price
+ * and quantities are per unit of the strategy (contracts for options, shares for stock).
+ */
+export const STRATEGY_PRESETS = {
+  longPut: {
+    name: "Long Put",
+    description: "Profit when the underlying asset's price falls below the breakeven point.",
+    legs: [{ type: 'put', quantity: 1, strikePct: 0.95 }],
+  },
+  bearPutSpread: {
+    name: "Bear Put Spread",
+    description: "A bearish strategy with limited risk and limited profit potential.",
+    legs: [{ type: 'put', quantity: 1, strikePct: 1 }, { type: 'put', quantity: -1, strikePct: 0.9 }],
+  },
+  cashSecuredPut: {
+    name: "Cash-Secured Put",
+    description: "A neutral to bullish strategy used to acquire stock at a lower price or generate income.",
+    legs: [{ type: 'put', quantity: -1, strikePct: 0.9 }],
+  },
+  coveredCall: {
+    name: "Covered Call",
+    description: "Generate income from owned stock, with upside potential capped at the strike price.",
+    legs: [{ type: 'stock', quantity: 100 }, { type: 'call', quantity: -1, strikePct: 1.1 }],
+  },
+  collar: {
+    name: "Collar",
+    description: "Owned stock with a protective put financed by a covered call; losses and gains are both capped.",
+    legs: [{ type: 'stock', quantity: 100 }, { type: 'put', quantity: 1, strikePct: 0.9 }, { type: 'call', quantity: -1, strikePct: 1.1 }],
+  },
+  ironCondor: {
+    name: "Iron Condor",
+    description: "Collect premium while the underlying stays between the short strikes; wings cap the loss.",
+    legs: [
+      { type: 'put', quantity: 1, strikePct: 0.9 },
+      { type: 'put', quantity: -1, strikePct: 0.95 },
+      { type: 'call', quantity: -1, strikePct: 1.05 },
+      { type: 'call', quantity: 1, strikePct: 1.1 },
+    ],
+  },
+  putRatioSpread: {
+    name: "Put Ratio Spread",
+    description: "A cheap or credit put hedge: one long put financed by two lower-strike short puts, with risk below the short strike.",
+    legs: [{ type: 'put', quantity: 1, strikePct: 0.95 }, { type: 'put', quantity: -2, strikePct: 0.85 }],
+  },
+};
+
+const DEFAULT_MULTIPLIER = 100;
+
+function legMultiplier(leg) {
+  if (leg.type === 'stock') return 1;
+  return leg.multiplier || DEFAULT_MULTIPLIER;
+}
+
+function roundStrike(strike) {
+  return strike >= 25 ? Math.round(strike) : Math.round(strike * 2) / 2;
+}
+
+/**
+ * Turns a preset into concrete legs for an underlying, pricing each option with Black-Scholes.
+ *
+ * @param {string} presetKey - A key of STRATEGY_PRESETS.
+ * @param {number} spot - The underlying price.
+ * @param {object} [options] - Pricing inputs.
+ * @param {number} [options.daysToExpiry=30] - Days to the options' expiry.
+ * @param {number} [options.volatility=0.3] - Annualized volatility.
+ * @param {number} [options.rate=0.04] - Risk-free rate.
+ * @param {number} [options.units=1] - Number of strategy units (contracts per leg, or 100 shares).
+ * @returns {Array<object>} The legs, with strike and premium (entry price for stock) filled in.
+ */
+export function instantiatePreset(presetKey, spot, { daysToExpiry = 30, volatility = DEFAULT_VOLATILITY, rate = DEFAULT_RISK_FREE_RATE, units = 1 } = {}) {
+  const preset = STRATEGY_PRESETS[presetKey];
+  if (!preset || !(spot > 0)) return [];
+  return preset.legs.map(template => {
+    if (template.type === 'stock') {
+      return { type: 'stock', quantity: template.quantity * units, premium: spot };
+    }
+    const strike = roundStrike(spot * template.strikePct);
+    const { price } = blackScholes({ right: template.type === 'call' ? 'C' : 'P', spot, strike, timeYears: daysToExpiry / 365, volatility, rate });
+    return {
+      type: template.type,
+      quantity: template.quantity * units,
+      strike,
+      premium: parseFloat(price.toFixed(2)),
+      multiplier: DEFAULT_MULTIPLIER,
+      volatility,
+    };
+  });
+}
+
+/**
+ * P&L of a single leg. At expiry (daysRemaining of 0) options are worth their intrinsic
+ * value; before expiry they are priced with Black-Scholes at the leg's volatility.
+ *
+ * @param {object} leg - { type: 'call'|'put'|'stock', quantity, strike, premium, multiplier, volatility }.
+ *   Quantity is positive for long legs and negative for short ones; premium is the per-share
+ *   price paid or received (the entry price for stock).
+ * @param {number} price - The underlying price.
+ * @param {number} [daysRemaining=0] - Days left until expiry.
+ * @param {number} [rate=0.04] - Risk-free rate.
+ * @returns {number} The leg's profit or loss.
+ */
+export function legPnL(leg, price, daysRemaining = 0, rate = DEFAULT_RISK_FREE_RATE) {
+  const premium = leg.premium || 0;
+  if (leg.type === 'stock') return (price - premium) * leg.quantity;
+
+  const { price: value } = blackScholes({
+    right: leg.type === 'call' ? 'C' : 'P',
+    spot: price,
+    strike: leg.strike,
+    timeYears: Math.max(0, daysRemaining) / 365,
+    volatility: leg.volatility || DEFAULT_VOLATILITY,
+    rate,
+  });
+  return (value - premium) * leg.quantity * legMultiplier(leg);
+}
+
+/**
+ * P&L of a multi-leg strategy at an underlying price.
+ *
+ * @param {Array<object>} legs - The strategy legs, as for legPnL.
+ * @param {number} price - The underlying price.
+ * @param {number} [daysRemaining=0] - Days left until expiry.
+ * @param {number} [rate=0.04] - Risk-free rate.
+ * @returns {number} The strategy's profit or loss.
+ */
+export function strategyPnL(legs, price, daysRemaining = 0, rate = DEFAULT_RISK_FREE_RATE) {
+  return legs.reduce((acc, leg) => acc + legPnL(leg, price, daysRemaining, rate), 0);
+}
+
+function defaultPriceRange(legs) {
+  const levels = legs.map(leg => leg.strike || leg.premium || 0).filter(level => level > 0);
+  if (levels.length === 0) return { minPrice: 0, maxPrice: 100 };
+  return { minPrice: Math.min(...levels) * 0.5, maxPrice: Math.max(...levels) * 1.5 };
+}
+
+/**
+ * Finds every underlying price where a P&L function crosses zero, by scanning a grid for
+ * sign changes and refining each one by bisection.
+ *
+ * @param {function(number): number} pnlAt - P&L as a function of underlying price.
+ * @param {number} minPrice - Lower end of the search range.
+ * @param {number} maxPrice - Upper end of the search range.
+ * @param {number} [steps=1000] - Grid intervals to scan.
+ * @returns {Array<number>} The breakeven prices in ascending order.
+ */
+export function findBreakevens(pnlAt, minPrice, maxPrice, steps = 1000) {
+  const breakevens = [];
+  const width = (maxPrice - minPrice) / steps;
+  let previousPrice = minPrice;
+  let previousPnL = pnlAt(minPrice);
+  if (previousPnL === 0) breakevens.push(minPrice);
+
+  for (let i = 1; i <= steps; i++) {
+    const price = minPrice + width * i;
+    const pnl = pnlAt(price);
+    if (pnl === 0) {
+      breakevens.push(price);
+    } else if (previousPnL !== 0 && Math.sign(pnl) !== Math.sign(previousPnL)) {
+      let low = previousPrice;
+      let high = price;
+      for (let k = 0; k < 60; k++) {
+        const mid = (low + high) / 2;
+        if (Math.sign(pnlAt(mid)) === Math.sign(previousPnL)) low = mid;
+        else high = mid;
+      }
+      breakevens.push((low + high) / 2);
+    }
+    previousPrice = price;
+    previousPnL = pnl;
+  }
+  return breakevens;
+}
+
 /**
- * Calculates the payoff profile for a long put option.
+ * Summarizes a strategy at expiry. The expiry payoff is piecewise linear with kinks at the
+ * strikes, so its extremes lie at zero, at a strike, or out in the wings; the slope above
+ * the highest strike tells whether profit or loss is unlimited.
+ *
+ * @param {Array<object>} legs - The strategy legs, as for legPnL.
+ * @returns {object} maxProfit and maxLoss (Infinity when unlimited) and the breakevens at expiry.
+ */
+export function analyzeStrategy(legs) {
+  if (!legs || legs.length === 0) return { maxProfit: 0, maxLoss: 0, breakevens: [] };
+  const strikes = legs.filter(leg => leg.type !== 'stock').map(leg => leg.strike);
+  const { maxPrice } = defaultPriceRange(legs);
+  const candidates = [0, ...strikes, maxPrice].map(price => strategyPnL(legs, price));
+  const upsideSlope = legs
+    .filter(leg => leg.type !== 'put')
+    .reduce((acc, leg) => acc + leg.quantity * legMultiplier(leg), 0);
+
+  const maxProfit = upsideSlope > 0 ? Infinity : Math.max(...candidates);
+  const maxLoss = upsideSlope < 0 ? Infinity : -Math.min(...candidates);
+  // Past the highest strike the payoff is a straight line, so one root beyond it is enough.
+  const searchMax = Math.max(maxPrice, ...strikes) * 4;
+
+  return {
+    maxProfit,
+    maxLoss: Math.max(0, maxLoss),
+    breakevens: findBreakevens(price => strategyPnL(legs, price), 0, searchMax, 4000),
+  };
+}
+
+/**
+ * Builds P&L curves across underlying prices, at expiry and at earlier dates, in the shape
+ * Recharts expects: one point per price with a key per curve.
+ *
+ * @param {Array<object>} legs - The strategy legs, as for legPnL.
+ * @param {object} [options] - Curve options.
+ * @param {Array<number>} [options.daysRemaining=[]] - Days before expiry to add pre-expiry curves for.
+ * @param {number} [options.minPrice] - Lowest underlying price; defaults to half the lowest strike.
+ * @param {number} [options.maxPrice] - Highest underlying price; defaults to 1.5x the highest strike.
+ * @param {number} [options.steps=60] - Number of price intervals.
+ * @param {number} [options.rate=0.04] - Risk-free rate.
+ * @returns {Array<object>} Points of { price, expiry, 'T-<days>': pnl, ... }.
+ */
+export function buildPayoffCurve(legs, { daysRemaining = [], minPrice, maxPrice, steps = 60, rate = DEFAULT_RISK_FREE_RATE } = {}) {
+  if (!legs || legs.length === 0) return [];
+  const range = defaultPriceRange(legs);
+  const low = minPrice ?? range.minPrice;
+  const high = maxPrice ?? range.maxPrice;
+
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const price = low + ((high - low) * i) / steps;
+    const point = { price: parseFloat(price.toFixed(2)), expiry: parseFloat(strategyPnL(legs, price, 0, rate).toFixed(2)) };
+    daysRemaining.forEach(days => {
+      point[`T-${days}`] = parseFloat(strategyPnL(legs, price, days, rate).toFixed(2));
+    });
+    points.push(point);
+  }
+  return points;
+}
+
+function formatBound(value) {
+  return isFinite(value) ? value.toFixed(2) : "Unlimited";
+}
+
+function presetPayoff(presetKey, legs) {
+  const { name, description } = STRATEGY_PRESETS[presetKey];
+  const analysis = analyzeStrategy(legs);
+  return {
+    strategy: name,
+    maxLoss: formatBound(analysis.maxLoss),
+    maxProfit: formatBound(analysis.maxProfit),
+    breakeven: analysis.breakevens.length > 0 ? analysis.breakevens[0].toFixed(2) : "N/A",
+    description,
+  };
+}
+
+/**
+ * Calculates the payoff profile for a long put option; a fixed instance of the longPut preset.
  *
  * @param {number} strike - The strike price of the put.
  * @param {number} premium - The premium paid for the option.
@@ -7,22 +259,11 @@
  * @returns {object} Payoff profile.
  */
 export function longPutPayoff(strike, premium, contracts = 1) {
-  const perContractCost = premium * 100;
-  const maxLoss = perContractCost * contracts;
-  const breakeven = strike - premium;
-  const maxProfit = (strike * 100 - perContractCost) * contracts;
-
-  return {
-    strategy: "Long Put",
-    maxLoss: maxLoss.toFixed(2),
-    maxProfit: maxProfit.toFixed(2),
-    breakeven: breakeven.toFixed(2),
-    description: "Profit when the underlying asset's price falls below the breakeven point.",
-  };
+  return presetPayoff('longPut', [{ type: 'put', quantity: contracts, strike, premium }]);
 }
 
 /**
- * Calculates the payoff profile for a bear put spread.
+ * Calculates the payoff profile for a bear put spread; the net premium is carried on the long leg.
  *
  * @param {number} longStrike - The strike price of the long put.
  * @param {number} shortStrike - The strike price of the short put.
@@ -31,21 +272,14 @@ export function longPutPayoff(strike, premium, contracts = 1) {
  * @returns {object} Payoff profile.
  */
 export function bearPutSpreadPayoff(longStrike, shortStrike, netPremium, contracts = 1) {
-  const maxLoss = netPremium * 100 * contracts;
-  const maxProfit = (longStrike - shortStrike - netPremium) * 100 * contracts;
-  const breakeven = longStrike - netPremium;
-
-  return {
-    strategy: "Bear Put Spread",
-    maxLoss: maxLoss.toFixed(2),
-    maxProfit: maxProfit.toFixed(2),
-    breakeven: breakeven.toFixed(2),
-    description: "A bearish strategy with limited risk and limited profit potential.",
-  };
+  return presetPayoff('bearPutSpread', [
+    { type: 'put', quantity: contracts, strike: longStrike, premium: netPremium },
+    { type: 'put', quantity: -contracts, strike: shortStrike, premium: 0 },
+  ]);
 }
 
 /**
- * Calculates the payoff profile for a cash-secured put.
+ * Calculates the payoff profile for a cash-secured put; a fixed instance of the cashSecuredPut preset.
  *
  * @param {number} strike - The strike price of the put.
  * @param {number} premium - The premium received.
@@ -53,21 +287,11 @@ export function bearPutSpreadPayoff(longStrike, shortStrike, netPremium, contrac
  * @returns {object} Payoff profile.
  */
 export function cashSecuredPutPayoff(strike, premium, contracts = 1) {
-  const maxProfit = premium * 100 * contracts;
-  const breakeven = strike - premium;
-  const maxLoss = (strike * 100 * contracts) - maxProfit;
-
-  return {
-    strategy: "Cash-Secured Put",
-    maxLoss: maxLoss.toFixed(2),
-    maxProfit: maxProfit.toFixed(2),
-    breakeven: breakeven.toFixed(2),
-    description: "A neutral to bullish strategy used to acquire stock at a lower price or generate income.",
-  };
+  return presetPayoff('cashSecuredPut', [{ type: 'put', quantity: -contracts, strike, premium }]);
 }
 
 /**
- * Calculates the payoff profile for a covered call.
+ * Calculates the payoff profile for a covered call; a fixed instance of the coveredCall preset.
  *
  * @param {number} strike - The strike price of the call.
  * @param {number} premium - The premium received.
@@ -76,17 +300,8 @@ export function cashSecuredPutPayoff(strike, premium, contracts = 1) {
  * @returns {object} Payoff profile.
  */
 export function coveredCallPayoff(strike, premium, costBasis, contracts = 1) {
-  const premiumReceived = premium * 100 * contracts;
-  const sharesCost = costBasis * 100 * contracts;
-  const maxProfit = ((strike * 100 * contracts) - sharesCost) + premiumReceived;
-  const breakeven = costBasis - premium;
-  const maxLoss = sharesCost - premiumReceived;
-
-  return {
-    strategy: "Covered Call",
-    maxLoss: maxLoss.toFixed(2),
-    maxProfit: maxProfit.toFixed(2),
-    breakeven: breakeven.toFixed(2),
-    description: "Generate income from owned stock, with upside potential capped at the strike price.",
-  };
+  return presetPayoff('coveredCall', [
+    { type: 'stock', quantity: 100 * contracts, premium: costBasis },
+    { type: 'call', quantity: -contracts, strike, premium },
+  ]);
 }
\ No newline at end of file
@@ -1,4 +1,7 @@
-import { longPutPayoff, bearPutSpreadPayoff, cashSecuredPutPayoff, coveredCallPayoff } from '../utils/hedges';
+import {
+  longPutPayoff, bearPutSpreadPayoff, cashSecuredPutPayoff, coveredCallPayoff,
+  STRATEGY_PRESETS, instantiatePreset, strategyPnL, findBreakevens, analyzeStrategy, buildPayoffCurve,
+} from '../utils/hedges';
 
 describe('hedges utilities', () => {
   it('calculates long put payoff correctly', () => {
@@ -28,4 +31,71 @@ describe('hedges utilities', () => {
     expect(result.breakeven).toBe("106.00");
     expect(result.maxLoss).toBe("10600.00");
   });
-});
\ No newline at end of file
+
+  describe('strategy builder', () => {
+    const collar = [
+      { type: 'stock', quantity: 100, premium: 100 },
+      { type: 'put', quantity: 1, strike: 90, premium: 2 },
+      { type: 'call', quantity: -1, strike: 110, premium: 2 },
+    ];
+    const ironCondor = [
+      { type: 'put', quantity: 1, strike: 90, premium: 1 },
+      { type: 'put', quantity: -1, strike: 95, premium: 2.5 },
+      { type: 'call', quantity: -1, strike: 105, premium: 2.5 },
+      { type: 'call', quantity: 1, strike: 110, premium: 1 },
+    ];
+    const putRatioSpread = [
+      { type: 'put', quantity: 1, strike: 95, premium: 4 },
+      { type: 'put', quantity: -2, strike: 85, premium: 1.5 },
+    ];
+
+    it('computes P&L at expiry across legs', () => {
+      expect(strategyPnL(collar, 80)).toBeCloseTo(-1000);
+      expect(strategyPnL(collar, 130)).toBeCloseTo(1000);
+      expect(strategyPnL(ironCondor, 100)).toBeCloseTo(300);
+    });
+
+    it('analyzes a collar, an iron condor and a put ratio spread', () => {
+      expect(analyzeStrategy(collar)).toEqual({ maxProfit: 1000, maxLoss: 1000, breakevens: [expect.closeTo(100, 6)] });
+
+      const condor = analyzeStrategy(ironCondor);
+      expect(condor.maxProfit).toBeCloseTo(300);
+      expect(condor.maxLoss).toBeCloseTo(200);
+      expect(condor.breakevens.map(b => parseFloat(b.toFixed(4)))).toEqual([92, 108]);
+
+      const ratio = analyzeStrategy(putRatioSpread);
+      expect(ratio.maxProfit).toBeCloseTo(900);
+      expect(ratio.maxLoss).toBeCloseTo(7600);
+      expect(ratio.breakevens.map(b => parseFloat(b.toFixed(4)))).toEqual([76, 94]);
+    });
+
+    it('flags unlimited profit or loss', () => {
+      expect(analyzeStrategy([{ type: 'call', quantity: 1, strike: 100, premium: 3 }]).maxProfit).toBe(Infinity);
+      expect(analyzeStrategy([{ type: 'call', quantity: -1, strike: 100, premium: 3 }]).maxLoss).toBe(Infinity);
+      expect(analyzeStrategy([])).toEqual({ maxProfit: 0, maxLoss: 0, breakevens: [] });
+    });
+
+    it('finds breakevens of any curve numerically', () => {
+      expect(findBreakevens(p => (p - 3) * (p - 7), 0, 10, 100).map(b => parseFloat(b.toFixed(6)))).toEqual([3, 7]);
+    });
+
+    it('builds payoff curves at expiry and before expiry', () => {
+      const curve = buildPayoffCurve(collar, { daysRemaining: [30], minPrice: 80, maxPrice: 120, steps: 4 });
+      expect(curve.map(p => p.price)).toEqual([80, 90, 100, 110, 120]);
+      expect(curve[0].expiry).toBeCloseTo(-1000);
+      // Before expiry the put still has time value, so the loss is smaller than at expiry.
+      expect(curve[0]['T-30']).toBeGreaterThan(curve[0].expiry);
+      expect(buildPayoffCurve([])).toEqual([]);
+    });
+
+    it('instantiates presets around the underlying price', () => {
+      Object.keys(STRATEGY_PRESETS).forEach(key => expect(instantiatePreset(key, 200).length).toBe(STRATEGY_PRESETS[key].legs.length));
+      const legs = instantiatePreset('collar', 200, { daysToExpiry: 45, units: 2 });
+      expect(legs[0]).toEqual({ type: 'stock', quantity: 200, premium: 200 });
+      expect(legs[1]).toMatchObject({ type: 'put', quantity: 2, strike: 180 });
+      expect(legs[2]).toMatchObject({ type: 'call', quantity: -2, strike: 220 });
+      expect(legs[1].premium).toBeGreaterThan(0);
+      expect(instantiatePreset('unknown', 200)).toEqual([]);
+    });
+  });
+});
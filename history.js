@@ -0,0 +1,134 @@
+import { calculateAllMetrics } from './metrics';
+import { toBaseCurrency } from './fx';
+
+export const HISTORY_STORAGE_KEY = 'ibkr-margin-tracker.history';
+export const MAX_SNAPSHOTS = 500;
+
+// Tells apart snapshots taken in the same millisecond from the same source
+let snapshotCount = 0;
+
+/**
+ * Creates a timestamped snapshot of a portfolio.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} [options] - Snapshot options.
+ * @param {string} [options.timestamp] - ISO timestamp; defaults to now.
+ * @param {string} [options.source='import'] - What produced the snapshot, e.g. 'import' or 'edit'.
+ * @returns {object} { id, timestamp, source, portfolio }.
+ */
+export function createSnapshot(portfolio, { timestamp = new Date().toISOString(), source = 'import' } = {}) {
+  snapshotCount += 1;
+  return { id: `${timestamp}-${source}-${snapshotCount}`, timestamp, source, portfolio };
+}
+
+/**
+ * Reads the snapshot history from storage. Missing or corrupt data gives an empty history.
+ *
+ * @param {Storage} [storage=window.localStorage] - Where the history is kept.
+ * @returns {Array<object>} Snapshots, oldest first.
+ */
+export function loadHistory(storage = window.localStorage) {
+  try {
+    const history = JSON.parse(storage.getItem(HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(history) ? history.filter(s => s && s.timestamp && s.portfolio && Array.isArray(s.portfolio.holdings)) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Writes the snapshot history to storage.
+ *
+ * @param {Array<object>} history - Snapshots, oldest first.
+ * @param {Storage} [storage=window.localStorage] - Where the history is kept.
+ * @returns {boolean} False when storage refused the write, e.g. over quota.
+ */
+export function saveHistory(history, storage = window.localStorage) {
+  try {
+    storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Adds a snapshot to a history. A snapshot identical to the latest one is not added again,
+ * and the oldest snapshots are dropped beyond MAX_SNAPSHOTS.
+ *
+ * @param {Array<object>} history - Snapshots, oldest first.
+ * @param {object} snapshot - The snapshot from createSnapshot.
+ * @returns {Array<object>} The new history, oldest first.
+ */
+export function addSnapshot(history, snapshot) {
+  const latest = history[history.length - 1];
+  if (latest && JSON.stringify(latest.portfolio) === JSON.stringify(snapshot.portfolio)) return history;
+  const next = [...history, snapshot].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  return next.slice(-MAX_SNAPSHOTS);
+}
+
+/**
+ * Builds chartable series from a history: NLV, leverage, excess liquidity, margin health and
+ * annual dividend income for each snapshot.
+ *
+ * @param {Array<object>} history - Snapshots, oldest first.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @returns {Array<object>} One point per snapshot, with numeric values.
+ */
+export function buildTrendSeries(history, marginRules = null) {
+  return history.map(snapshot => {
+    const metrics = calculateAllMetrics(snapshot.portfolio, 0.5, 0.25, marginRules);
+    return {
+      id: snapshot.id,
+      timestamp: snapshot.timestamp,
+      date: snapshot.timestamp.slice(0, 10),
+      netLiquidationValue: parseFloat(metrics.netLiquidationValue),
+      leverage: parseFloat(metrics.leverage),
+      excessLiquidity: parseFloat(metrics.excessLiquidity),
+      marginHealth: parseFloat(metrics.marginHealth),
+      dividendIncome: toBaseCurrency(snapshot.portfolio).holdings.reduce((acc, h) => acc + (h.annualDividend || 0), 0),
+    };
+  });
+}
+
+/**
+ * Compares two snapshots position by position, in each snapshot's base currency.
+ *
+ * @param {object} before - The earlier snapshot.
+ * @param {object} after - The later snapshot.
+ * @returns {object} positions with a status of 'new', 'closed', 'changed' or 'unchanged' and
+ *   their quantity and market value changes, plus the change in margin used and cash.
+ */
+export function diffSnapshots(before, after) {
+  const from = toBaseCurrency(before.portfolio);
+  const to = toBaseCurrency(after.portfolio);
+  const index = holdings => holdings.reduce((acc, h) => ({ ...acc, [h.ticker]: h }), {});
+  const previous = index(from.holdings);
+  const next = index(to.holdings);
+  const tickers = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+  const positions = tickers.map(ticker => {
+    const old = previous[ticker];
+    const current = next[ticker];
+    const quantityBefore = old ? old.quantity : 0;
+    const quantityAfter = current ? current.quantity : 0;
+    let status = 'unchanged';
+    if (!old) status = 'new';
+    else if (!current) status = 'closed';
+    else if (quantityBefore !== quantityAfter) status = 'changed';
+    return {
+      ticker,
+      status,
+      quantityBefore,
+      quantityAfter,
+      quantityChange: quantityAfter - quantityBefore,
+      marketValueChange: (current ? current.marketValue : 0) - (old ? old.marketValue : 0),
+    };
+  });
+
+  return {
+    positions,
+    marginUsedChange: to.marginUsed - from.marginUsed,
+    cashChange: to.cash - from.cash,
+  };
+}
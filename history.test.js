@@ -0,0 +1,90 @@
+import {
+  HISTORY_STORAGE_KEY,
+  MAX_SNAPSHOTS,
+  createSnapshot,
+  loadHistory,
+  saveHistory,
+  addSnapshot,
+  buildTrendSeries,
+  diffSnapshots,
+} from '../utils/history';
+import { createMarginRules } from '../utils/margin-rules';
+
+describe('snapshot history', () => {
+  const january = {
+    cash: 15000,
+    marginUsed: 55000,
+    holdings: [
+      { ticker: 'AAPL', quantity: 100, marketValue: 17500, annualDividend: 92 },
+      { ticker: 'JPM', quantity: 150, marketValue: 22500, annualDividend: 630 },
+      { ticker: 'XOM', quantity: 200, marketValue: 24000, annualDividend: 736 },
+    ],
+  };
+  const february = {
+    cash: 10000,
+    marginUsed: 40000,
+    holdings: [
+      { ticker: 'AAPL', quantity: 150, marketValue: 27000, annualDividend: 138 },
+      { ticker: 'JPM', quantity: 150, marketValue: 24000, annualDividend: 630 },
+      { ticker: 'KO', quantity: 100, marketValue: 6500, annualDividend: 204 },
+    ],
+  };
+  const first = createSnapshot(january, { timestamp: '2026-01-31T21:00:00.000Z' });
+  const second = createSnapshot(february, { timestamp: '2026-02-28T21:00:00.000Z', source: 'edit' });
+
+  const memoryStorage = () => {
+    const items = {};
+    return {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = value; },
+    };
+  };
+
+  it('persists history to storage and tolerates corrupt data', () => {
+    const storage = memoryStorage();
+    expect(loadHistory(storage)).toEqual([]);
+    expect(saveHistory([first, second], storage)).toBe(true);
+    expect(loadHistory(storage)).toEqual([first, second]);
+
+    storage.setItem(HISTORY_STORAGE_KEY, '{not json');
+    expect(loadHistory(storage)).toEqual([]);
+    expect(saveHistory([first], { setItem: () => { throw new Error('QuotaExceededError'); } })).toBe(false);
+  });
+
+  it('gives snapshots from the same source and millisecond their own ids', () => {
+    const again = createSnapshot(february, { timestamp: first.timestamp });
+    expect(again.id).not.toBe(first.id);
+    expect(again.id.startsWith(`${first.timestamp}-import-`)).toBe(true);
+  });
+
+  it('keeps snapshots in time order, skips unchanged portfolios and caps the history', () => {
+    const history = addSnapshot(addSnapshot([], second), first);
+    expect(history.map(s => s.timestamp)).toEqual([first.timestamp, second.timestamp]);
+    expect(addSnapshot(history, createSnapshot(february, { timestamp: '2026-03-01T00:00:00.000Z' }))).toBe(history);
+
+    let long = [];
+    for (let day = 0; day < MAX_SNAPSHOTS + 5; day++) {
+      long = addSnapshot(long, createSnapshot({ ...january, cash: day }, { timestamp: new Date(Date.UTC(2025, 0, 1 + day)).toISOString() }));
+    }
+    expect(long).toHaveLength(MAX_SNAPSHOTS);
+    expect(long[0].portfolio.cash).toBe(5);
+  });
+
+  it('builds trend series from snapshots', () => {
+    const series = buildTrendSeries([first, second], createMarginRules(0.5, 0.25));
+    expect(series[0]).toMatchObject({ date: '2026-01-31', netLiquidationValue: 24000, leverage: 2.67, excessLiquidity: 8000, marginHealth: 33.33, dividendIncome: 1458 });
+    expect(series[1]).toMatchObject({ date: '2026-02-28', netLiquidationValue: 27500, dividendIncome: 972 });
+  });
+
+  it('diffs two snapshots by position', () => {
+    const diff = diffSnapshots(first, second);
+    expect(diff.positions).toEqual([
+      { ticker: 'AAPL', status: 'changed', quantityBefore: 100, quantityAfter: 150, quantityChange: 50, marketValueChange: 9500 },
+      { ticker: 'JPM', status: 'unchanged', quantityBefore: 150, quantityAfter: 150, quantityChange: 0, marketValueChange: 1500 },
+      { ticker: 'XOM', status: 'closed', quantityBefore: 200, quantityAfter: 0, quantityChange: -200, marketValueChange: -24000 },
+      { ticker: 'KO', status: 'new', quantityBefore: 0, quantityAfter: 100, quantityChange: 100, marketValueChange: 6500 },
+    ]);
+    expect(diff.marginUsedChange).toBe(-15000);
+    expect(diff.cashChange).toBe(-5000);
+  });
+});
@@ -0,0 +1,205 @@
+import Papa from 'papaparse';
+import { TEMPLATE_COLUMNS } from './importer';
+
+/** Holding fields that must be numbers. */
+export const HOLDING_NUMBER_FIELDS = ['quantity', 'marketValue', 'costBasis', 'annualDividend'];
+
+// Grid columns a user can type into; `price` is market value per share or contract.
+const EDITABLE_FIELDS = ['ticker', 'sector', 'quantity', 'price', 'costBasis', 'annualDividend'];
+
+const FIELD_LABELS = {
+  ticker: 'Ticker',
+  sector: 'Sector',
+  quantity: 'Quantity',
+  price: 'Price',
+  marketValue: 'Market value',
+  costBasis: 'Cost basis',
+  annualDividend: 'Dividend',
+  cash: 'Cash',
+  marginUsed: 'Margin used',
+};
+
+const isOption = holding => Boolean(holding.right);
+const contractSize = holding => (isOption(holding) ? holding.multiplier || 100 : 1);
+
+/**
+ * Parses a number typed into a cell, allowing thousands separators and a leading `$`.
+ *
+ * @param {string|number} text - The cell contents.
+ * @returns {number} The number, or NaN when the cell is blank or not numeric.
+ */
+export function parseNumberCell(text) {
+  if (typeof text === 'number') return text;
+  const cleaned = String(text ?? '').trim().replace(/^\$/, '').replace(/,/g, '');
+  return cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned) ? NaN : Number(cleaned);
+}
+
+/**
+ * The price per share, or per contract for option legs. Shorts have a negative quantity and
+ * market value, so their price is positive too. A holding with no quantity has no market value
+ * to divide, so its `lastPrice` is used instead.
+ *
+ * @param {object} holding - The holding.
+ * @returns {number} The price; 0 for a holding with no quantity and no last price.
+ */
+export function holdingUnitPrice(holding) {
+  return holding.quantity ? holding.marketValue / (holding.quantity * contractSize(holding)) : holding.lastPrice || 0;
+}
+
+/**
+ * Applies one cell edit to a holding. Numbers are parsed from the typed text; a change of
+ * quantity keeps the price and scales the market value and annual dividend with it, and a
+ * change of price revalues the position and replaces its last quote. The price is kept as
+ * `lastPrice`, so it survives a quantity of 0 (a new row, or a cell cleared while typing).
+ * Toggling `short` flips the sign of the position.
+ *
+ * @param {object} holding - The holding.
+ * @param {string} field - One of ticker, sector, quantity, price, costBasis, annualDividend or short.
+ * @param {string|number|boolean} value - The typed value.
+ * @returns {object} { holding, error }; on error the holding is returned unchanged.
+ */
+export function editHolding(holding, field, value) {
+  if (field === 'short') {
+    const short = Boolean(value);
+    const flip = short === (holding.quantity < 0) ? 1 : -1;
+    const { short: _previous, ...rest } = holding;
+    return { holding: { ...rest, quantity: holding.quantity * flip, marketValue: holding.marketValue * flip, ...(short && { short }) }, error: null };
+  }
+  if (!EDITABLE_FIELDS.includes(field)) return { holding, error: `${field} cannot be edited.` };
+  if (field === 'ticker') return { holding: { ...holding, ticker: String(value).trim().toUpperCase() }, error: null };
+  if (field === 'sector') return { holding: { ...holding, sector: String(value).trim() || 'Uncategorized' }, error: null };
+
+  const number = parseNumberCell(value);
+  if (isNaN(number)) return { holding, error: `${FIELD_LABELS[field]} must be a number.` };
+
+  if (field === 'quantity') {
+    const price = holdingUnitPrice(holding);
+    const scale = holding.quantity ? number / holding.quantity : 0;
+    return {
+      holding: {
+        ...holding,
+        quantity: number,
+        marketValue: number * price * contractSize(holding),
+        annualDividend: holding.quantity ? (holding.annualDividend || 0) * scale : holding.annualDividend,
+        ...(price && { lastPrice: price }),
+      },
+      error: null,
+    };
+  }
+  if (field === 'price') {
+    // A typed price replaces the last quote
+    const { quoteTime: _quoteTime, ...rest } = holding;
+    return { holding: { ...rest, marketValue: holding.quantity * number * contractSize(holding), lastPrice: number }, error: null };
+  }
+  return { holding: { ...holding, [field]: number }, error: null };
+}
+
+/**
+ * Checks a portfolio row by row: every holding needs a ticker and numeric values, a position
+ * needs a price, negative quantities are only allowed on short positions and written option
+ * legs, and a ticker may appear only once. Cash and margin used must be non-negative numbers.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {Array<object>} Issues: { row, ticker, field, message }. `row` is the holding index,
+ *   or null for account fields.
+ */
+export function validatePortfolio(portfolio) {
+  if (!portfolio || !Array.isArray(portfolio.holdings)) return [];
+  const issues = [];
+  const add = (row, ticker, field, message) => issues.push({ row, ticker, field, message });
+  const firstRow = {};
+
+  portfolio.holdings.forEach((h, row) => {
+    const ticker = typeof h.ticker === 'string' ? h.ticker.trim() : '';
+    if (!ticker) add(row, null, 'ticker', 'Ticker is required.');
+
+    const badFields = HOLDING_NUMBER_FIELDS.filter(field => typeof h[field] !== 'number' || !isFinite(h[field]));
+    badFields.forEach(field => add(row, ticker, field, `${FIELD_LABELS[field]} is not a number.`));
+
+    if (!badFields.includes('quantity')) {
+      if (h.quantity < 0 && !h.short && !isOption(h)) add(row, ticker, 'quantity', 'Negative quantity is only allowed for short positions.');
+      if (h.short && h.quantity > 0) add(row, ticker, 'quantity', 'Short positions need a negative quantity.');
+      if (!badFields.includes('marketValue') && h.quantity * h.marketValue < 0) add(row, ticker, 'price', 'Price cannot be negative.');
+      if (!badFields.includes('marketValue') && h.quantity !== 0 && h.marketValue === 0) add(row, ticker, 'price', 'Price is required for a position.');
+    }
+
+    if (ticker) {
+      const key = ticker.toUpperCase();
+      if (firstRow[key] === undefined) firstRow[key] = row;
+      else add(row, ticker, 'ticker', `Duplicate of row ${firstRow[key] + 1}.`);
+    }
+  });
+
+  ['cash', 'marginUsed'].forEach(field => {
+    const value = portfolio[field];
+    if (typeof value !== 'number' || !isFinite(value)) add(null, null, field, `${FIELD_LABELS[field]} is not a number.`);
+    else if (value < 0) add(null, null, field, `${FIELD_LABELS[field]} cannot be negative.`);
+  });
+  return issues;
+}
+
+/**
+ * Merges holdings that share a ticker into the first of them, adding up quantity, market value,
+ * cost basis and annual dividend.
+ *
+ * @param {Array<object>} holdings - Portfolio holdings.
+ * @returns {Array<object>} Holdings with one row per ticker, in first-seen order.
+ */
+export function mergeDuplicateHoldings(holdings) {
+  const merged = [];
+  const byTicker = {};
+  holdings.forEach(h => {
+    const key = String(h.ticker || '').trim().toUpperCase();
+    const existing = key ? byTicker[key] : undefined;
+    if (existing === undefined) {
+      if (key) byTicker[key] = merged.length;
+      merged.push(h);
+      return;
+    }
+    const first = merged[existing];
+    const sum = field => (first[field] || 0) + (h[field] || 0);
+    const quantity = sum('quantity');
+    const { short: _short, ...rest } = first;
+    merged[existing] = {
+      ...rest,
+      quantity,
+      marketValue: sum('marketValue'),
+      costBasis: sum('costBasis'),
+      annualDividend: sum('annualDividend'),
+      ...(quantity < 0 && !isOption(first) && { short: true }),
+    };
+  });
+  return merged;
+}
+
+/**
+ * Serializes a portfolio as the template CSV the tracker imports: one row per holding, with
+ * cash and margin used on the first row. Only the template columns are written; currencies,
+ * option contracts and dividend schedules need the JSON export.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {string} The CSV text.
+ */
+export function exportPortfolioCsv(portfolio) {
+  const rows = portfolio.holdings.map((h, index) => ({
+    ticker: h.ticker,
+    quantity: h.quantity,
+    marketValue: h.marketValue,
+    costBasis: h.costBasis,
+    annualDividend: h.annualDividend,
+    sector: h.sector,
+    cash: index === 0 ? portfolio.cash : '',
+    marginUsed: index === 0 ? portfolio.marginUsed : '',
+  }));
+  return Papa.unparse(rows, { columns: TEMPLATE_COLUMNS });
+}
+
+/**
+ * Serializes a portfolio as JSON in the shape of the account snapshot, keeping every field.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @returns {string} The portfolio as pretty-printed JSON.
+ */
+export function exportPortfolioJson(portfolio) {
+  return JSON.stringify(portfolio, null, 2);
+}
@@ -0,0 +1,85 @@
+import { parseNumberCell, holdingUnitPrice, editHolding, validatePortfolio, mergeDuplicateHoldings, exportPortfolioCsv, exportPortfolioJson } from '../utils/holdings';
+import { importPortfolioFile } from '../utils/importer';
+
+describe('holdings editing', () => {
+  const aapl = { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, sector: 'Technology' };
+  const put = { ticker: 'SPY 20261218 400P', underlying: 'SPY', right: 'P', strike: 400, expiry: '2026-12-18', multiplier: 100, quantity: -2, marketValue: -1000, costBasis: -1200, annualDividend: 0, sector: 'Index' };
+
+  it('parses typed numbers', () => {
+    expect(parseNumberCell('1,234.50')).toBe(1234.5);
+    expect(parseNumberCell('$-20')).toBe(-20);
+    expect(parseNumberCell(' 7 ')).toBe(7);
+    expect(parseNumberCell('')).toBeNaN();
+    expect(parseNumberCell('12abc')).toBeNaN();
+  });
+
+  it('keeps the price when the quantity changes and revalues on a new price', () => {
+    const { holding } = editHolding(aapl, 'quantity', '200');
+    expect(holding).toMatchObject({ quantity: 200, marketValue: 35000, annualDividend: 184, costBasis: 15000 });
+    expect(editHolding(aapl, 'price', '180').holding.marketValue).toBe(18000);
+    expect(holdingUnitPrice(put)).toBe(5);
+    expect(editHolding(put, 'price', '6').holding.marketValue).toBe(-1200);
+    expect(editHolding(aapl, 'ticker', ' msft ').holding.ticker).toBe('MSFT');
+  });
+
+  it('keeps a price typed before the quantity and through a quantity of 0', () => {
+    const empty = { ticker: 'MSFT', quantity: 0, marketValue: 0, costBasis: 0, annualDividend: 0, sector: 'Uncategorized' };
+    const priced = editHolding(empty, 'price', '150').holding;
+    expect(holdingUnitPrice(priced)).toBe(150);
+    expect(editHolding(priced, 'quantity', '10').holding).toMatchObject({ quantity: 10, marketValue: 1500, lastPrice: 150 });
+
+    const cleared = editHolding(aapl, 'quantity', '0').holding;
+    expect(cleared.marketValue).toBe(0);
+    expect(editHolding(cleared, 'quantity', '0.5').holding.marketValue).toBe(87.5);
+  });
+
+  it('rejects non-numeric cells and flips shorts', () => {
+    const result = editHolding(aapl, 'costBasis', 'lots');
+    expect(result.error).toBe('Cost basis must be a number.');
+    expect(result.holding).toBe(aapl);
+    const short = editHolding(aapl, 'short', true).holding;
+    expect(short).toMatchObject({ quantity: -100, marketValue: -17500, short: true });
+    expect(editHolding(short, 'short', false).holding).toEqual(aapl);
+  });
+
+  it('flags invalid rows', () => {
+    const issues = validatePortfolio({
+      cash: -5,
+      marginUsed: 0,
+      holdings: [
+        aapl,
+        { ...aapl, ticker: 'XOM', quantity: -10, marketValue: -1200 },
+        { ...aapl, ticker: 'KO', quantity: -10, marketValue: -600, short: true },
+        put,
+        { ...aapl, ticker: 'aapl', costBasis: 'n/a' },
+        { ...aapl, ticker: '' },
+      ],
+    });
+    expect(issues.map(({ row, field, message }) => [row, field, message])).toEqual([
+      [1, 'quantity', 'Negative quantity is only allowed for short positions.'],
+      [4, 'costBasis', 'Cost basis is not a number.'],
+      [4, 'ticker', 'Duplicate of row 1.'],
+      [5, 'ticker', 'Ticker is required.'],
+      [null, 'cash', 'Cash cannot be negative.'],
+    ]);
+    expect(validatePortfolio({ cash: 0, marginUsed: 0, holdings: [{ ...aapl, marketValue: -1 }] })[0].message).toBe('Price cannot be negative.');
+    expect(validatePortfolio({ cash: 0, marginUsed: 0, holdings: [{ ...aapl, marketValue: 0 }] })[0].message).toBe('Price is required for a position.');
+  });
+
+  it('merges duplicate tickers', () => {
+    const merged = mergeDuplicateHoldings([aapl, put, { ...aapl, ticker: 'aapl', quantity: 50, marketValue: 8750, costBasis: 9000, annualDividend: 46 }]);
+    expect(merged).toHaveLength(2);
+    expect(merged[0]).toEqual({ ...aapl, quantity: 150, marketValue: 26250, costBasis: 24000, annualDividend: 138 });
+  });
+
+  it('exports portfolios the importer reads back', () => {
+    const portfolio = { cash: 100, marginUsed: 2000, holdings: [aapl, { ...aapl, ticker: 'KO', quantity: -10, marketValue: -600, short: true }] };
+    const csv = exportPortfolioCsv(portfolio);
+    expect(csv.split('\r\n')[0]).toBe('ticker,quantity,marketValue,costBasis,annualDividend,sector,cash,marginUsed');
+    expect(importPortfolioFile(csv).portfolio).toEqual({ ...portfolio, holdings: portfolio.holdings.map(h => ({ ...h })) });
+
+    const json = importPortfolioFile(exportPortfolioJson({ ...portfolio, holdings: [put] }));
+    expect(json.format).toBe('json');
+    expect(json.portfolio.holdings).toEqual([put]);
+  });
+});
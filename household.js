@@ -0,0 +1,306 @@
+import { calculateAllMetrics } from './metrics';
+import { createMarginRules } from './margin-rules';
+import { getMarginCallThreshold, analyzeCorrelation, runSingleScenario } from './stress';
+import { runScenario } from './scenarios';
+import { DEFAULT_BASE_CURRENCY, conversionRate, toBaseCurrency } from './fx';
+
+export const HOUSEHOLD_STORAGE_KEY = 'ibkr-margin-tracker.household';
+
+/** Account types; IRAs are cash accounts unless marked otherwise. */
+export const ACCOUNT_TYPES = {
+  individual: { label: 'Individual', cashOnly: false },
+  joint: { label: 'Joint', cashOnly: false },
+  ira: { label: 'IRA', cashOnly: true },
+};
+
+/** Cash accounts cannot borrow, so every position needs 100% of its value in equity. */
+export const CASH_ACCOUNT_MARGIN_RULES = createMarginRules(1, 1);
+
+const METRIC_FIELDS = ['netLiquidationValue', 'totalEquity', 'marketValue', 'maintenanceMargin', 'initialMargin', 'excessLiquidity', 'buyingPower'];
+
+/**
+ * Whether an account is a cash account. An explicit `cashOnly` wins over the account type.
+ *
+ * @param {object} account - The account: { id, name, type, cashOnly?, portfolio }.
+ * @returns {boolean} True for cash accounts.
+ */
+export function isCashAccount(account) {
+  if (typeof account.cashOnly === 'boolean') return account.cashOnly;
+  return Boolean(ACCOUNT_TYPES[account.type] && ACCOUNT_TYPES[account.type].cashOnly);
+}
+
+/**
+ * The margin rule set for an account: cash accounts always use CASH_ACCOUNT_MARGIN_RULES.
+ *
+ * @param {object} account - The account.
+ * @param {object} [marginRules] - The rule set for margin accounts.
+ * @returns {object|null} The rule set to pass to calculateAllMetrics.
+ */
+export function accountMarginRules(account, marginRules = null) {
+  return isCashAccount(account) ? CASH_ACCOUNT_MARGIN_RULES : marginRules;
+}
+
+/**
+ * Checks that a cash account holds nothing that needs margin: no loan, no short stock and no
+ * written options.
+ *
+ * @param {object} account - The account.
+ * @returns {Array<string>} Problems found; empty for margin accounts.
+ */
+export function validateAccount(account) {
+  if (!isCashAccount(account) || !account.portfolio) return [];
+  const portfolio = toBaseCurrency(account.portfolio);
+  const issues = [];
+  if ((portfolio.marginUsed || 0) > 0) issues.push(`${account.name} is a cash account but has a margin loan of ${portfolio.marginUsed.toFixed(2)}.`);
+  (portfolio.holdings || []).filter(h => h.quantity < 0).forEach(h => {
+    issues.push(`${account.name} is a cash account but is short ${h.ticker}.`);
+  });
+  return issues;
+}
+
+// The rate from an account's base currency to the household's, using the account's own rates where it has them.
+function householdRate(account, baseCurrency, fxRates) {
+  const from = account.portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  return conversionRate(from, baseCurrency, account.portfolio.fxRates || fxRates)
+    ?? conversionRate(from, baseCurrency, fxRates)
+    ?? 1;
+}
+
+// Accounts are converted to the household's base currency before they are combined.
+function inHouseholdCurrency(account, baseCurrency, fxRates) {
+  const portfolio = toBaseCurrency(account.portfolio);
+  const rate = householdRate(account, baseCurrency, fxRates);
+  if (rate === 1) return { ...portfolio, baseCurrency };
+  return {
+    ...portfolio,
+    baseCurrency,
+    cash: portfolio.cash * rate,
+    marginUsed: portfolio.marginUsed * rate,
+    holdings: portfolio.holdings.map(h => ({
+      ...h,
+      currency: baseCurrency,
+      marketValue: (h.marketValue || 0) * rate,
+      costBasis: (h.costBasis || 0) * rate,
+      annualDividend: (h.annualDividend || 0) * rate,
+    })),
+  };
+}
+
+/**
+ * Combines accounts into one household portfolio in a common currency. Each holding keeps the
+ * name of its account in `account`, and cash and margin loans are summed.
+ *
+ * @param {Array<object>} accounts - The accounts.
+ * @param {object} [options] - Aggregation options.
+ * @param {string} [options.baseCurrency='USD'] - The household currency.
+ * @param {object} [options.fxRates] - Rates for accounts whose own rates do not cover the household currency.
+ * @returns {object} The combined portfolio.
+ */
+export function combineAccounts(accounts, { baseCurrency = DEFAULT_BASE_CURRENCY, fxRates = null } = {}) {
+  const converted = (accounts || []).filter(a => a.portfolio).map(a => ({ account: a, portfolio: inHouseholdCurrency(a, baseCurrency, fxRates) }));
+  return {
+    baseCurrency,
+    cash: converted.reduce((acc, { portfolio }) => acc + (portfolio.cash || 0), 0),
+    marginUsed: converted.reduce((acc, { portfolio }) => acc + (portfolio.marginUsed || 0), 0),
+    holdings: converted.flatMap(({ account, portfolio }) => portfolio.holdings.map(h => ({ ...h, account: account.name }))),
+  };
+}
+
+function exposureBy(holdings, key, total) {
+  const groups = holdings.reduce((acc, h) => {
+    const group = key(h);
+    const entry = acc[group] || { marketValue: 0, accounts: {} };
+    entry.marketValue += h.marketValue || 0;
+    entry.accounts[h.account] = (entry.accounts[h.account] || 0) + (h.marketValue || 0);
+    acc[group] = entry;
+    return acc;
+  }, {});
+  return Object.entries(groups)
+    .map(([name, { marketValue, accounts }]) => ({ name, marketValue, share: total > 0 ? (marketValue / total) * 100 : 0, accounts }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+}
+
+/**
+ * Household exposure by ticker and by sector across all accounts. Option legs count toward
+ * their underlying.
+ *
+ * @param {object} household - The combined portfolio from combineAccounts.
+ * @returns {object} { byTicker, bySector }, each a list of { name, marketValue, share, accounts }
+ *   sorted by market value, with share in percent of the household's market value and
+ *   accounts mapping account name to market value.
+ */
+export function householdExposure(household) {
+  const total = household.holdings.reduce((acc, h) => acc + (h.marketValue || 0), 0);
+  return {
+    byTicker: exposureBy(household.holdings, h => h.underlying || h.ticker, total),
+    bySector: exposureBy(household.holdings, h => h.sector || 'Uncategorized', total),
+  };
+}
+
+// Metrics from calculateAllMetrics, with the amounts converted at `rate`; ratios are unchanged.
+function convertMetrics(metrics, rate) {
+  if (rate === 1) return metrics;
+  return {
+    ...metrics,
+    ...Object.fromEntries(METRIC_FIELDS.map(field => [field, (parseFloat(metrics[field]) * rate).toFixed(2)])),
+  };
+}
+
+/**
+ * Adds up per-account metrics into household metrics. Margin is not shared between accounts,
+ * so requirements, excess liquidity and buying power are summed account by account rather
+ * than computed on the combined holdings.
+ *
+ * @param {Array<object>} metricsList - Metrics from calculateAllMetrics, one per account.
+ * @returns {object} Household metrics, formatted like calculateAllMetrics.
+ */
+export function sumAccountMetrics(metricsList) {
+  const totals = Object.fromEntries(METRIC_FIELDS.map(field => [
+    field,
+    metricsList.reduce((acc, m) => acc + (parseFloat(m[field]) || 0), 0),
+  ]));
+  const nlv = totals.netLiquidationValue;
+  return {
+    ...Object.fromEntries(Object.entries(totals).map(([field, value]) => [field, value.toFixed(2)])),
+    leverage: nlv > 0 ? (totals.marketValue / nlv).toFixed(2) : '0.00',
+    marginHealth: nlv > 0 ? ((totals.excessLiquidity / nlv) * 100).toFixed(2) : '0.00',
+  };
+}
+
+/**
+ * Per-account metrics, margin-call distance and concentration, and the household view. Each
+ * account is margined in its own currency and its metrics are converted to the household
+ * currency, so the accounts and their totals are all in one currency.
+ *
+ * @param {Array<object>} accounts - The accounts.
+ * @param {object} [marginRules] - Rule set for margin accounts; cash accounts use CASH_ACCOUNT_MARGIN_RULES.
+ * @param {object} [options] - Aggregation options, as for combineAccounts.
+ * @param {string} [options.baseCurrency='USD'] - The household currency.
+ * @param {object} [options.fxRates] - Rates for accounts whose own rates do not cover the household currency.
+ * @returns {object} { accounts: [{ id, name, type, cashOnly, metrics, marginCall, concentration, issues }],
+ *   household: { portfolio, metrics, concentration, exposure } }.
+ */
+export function analyzeHousehold(accounts, marginRules = null, { baseCurrency = DEFAULT_BASE_CURRENCY, fxRates = null } = {}) {
+  const rows = (accounts || []).filter(a => a.portfolio).map(account => {
+    const rules = accountMarginRules(account, marginRules);
+    const rate = householdRate(account, baseCurrency, fxRates);
+    const marginCall = getMarginCallThreshold(account.portfolio, 0.25, rules);
+    return {
+      id: account.id,
+      name: account.name,
+      type: account.type,
+      cashOnly: isCashAccount(account),
+      metrics: convertMetrics(calculateAllMetrics(account.portfolio, 0.5, 0.25, rules), rate),
+      marginCall: marginCall.marketValueDrop === 'N/A' || rate === 1
+        ? marginCall
+        : { ...marginCall, marketValueDrop: (parseFloat(marginCall.marketValueDrop) * rate).toFixed(2) },
+      concentration: analyzeCorrelation(toBaseCurrency(account.portfolio).holdings),
+      issues: validateAccount(account),
+    };
+  });
+  const portfolio = combineAccounts(accounts, { baseCurrency, fxRates });
+  return {
+    accounts: rows,
+    household: {
+      portfolio,
+      metrics: sumAccountMetrics(rows.map(r => r.metrics)),
+      concentration: analyzeCorrelation(portfolio.holdings),
+      exposure: householdExposure(portfolio),
+    },
+  };
+}
+
+function householdStressRow(perAccount) {
+  return {
+    accounts: perAccount,
+    household: {
+      metrics: sumAccountMetrics(perAccount.map(a => a.metrics)),
+      breachingAccounts: perAccount.filter(a => parseFloat(a.metrics.excessLiquidity) < 0).map(a => a.name),
+    },
+  };
+}
+
+/**
+ * Runs a scenario from the scenario library on every account with its own margin rules.
+ * Results are converted to the household currency.
+ *
+ * @param {Array<object>} accounts - The accounts.
+ * @param {object} scenario - The scenario.
+ * @param {object} [marginRules] - Rule set for margin accounts.
+ * @param {object} [options] - Aggregation options, as for analyzeHousehold.
+ * @param {string} [options.baseCurrency='USD'] - The household currency.
+ * @param {object} [options.fxRates] - Rates for accounts whose own rates do not cover the household currency.
+ * @returns {object} { accounts: [{ id, name, metrics, nlvChange, breachesMaintenance }],
+ *   household: { metrics, nlvChange, breachingAccounts } }.
+ */
+export function runHouseholdScenario(accounts, scenario, marginRules = null, { baseCurrency = DEFAULT_BASE_CURRENCY, fxRates = null } = {}) {
+  const perAccount = (accounts || []).filter(a => a.portfolio).map(account => {
+    const result = runScenario(account.portfolio, scenario, accountMarginRules(account, marginRules));
+    const rate = householdRate(account, baseCurrency, fxRates);
+    return {
+      id: account.id,
+      name: account.name,
+      metrics: convertMetrics(result.metrics, rate),
+      nlvChange: result.nlvChange * rate,
+      breachesMaintenance: result.breachesMaintenance,
+    };
+  });
+  const row = householdStressRow(perAccount);
+  row.household.nlvChange = perAccount.reduce((acc, a) => acc + a.nlvChange, 0);
+  return row;
+}
+
+/**
+ * Applies a uniform market drop to every account, as runSingleScenario does for one portfolio.
+ * Results are converted to the household currency.
+ *
+ * @param {Array<object>} accounts - The accounts.
+ * @param {number} dropPercent - The fractional drop, e.g. 0.2.
+ * @param {object} [marginRules] - Rule set for margin accounts.
+ * @param {object} [options] - Aggregation options, as for analyzeHousehold.
+ * @param {string} [options.baseCurrency='USD'] - The household currency.
+ * @param {object} [options.fxRates] - Rates for accounts whose own rates do not cover the household currency.
+ * @returns {object} { accounts: [{ id, name, metrics }], household: { metrics, breachingAccounts } }.
+ */
+export function runHouseholdMarketDrop(accounts, dropPercent, marginRules = null, { baseCurrency = DEFAULT_BASE_CURRENCY, fxRates = null } = {}) {
+  const perAccount = (accounts || []).filter(a => a.portfolio).map(account => ({
+    id: account.id,
+    name: account.name,
+    metrics: convertMetrics(
+      runSingleScenario(toBaseCurrency(account.portfolio), dropPercent, accountMarginRules(account, marginRules)),
+      householdRate(account, baseCurrency, fxRates),
+    ),
+  }));
+  return householdStressRow(perAccount);
+}
+
+/**
+ * Reads the saved household accounts. Missing or corrupt data gives no accounts.
+ *
+ * @param {Storage} [storage=window.localStorage] - Where the accounts are kept.
+ * @returns {Array<object>} The accounts.
+ */
+export function loadHousehold(storage = window.localStorage) {
+  try {
+    const accounts = JSON.parse(storage.getItem(HOUSEHOLD_STORAGE_KEY) || '[]');
+    return Array.isArray(accounts) ? accounts.filter(a => a && a.id && a.portfolio && Array.isArray(a.portfolio.holdings)) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Writes the household accounts to storage.
+ *
+ * @param {Array<object>} accounts - The accounts.
+ * @param {Storage} [storage=window.localStorage] - Where the accounts are kept.
+ * @returns {boolean} False when storage is full or unavailable.
+ */
+export function saveHousehold(accounts, storage = window.localStorage) {
+  try {
+    storage.setItem(HOUSEHOLD_STORAGE_KEY, JSON.stringify(accounts));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
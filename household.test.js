@@ -0,0 +1,100 @@
+import {
+  isCashAccount, accountMarginRules, validateAccount, combineAccounts, householdExposure, analyzeHousehold,
+  runHouseholdScenario, runHouseholdMarketDrop, loadHousehold, saveHousehold, CASH_ACCOUNT_MARGIN_RULES, HOUSEHOLD_STORAGE_KEY,
+} from '../utils/household';
+
+describe('household aggregation', () => {
+  const individual = {
+    id: 'ind', name: 'Individual', type: 'individual',
+    portfolio: {
+      cash: 0, marginUsed: 20000,
+      holdings: [
+        { ticker: 'AAPL', quantity: 200, marketValue: 35000, costBasis: 30000, annualDividend: 184, sector: 'Technology' },
+        { ticker: 'XOM', quantity: 100, marketValue: 12000, costBasis: 10000, annualDividend: 368, sector: 'Energy' },
+      ],
+    },
+  };
+  const ira = {
+    id: 'ira', name: 'IRA', type: 'ira',
+    portfolio: {
+      cash: 5000, marginUsed: 0,
+      holdings: [{ ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, sector: 'Technology' }],
+    },
+  };
+  const euro = {
+    id: 'eur', name: 'Joint', type: 'joint',
+    portfolio: { cash: 1000, marginUsed: 0, baseCurrency: 'EUR', fxRates: { base: 'USD', rates: { EUR: 1.1 } }, holdings: [{ ticker: 'ASML', quantity: 10, marketValue: 7000, costBasis: 6000, annualDividend: 60, sector: 'Technology', currency: 'EUR' }] },
+  };
+
+  it('treats IRAs as cash accounts unless told otherwise', () => {
+    expect(isCashAccount(ira)).toBe(true);
+    expect(isCashAccount(individual)).toBe(false);
+    expect(isCashAccount({ ...ira, cashOnly: false })).toBe(false);
+    expect(accountMarginRules(ira, { mode: 'portfolio' })).toBe(CASH_ACCOUNT_MARGIN_RULES);
+    expect(validateAccount(ira)).toEqual([]);
+    expect(validateAccount({ ...ira, portfolio: { ...ira.portfolio, marginUsed: 100, holdings: [{ ticker: 'TSLA', quantity: -1, marketValue: -250 }] } })).toEqual([
+      'IRA is a cash account but has a margin loan of 100.00.',
+      'IRA is a cash account but is short TSLA.',
+    ]);
+  });
+
+  it('combines accounts in one currency and reports exposure across them', () => {
+    const household = combineAccounts([individual, ira, euro]);
+    expect(household.cash).toBeCloseTo(6100);
+    expect(household.marginUsed).toBe(20000);
+    expect(household.holdings.find(h => h.ticker === 'ASML')).toMatchObject({ marketValue: expect.closeTo(7700), account: 'Joint', currency: 'USD' });
+
+    const { byTicker, bySector } = householdExposure(household);
+    expect(byTicker[0]).toMatchObject({ name: 'AAPL', marketValue: 52500, accounts: { Individual: 35000, IRA: 17500 } });
+    expect(byTicker[0].share).toBeCloseTo((52500 / 72200) * 100);
+    expect(bySector.map(s => s.name)).toEqual(['Technology', 'Energy']);
+  });
+
+  it('margins each account on its own and sums the results', () => {
+    const { accounts, household } = analyzeHousehold([individual, ira]);
+    // The IRA needs its full market value: excess liquidity is just its cash.
+    expect(accounts[1]).toMatchObject({ cashOnly: true, issues: [], marginCall: { dropPercentage: 'N/A' } });
+    expect(accounts[1].metrics).toMatchObject({ netLiquidationValue: '22500.00', maintenanceMargin: '17500.00', excessLiquidity: '5000.00', buyingPower: '5000.00' });
+    expect(accounts[0].metrics.excessLiquidity).toBe('15250.00');
+    expect(household.metrics).toMatchObject({ netLiquidationValue: '49500.00', excessLiquidity: '20250.00', marketValue: '64500.00', leverage: '1.30' });
+    expect(household.concentration).toBe('High concentration risk: 81.4% in Technology.');
+  });
+
+  it('stresses every account and the household', () => {
+    const scenario = { id: 'crash', name: 'Crash', marketShock: -0.5, sectorShocks: {}, tickerShocks: {}, cashChange: 0, marginUsedChange: 0 };
+    const result = runHouseholdScenario([individual, ira], scenario);
+    expect(result.accounts.map(a => a.breachesMaintenance)).toEqual([true, false]);
+    expect(result.household.nlvChange).toBeCloseTo(-32250);
+    expect(result.household.breachingAccounts).toEqual(['Individual']);
+
+    const drop = runHouseholdMarketDrop([individual, ira], 0.1);
+    expect(drop.household.breachingAccounts).toEqual([]);
+    expect(drop.household.metrics.netLiquidationValue).toBe('43050.00');
+  });
+
+  it('converts every account to the household currency before summing', () => {
+    // The EUR account is worth €8000, or $8800 at 1.1
+    const { accounts, household } = analyzeHousehold([ira, euro]);
+    expect(accounts[1].metrics).toMatchObject({ netLiquidationValue: '8800.00', marketValue: '7700.00', leverage: '0.88' });
+    expect(household.metrics.netLiquidationValue).toBe('31300.00');
+    const combined = household.portfolio;
+    expect(parseFloat(household.metrics.netLiquidationValue)).toBeCloseTo(combined.cash - combined.marginUsed + combined.holdings.reduce((acc, h) => acc + h.marketValue, 0));
+    expect(analyzeHousehold([euro], null, { baseCurrency: 'EUR' }).household.metrics.netLiquidationValue).toBe('8000.00');
+
+    const scenario = { id: 'crash', name: 'Crash', marketShock: -0.5, sectorShocks: {}, tickerShocks: {}, cashChange: 0, marginUsedChange: 0 };
+    const result = runHouseholdScenario([ira, euro], scenario);
+    expect(result.accounts[1].nlvChange).toBeCloseTo(-3850);
+    expect(result.household.nlvChange).toBeCloseTo(-8750 - 3850);
+    expect(result.household.metrics.netLiquidationValue).toBe('18700.00');
+    expect(runHouseholdMarketDrop([euro], 0.5).household.metrics.netLiquidationValue).toBe('4950.00');
+  });
+
+  it('saves and loads accounts', () => {
+    const storage = { data: {}, getItem(key) { return this.data[key] ?? null; }, setItem(key, value) { this.data[key] = value; } };
+    expect(loadHousehold(storage)).toEqual([]);
+    expect(saveHousehold([individual, ira], storage)).toBe(true);
+    expect(loadHousehold(storage)).toEqual([individual, ira]);
+    storage.data[HOUSEHOLD_STORAGE_KEY] = '{broken';
+    expect(loadHousehold(storage)).toEqual([]);
+  });
+});
@@ -1,13 +1,30 @@
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
-import Papa from 'papaparse';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, LineChart, Line, CartesianGrid } from 'recharts';
 
 // Import all utility functions
 import { calculateAllMetrics } from './utils/metrics';
-import { calcYieldOnCost, projectDividends, dividendMarginCoverage, marginPayoffTime } from './utils/dividends';
-import { longPutPayoff, bearPutSpreadPayoff, cashSecuredPutPayoff, coveredCallPayoff } from './utils/hedges';
-import { runSingleScenario, calculateVaR, getMarginCallThreshold, analyzeCorrelation } from './utils/stress';
+import { DEFAULT_MARGIN_RULES } from './utils/margin-rules';
+import { DEFAULT_PORTFOLIO_MARGIN_RULES } from './utils/portfolio-margin';
+import { calcYieldOnCost, projectDividends, dividendMarginCoverage } from './utils/dividends';
+import { DIVIDEND_FREQUENCIES, dividendCalendar } from './utils/dividend-schedule';
+import { DIVIDEND_POLICIES, compareDividendPolicies } from './utils/dividend-strategy';
+import { DEFAULT_INTEREST_SCHEDULE, blendedInterestRate, dailyInterest, monthlyAccrualSchedule, projectMarginPayoff } from './utils/interest';
+import { STRATEGY_PRESETS, instantiatePreset, analyzeStrategy, buildPayoffCurve } from './utils/hedges';
+import { runSingleScenario, calculateVaR, getMarginCallThreshold, analyzeCorrelation, buildFxShockScenarios, runFxShock } from './utils/stress';
+import { DEFAULT_SCENARIOS, applyScenario, runScenario, exportScenarioLibrary, importScenarioLibrary } from './utils/scenarios';
+import { DEFAULT_LIQUIDATION_POLICY, simulateLiquidation } from './utils/liquidation';
+import { importPortfolioFile } from './utils/importer';
+import { buildRiskReport, exportRiskReportJson, renderRiskReportHtml } from './utils/report';
+import { parseQuotes, createStaticQuoteProvider, createHttpQuoteProvider, quoteSymbols, applyQuotes, unrealizedPnl } from './utils/quotes';
+import { ACCOUNT_TYPES, accountMarginRules, analyzeHousehold, runHouseholdScenario, loadHousehold, saveHousehold } from './utils/household';
+import { validatePortfolio, editHolding, mergeDuplicateHoldings, holdingUnitPrice, parseNumberCell, exportPortfolioCsv, exportPortfolioJson } from './utils/holdings';
+import { ALERT_METRICS, ALERT_OPERATORS, evaluateAlerts, loadAlertRules, saveAlertRules, notifyNewAlerts } from './utils/alerts';
+import { compareTrades, maxAffordableQuantity } from './utils/what-if';
+import { DEFAULT_BASE_CURRENCY, parseFxRates, portfolioCurrencies, missingFxRates, toBaseCurrency, currencyExposure } from './utils/fx';
+import { calculateRiskMetrics, parsePriceHistoryCsv } from './utils/risk';
+import { createSnapshot, loadHistory, saveHistory, addSnapshot, buildTrendSeries, diffSnapshots } from './utils/history';
+import { calculatePortfolioGreeks, valueOptionHolding, isOptionHolding } from './utils/options';
 
 // Import the default data from the correct path
 import defaultData from '../mock/account-snapshot.json';
@@ -20,130 +37,1495 @@ interface Holding {
     costBasis: number;
     annualDividend: number;
     sector: string;
+    assetClass?: string;
+    currency?: string;
+    short?: boolean;
+    // Set when valued from a quote
+    lastPrice?: number;
+    quoteTime?: string | null;
+    // Option legs
+    underlying?: string;
+    right?: 'C' | 'P';
+    strike?: number;
+    expiry?: string;
+    multiplier?: number;
+    underlyingPrice?: number;
+    volatility?: number;
+    // Dividend schedule
+    dividendFrequency?: DividendFrequency;
+    exDate?: string;
+    payDate?: string;
+    dividendGrowth?: number;
+    domicile?: string;
+    withholdingRate?: number;
+}
+
+type DividendFrequency = keyof typeof DIVIDEND_FREQUENCIES;
+
+interface DividendPayment {
+    ticker: string;
+    exDate: string;
+    payDate: string;
+    gross: number;
+    withholding: number;
+    net: number;
+}
+
+interface DividendMonth {
+    month: string;
+    gross: number;
+    withholding: number;
+    net: number;
+    interest: number;
+    netCashFlow: number;
+    payments: DividendPayment[];
+}
+
+interface PolicyYear {
+    year: number;
+    netLiquidationValue: number;
+    debt: number;
+    income: number;
+    leverage: number;
+}
+
+type PolicyMetric = 'netLiquidationValue' | 'debt' | 'income' | 'leverage';
+
+const POLICY_COLORS = ['#2dd4bf', '#f87171', '#fbbf24'];
+
+const POLICY_METRICS: Record<PolicyMetric, string> = {
+    netLiquidationValue: 'NLV',
+    debt: 'Margin Debt',
+    income: 'Dividend Income',
+    leverage: 'Leverage',
+};
+
+interface FxRates {
+    base: string;
+    rates: Record<string, number>;
 }
 
 interface Portfolio {
     cash: number;
     marginUsed: number;
     holdings: Holding[];
+    // Multi-currency accounts: cash by currency (negative is a loan), converted at fxRates
+    cashBalances?: Record<string, number>;
+    baseCurrency?: string;
+    fxRates?: FxRates;
+}
+
+interface CurrencyExposure {
+    currency: string;
+    marketValue: number;
+    cash: number;
+    net: number;
+    netBase: number | null;
+}
+
+interface PositionMargin {
+    ticker: string;
+    marketValue: number;
+    initialRate: number;
+    maintenanceRate: number;
+    initialMargin: number;
+    maintenanceMargin: number;
+    rules: string[];
+}
+
+interface PortfolioMetrics {
+    netLiquidationValue: string;
+    totalEquity: string;
+    marketValue: string;
+    leverage: string;
+    maintenanceMargin: string;
+    initialMargin?: string;
+    excessLiquidity: string;
+    buyingPower: string;
+    marginHealth: string;
+    marginBreakdown?: PositionMargin[];
+}
+
+type MarginMode = 'regT' | 'portfolio';
+
+const MARGIN_RULES_BY_MODE: Record<MarginMode, object> = {
+    regT: DEFAULT_MARGIN_RULES,
+    portfolio: DEFAULT_PORTFOLIO_MARGIN_RULES,
+};
+
+interface Greeks {
+    delta: number;
+    dollarDelta: number;
+    gamma: number;
+    vega: number;
+    theta: number;
+}
+
+interface OptionValuation extends Greeks {
+    volatility: number;
+    price: number;
+    marketValue: number;
+}
+
+type PresetKey = keyof typeof STRATEGY_PRESETS;
+
+interface StrategyLeg {
+    type: 'call' | 'put' | 'stock';
+    quantity: number;
+    strike?: number;
+    premium: number;
+    multiplier?: number;
+    volatility?: number;
+}
+
+const PAYOFF_CURVE_COLORS = ['#60a5fa', '#fbbf24', '#a78bfa'];
+
+// Price per share of a holding, used as the underlying for hedge presets
+const holdingPrice = (h: Holding): number => (h.quantity ? h.marketValue / h.quantity : 0);
+
+interface PriceHistory {
+    dates: string[];
+    closes: Record<string, Record<string, number>>;
+    error?: string;
+}
+
+interface LossEstimate {
+    VaR: number;
+    expectedShortfall: number;
+}
+
+interface RiskMetrics {
+    historical: LossEstimate;
+    parametric: LossEstimate;
+    monteCarlo: LossEstimate;
+    components: { ticker: string; exposure: number; marginalVaR: number; componentVaR: number; contribution: number }[];
+    missingTickers: string[];
+    observations: number;
+}
+
+interface Scenario {
+    id: string;
+    name: string;
+    description: string;
+    marketShock: number;
+    sectorShocks: Record<string, number>;
+    tickerShocks: Record<string, number>;
+    cashChange: number;
+    marginUsedChange: number;
+}
+
+interface ScenarioResult {
+    id: string;
+    name: string;
+    metrics: PortfolioMetrics;
+    nlvChange: number;
+    breachesMaintenance: boolean;
+}
+
+type ShockMapKey = 'sectorShocks' | 'tickerShocks';
+
+type AccountType = keyof typeof ACCOUNT_TYPES;
+
+interface Account {
+    id: string;
+    name: string;
+    type: AccountType;
+    // Overrides the account type's default; IRAs are cash accounts unless set to false
+    cashOnly?: boolean;
+    portfolio: Portfolio;
+}
+
+interface AccountAnalysis {
+    id: string;
+    name: string;
+    cashOnly: boolean;
+    metrics: PortfolioMetrics;
+    marginCall: { dropPercentage: string };
+    concentration: string;
+    issues: string[];
+}
+
+interface ExposureRow {
+    name: string;
+    marketValue: number;
+    share: number;
+    accounts: Record<string, number>;
+}
+
+interface HouseholdAnalysis {
+    accounts: AccountAnalysis[];
+    household: {
+        metrics: PortfolioMetrics;
+        concentration: string;
+        exposure: { byTicker: ExposureRow[]; bySector: ExposureRow[] };
+    };
+}
+
+interface HouseholdScenarioResult {
+    accounts: { id: string; name: string; nlvChange: number; breachesMaintenance: boolean }[];
+    household: { nlvChange: number; breachingAccounts: string[] };
+}
+
+type LiquidationOrder = 'largest' | 'highestMargin' | 'priority';
+
+interface AccountState {
+    netLiquidationValue: number;
+    excessLiquidity: number;
+    maintenanceMargin: number;
+    marginHealth: number;
+    cash: number;
+    marginUsed: number;
+}
+
+interface LiquidationStep {
+    step: number;
+    ticker: string;
+    quantitySold: number;
+    closedPosition: boolean;
+    price: number;
+    grossProceeds: number;
+    slippage: number;
+    commission: number;
+    netProceeds: number;
+    realizedLoss: number;
+    account: AccountState;
+}
+
+interface LiquidationResult {
+    initialDeficiency: number;
+    initialState: AccountState;
+    steps: LiquidationStep[];
+    totalGrossProceeds: number;
+    totalCosts: number;
+    totalRealizedLoss: number;
+    cured: boolean;
+    finalState: AccountState;
+}
+
+// Shocks are stored as fractions and edited as percentages
+const toPercent = (fraction: number): number => +(fraction * 100).toFixed(2);
+
+interface Snapshot {
+    id: string;
+    timestamp: string;
+    source: string;
+    portfolio: Portfolio;
+}
+
+interface TrendPoint {
+    id: string;
+    date: string;
+    netLiquidationValue: number;
+    leverage: number;
+    excessLiquidity: number;
+    marginHealth: number;
+    dividendIncome: number;
+}
+
+interface SnapshotDiff {
+    positions: { ticker: string; status: 'new' | 'closed' | 'changed' | 'unchanged'; quantityBefore: number; quantityAfter: number; quantityChange: number; marketValueChange: number }[];
+    marginUsedChange: number;
+    cashChange: number;
+}
+
+interface MarginPayoff {
+    paidOff: boolean;
+    months: number | null;
+    totalInterest: number;
+    schedule: { month: string; startBalance: number; interest: number; dividends: number; contribution: number; endBalance: number }[];
+}
+
+const formatMonths = (months: number): string => `${Math.floor(months / 12)}y ${months % 12}m`;
+
+type TradeType = 'buy' | 'sell' | 'option' | 'transfer';
+
+interface Trade {
+    type: TradeType;
+    ticker?: string;
+    quantity?: number;
+    price?: number;
+    // Option trades
+    underlying?: string;
+    right?: 'C' | 'P';
+    strike?: number;
+    expiry?: string;
+    // Transfers: negative to withdraw
+    amount?: number;
+}
+
+interface AccountView {
+    metrics: PortfolioMetrics;
+    marginCall: { dropPercentage: string };
+    concentration: string;
+}
+
+interface HoldingIssue {
+    row: number | null;
+    ticker: string | null;
+    field: string;
+    message: string;
+}
+
+type HoldingEditField = 'ticker' | 'sector' | 'quantity' | 'price' | 'costBasis' | 'annualDividend';
+type HoldingSortField = HoldingEditField | 'marketValue' | 'unrealizedPnl';
+
+interface Quote {
+    price: number;
+    asOf: string | null;
+}
+
+interface QuoteResult {
+    quotes?: Record<string, Quote>;
+    skipped?: string[];
+    error?: string;
+}
+
+interface QuoteProvider {
+    name: string;
+    fetchQuotes: (tickers: string[]) => Promise<QuoteResult>;
+}
+
+interface PositionPnl {
+    unrealizedPnl: number;
+    unrealizedPnlPercent: number | null;
+    quoteTime: string | null;
+}
+
+const HOLDING_COLUMNS: { field: HoldingSortField; label: string; numeric: boolean }[] = [
+    { field: 'ticker', label: 'Ticker', numeric: false },
+    { field: 'quantity', label: 'Quantity', numeric: true },
+    { field: 'price', label: 'Price', numeric: true },
+    { field: 'marketValue', label: 'Value', numeric: true },
+    { field: 'costBasis', label: 'Cost Basis', numeric: true },
+    { field: 'annualDividend', label: 'Dividend', numeric: true },
+    { field: 'unrealizedPnl', label: 'Unrealized P&L', numeric: true },
+    { field: 'sector', label: 'Sector', numeric: false },
+];
+
+const formatQuoteTime = (quoteTime: string | null | undefined): string => (quoteTime ? new Date(quoteTime).toLocaleString() : 'Not quoted');
+
+// Saves text as a file through a temporary object URL.
+const downloadFile = (name: string, text: string, type: string) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const EMPTY_HOLDING: Holding = { ticker: '', quantity: 0, marketValue: 0, costBasis: 0, annualDividend: 0, sector: 'Uncategorized' };
+
+const EMPTY_TRADE_DRAFT = { type: 'buy' as TradeType, ticker: '', quantity: '', price: '', right: 'P' as 'C' | 'P', strike: '', expiry: '', amount: '' };
+
+const describeTrade = (t: Trade): string => {
+    if (t.type === 'transfer') return `${(t.amount ?? 0) < 0 ? 'Withdraw' : 'Deposit'} $${Math.abs(t.amount ?? 0).toFixed(2)}`;
+    if (t.type === 'option') return `${(t.quantity ?? 0) < 0 ? 'Sell' : 'Buy'} ${Math.abs(t.quantity ?? 0)} ${t.underlying} ${t.expiry} ${t.strike}${t.right} @ $${t.price}`;
+    return `${t.type === 'buy' ? 'Buy' : 'Sell'} ${t.quantity} ${t.ticker} @ $${t.price}`;
+};
+
+type AlertMetric = keyof typeof ALERT_METRICS;
+type AlertOperator = keyof typeof ALERT_OPERATORS;
+
+interface AlertRule {
+    id: string;
+    metric: AlertMetric;
+    operator: AlertOperator;
+    threshold: number;
+    enabled: boolean;
+}
+
+interface Alert {
+    key: string;
+    ruleId: string;
+    metric: AlertMetric;
+    subject: string | null;
+    value: number;
+    message: string;
+}
+
+interface ImportResult {
+    format: string;
+    portfolio: Portfolio | null;
+    error?: string;
+    mappedSections: string[];
+    skippedSections: string[];
+    unmappedRows: { section: string; row: number | null; reason: string }[];
+}
+
+interface RiskReport {
+    version: number;
+    generatedAt: string;
+    inputHash: string;
+    baseCurrency: string;
+    metrics: PortfolioMetrics;
+    marginCall: { dropPercentage: string; marketValueDrop: string };
+    valueAtRisk: { VaR: string; confidenceLevel?: string; timeHorizon?: string };
 }
 
 const IBKRMarginTracker: React.FC = () => {
-    const [portfolioData, setPortfolioData] = useState<Portfolio>(defaultData);
+    const [history, setHistory] = useState<Snapshot[]>(() => loadHistory() as Snapshot[]);
+    // Pick up where the last session left off
+    const [portfolioData, setPortfolioData] = useState<Portfolio>(() => history[history.length - 1]?.portfolio ?? defaultData);
     const [errorMessage, setErrorMessage] = useState<string>('');
+    const [importReport, setImportReport] = useState<ImportResult | null>(null);
+    const [marginMode, setMarginMode] = useState<MarginMode>('regT');
+    const [priceHistory, setPriceHistory] = useState<PriceHistory | null>(null);
+    // Household accounts; the one open in the dashboard sets the margin rules, so a cash IRA is never margined
+    const [accounts, setAccounts] = useState<Account[]>(() => loadHousehold() as Account[]);
+    const [openAccountId, setOpenAccountId] = useState<string | null>(null);
+    const openAccount = accounts.find(a => a.id === openAccountId) ?? null;
+    // Opening or saving an account shares its portfolio object, so any edit since shows up as a new object
+    const openAccountUnsaved = openAccount !== null && openAccount.portfolio !== portfolioData;
+    const modeMarginRules = MARGIN_RULES_BY_MODE[marginMode];
+    const marginRules = openAccount ? accountMarginRules(openAccount, modeMarginRules) as object : modeMarginRules;
 
-    // Callback for handling file drops for CSV import
+    // Every imported or edited portfolio is kept as a timestamped snapshot. An update function is
+    // applied to the latest portfolio, for results that arrive after the user may have edited it.
+    const recordPortfolio = useCallback((update: Portfolio | ((current: Portfolio) => Portfolio), source: string) => {
+        if (typeof update !== 'function') {
+            setPortfolioData(update);
+            setHistory(current => addSnapshot(current, createSnapshot(update, { source })) as Snapshot[]);
+            return;
+        }
+        setPortfolioData(current => {
+            const portfolio = update(current);
+            // addSnapshot skips a repeat of the latest snapshot, so a replayed update records it once
+            setHistory(history => addSnapshot(history, createSnapshot(portfolio, { source })) as Snapshot[]);
+            return portfolio;
+        });
+    }, []);
+
+    useEffect(() => {
+        if (!saveHistory(history)) setErrorMessage('History could not be saved: browser storage is full or unavailable.');
+    }, [history]);
+
+    // Callback for handling file drops: IBKR Flex XML, Activity Statement CSV or our own template CSV
     const onDrop = useCallback((acceptedFiles: File[]) => {
         const file = acceptedFiles[0];
         if (file) {
             setErrorMessage(''); // Clear previous errors
-            Papa.parse(file, {
-                header: true,
-                dynamicTyping: true,
-                skipEmptyLines: true,
-                complete: (results) => {
-                    if (!results.data || results.data.length === 0) {
-                        setErrorMessage("CSV file is empty or could not be parsed.");
-                        return;
-                    }
-
-                    const requiredCols = ['ticker', 'quantity', 'marketValue', 'costBasis', 'annualDividend', 'sector', 'cash', 'marginUsed'];
-                    const hasAllCols = results.meta.fields && requiredCols.every(col => results.meta.fields.includes(col));
-
-                    if (!hasAllCols) {
-                        setErrorMessage("CSV file is missing required columns. Please check the format.");
-                        return;
-                    }
-
-                    const holdings: Holding[] = results.data.map((row: any) => ({
-                        ticker: row.ticker ?? 'N/A',
-                        quantity: row.quantity ?? 0,
-                        marketValue: row.marketValue ?? 0,
-                        costBasis: row.costBasis ?? 0,
-                        annualDividend: row.annualDividend ?? 0,
-                        sector: row.sector ?? 'Uncategorized',
-                    }));
-
-                    const cash = (results.data[0] as any)?.cash ?? 0;
-                    const marginUsed = (results.data[0] as any)?.marginUsed ?? 0;
-
-                    setPortfolioData({ cash, marginUsed, holdings });
-                },
-                error: (error: Error) => {
-                    setErrorMessage(`Error parsing CSV file: ${error.message}`);
+            setImportReport(null);
+            file.text().then((text) => {
+                // IBKR exports carry no sector, so keep the ones we already know about
+                const sectors = Object.fromEntries(portfolioData.holdings.map(h => [h.ticker, h.sector]));
+                const result = importPortfolioFile(text, { sectors }) as ImportResult;
+                if (!result.portfolio) {
+                    setErrorMessage(result.error ?? 'File could not be imported.');
+                    return;
                 }
+                // Statements carry no FX rates, so the loaded rates and base currency carry over
+                const { fxRates, baseCurrency } = portfolioData;
+                recordPortfolio({ ...result.portfolio, ...(fxRates && { fxRates }), ...(baseCurrency && { baseCurrency }) }, 'import');
+                // An imported statement is not the open household account, so it gets the mode's margin rules
+                setOpenAccountId(null);
+                setImportReport(result);
+            }).catch((error: Error) => {
+                setErrorMessage(`Error reading file: ${error.message}`);
             });
         }
-    }, []);
+    }, [portfolioData, recordPortfolio]);
+
+    const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop, accept: { 'text/csv': ['.csv'], 'text/xml': ['.xml'], 'application/xml': ['.xml'], 'application/json': ['.json'] } });
+
+    // --- Holdings grid: edits update every metric as they are typed and are saved as a snapshot on blur ---
+    const [holdingsSort, setHoldingsSort] = useState<{ field: HoldingSortField; descending: boolean }>({ field: 'ticker', descending: false });
+    // Text typed into numeric cells, kept while editing and while it does not parse
+    const [cellDrafts, setCellDrafts] = useState<Record<string, { text: string; error: string | null }>>({});
+    const holdingIssues = useMemo(() => validatePortfolio(portfolioData) as HoldingIssue[], [portfolioData]);
+
+    const sortedHoldingRows = useMemo(() => {
+        const { field, descending } = holdingsSort;
+        const sortValue = (h: Holding) => {
+            if (field === 'price') return holdingUnitPrice(h);
+            if (field === 'unrealizedPnl') return h.marketValue - h.costBasis;
+            return h[field];
+        };
+        return portfolioData.holdings
+            .map((holding, index) => ({ holding, index }))
+            .sort((a, b) => {
+                const x = sortValue(a.holding);
+                const y = sortValue(b.holding);
+                const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+                return descending ? -order : order;
+            });
+    }, [portfolioData.holdings, holdingsSort]);
+
+    const sortHoldings = (field: HoldingSortField) => {
+        setHoldingsSort(current => ({ field, descending: current.field === field ? !current.descending : false }));
+    };
+
+    const setCellDraft = (key: string, text: string, error: string | null) => {
+        setCellDrafts(current => ({ ...current, [key]: { text, error } }));
+    };
+
+    const editHoldingCell = (index: number, field: HoldingEditField | 'short', value: string | boolean) => {
+        const result = editHolding(portfolioData.holdings[index], field, value) as { holding: Holding; error: string | null };
+        if (typeof value === 'string') setCellDraft(`${index}:${field}`, value, result.error);
+        if (!result.error) {
+            setPortfolioData(current => ({ ...current, holdings: current.holdings.map((h, i) => (i === index ? result.holding : h)) }));
+        }
+    };
+
+    const editAccountCell = (field: 'cash' | 'marginUsed', text: string) => {
+        const value = parseNumberCell(text);
+        setCellDraft(field, text, isNaN(value) ? 'Must be a number.' : null);
+        if (!isNaN(value)) setPortfolioData(current => ({ ...current, [field]: value }));
+    };
+
+    // Leaving a cell keeps only the drafts that did not parse, and records the edited portfolio
+    const finishHoldingEdit = () => {
+        setCellDrafts(current => Object.fromEntries(Object.entries(current).filter(([, draft]) => draft.error)));
+        recordPortfolio(portfolioData, 'edit');
+    };
 
-    const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop, accept: { 'text/csv': ['.csv'] } });
+    const changeHoldingRows = (holdings: Holding[]) => {
+        setCellDrafts({});
+        recordPortfolio({ ...portfolioData, holdings }, 'edit');
+    };
+
+    const cellIssue = (row: number | null, field: string): string | undefined => {
+        const draft = cellDrafts[row === null ? field : `${row}:${field}`];
+        return draft?.error ?? holdingIssues.find(issue => issue.row === row && issue.field === field)?.message;
+    };
+
+    const cellClass = (row: number | null, field: string, extra: string): string => `${extra} bg-gray-700 rounded p-1 ${cellIssue(row, field) ? 'ring-1 ring-red-500' : ''}`;
+
+    const numberCellValue = (key: string, value: number): string => cellDrafts[key]?.text ?? String(+value.toFixed(4));
+
+    // --- Quotes: holdings are valued at quantity × last price from a quote file or a local endpoint ---
+    const [quoteProvider, setQuoteProvider] = useState<QuoteProvider | null>(null);
+    const [quoteEndpoint, setQuoteEndpoint] = useState<string>('');
+    const [quoteStatus, setQuoteStatus] = useState<{ message: string; error: boolean } | null>(null);
+    const positionPnl = useMemo(() => unrealizedPnl(portfolioData.holdings) as PositionPnl[], [portfolioData.holdings]);
+    const totalUnrealizedPnl = positionPnl.reduce((acc, p) => acc + (isFinite(p.unrealizedPnl) ? p.unrealizedPnl : 0), 0);
+
+    const refreshQuotes = (provider: QuoteProvider | null = quoteProvider) => {
+        if (!provider) return;
+        const portfolio = portfolioData;
+        provider.fetchQuotes(quoteSymbols(portfolio.holdings)).then(result => {
+            if (result.error || !result.quotes) {
+                setQuoteStatus({ message: result.error ?? 'No quotes returned.', error: true });
+                return;
+            }
+            const quotes = result.quotes;
+            const quoted = applyQuotes(portfolio, quotes) as { portfolio: Portfolio; missing: string[] };
+            // Holdings may have been edited while the quotes were on their way
+            recordPortfolio(current => (applyQuotes(current, quotes) as { portfolio: Portfolio }).portfolio, 'quotes');
+            const priced = portfolio.holdings.length - quoted.missing.length;
+            setQuoteStatus({
+                message: `Priced ${priced} of ${portfolio.holdings.length} holdings from ${provider.name}.${quoted.missing.length > 0 ? ` No quote for ${quoted.missing.join(', ')}.` : ''}`,
+                error: false,
+            });
+        });
+    };
+
+    const onQuoteFile = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        file.text().then((text) => {
+            // Quotes without their own timestamp are as old as the file
+            const result = parseQuotes(text, { asOf: new Date(file.lastModified).toISOString() }) as QuoteResult;
+            if (result.error || !result.quotes) {
+                setQuoteStatus({ message: result.error ?? 'No quotes found.', error: true });
+                return;
+            }
+            const provider = createStaticQuoteProvider(result.quotes, file.name) as QuoteProvider;
+            setQuoteProvider(provider);
+            refreshQuotes(provider);
+        }).catch((error: Error) => {
+            setErrorMessage(`Error reading file: ${error.message}`);
+        });
+    };
+
+    const connectQuoteEndpoint = () => {
+        if (!quoteEndpoint.trim()) return;
+        const provider = createHttpQuoteProvider(quoteEndpoint.trim()) as QuoteProvider;
+        setQuoteProvider(provider);
+        refreshQuotes(provider);
+    };
+
+    const downloadPortfolio = (format: 'csv' | 'json') => {
+        const text = format === 'csv' ? exportPortfolioCsv(portfolioData) : exportPortfolioJson(portfolioData);
+        downloadFile(`portfolio.${format}`, text, format === 'csv' ? 'text/csv' : 'application/json');
+    };
 
     // --- Memoized Calculations for Performance ---
-    const metrics = useMemo(() => calculateAllMetrics(portfolioData), [portfolioData]);
-    const dividendProjections = useMemo(() => projectDividends(portfolioData.holdings), [portfolioData.holdings]);
-    const dividendInfo = useMemo(() => ({
-        yieldOnCost: calcYieldOnCost(portfolioData.holdings),
-        coverageRatio: dividendMarginCoverage(portfolioData.holdings, portfolioData.marginUsed),
-        payoffTime: marginPayoffTime(portfolioData.holdings, portfolioData.marginUsed),
-    }), [portfolioData]);
+    const metrics = useMemo(() => calculateAllMetrics(portfolioData, 0.5, 0.25, marginRules) as PortfolioMetrics, [portfolioData, marginRules]);
+    // Dividend, risk and option figures add up holding values, so they work in base currency
+    const basePortfolio = useMemo(() => toBaseCurrency(portfolioData) as Portfolio, [portfolioData]);
+    const dividendProjections = useMemo(() => projectDividends(basePortfolio.holdings), [basePortfolio.holdings]);
+
+    // --- Alert rules, evaluated on every portfolio change ---
+    const [alertRules, setAlertRules] = useState<AlertRule[]>(() => loadAlertRules() as AlertRule[]);
+    const [notificationsEnabled, setNotificationsEnabled] = useState<boolean>(false);
+    const alerts = useMemo(() => evaluateAlerts(portfolioData, alertRules, marginRules) as Alert[], [portfolioData, alertRules, marginRules]);
+    const notifiedAlertKeys = useRef<string[]>([]);
+    const marginHealthAlert = alerts.some(a => a.metric === 'marginHealth');
+
+    useEffect(() => {
+        saveAlertRules(alertRules);
+    }, [alertRules]);
+
+    useEffect(() => {
+        if (notificationsEnabled) notifyNewAlerts(alerts, notifiedAlertKeys.current);
+        notifiedAlertKeys.current = alerts.map(a => a.key);
+    }, [alerts, notificationsEnabled]);
+
+    const toggleNotifications = () => {
+        if (notificationsEnabled || !('Notification' in window)) {
+            setNotificationsEnabled(false);
+            return;
+        }
+        Notification.requestPermission()
+            .then(permission => setNotificationsEnabled(permission === 'granted'))
+            .catch(() => setNotificationsEnabled(false));
+    };
+
+    const updateAlertRule = (id: string, changes: Partial<AlertRule>) => {
+        setAlertRules(current => current.map(r => (r.id === id ? { ...r, ...changes } : r)));
+    };
+
+    const addAlertRule = () => {
+        setAlertRules(current => [...current, { id: `rule-${Date.now()}`, metric: 'leverage', operator: '>', threshold: 2, enabled: true }]);
+    };
+
+    // --- Currencies and FX ---
+    const baseCurrency = portfolioData.baseCurrency ?? DEFAULT_BASE_CURRENCY;
+    const currencies = useMemo(() => portfolioCurrencies(portfolioData) as string[], [portfolioData]);
+    const exposure = useMemo(() => currencyExposure(portfolioData) as CurrencyExposure[], [portfolioData]);
+    const missingRates = useMemo(() => missingFxRates(portfolioData) as string[], [portfolioData]);
+    const fxShocks = useMemo(() => (buildFxShockScenarios(portfolioData) as { name: string; shocks: Record<string, number> }[]).map(scenario => ({
+        name: scenario.name,
+        ...(runFxShock(portfolioData, scenario.shocks, marginRules) as PortfolioMetrics & { excessLiquidityChange: string }),
+    })), [portfolioData, marginRules]);
+
+    const onFxRatesFile = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        file.text().then((text) => {
+            const fxRates = parseFxRates(text) as FxRates & { error?: string };
+            if (fxRates.error) {
+                setErrorMessage(fxRates.error);
+                return;
+            }
+            recordPortfolio({ ...portfolioData, fxRates: { base: fxRates.base, rates: fxRates.rates } }, 'fx-rates');
+        }).catch((error: Error) => {
+            setErrorMessage(`Error reading file: ${error.message}`);
+        });
+    };
+
+    // --- Margin interest, priced on IBKR-style tiers ---
+    const [loanCurrency, setLoanCurrency] = useState<string>('USD');
+    const [benchmarkPercent, setBenchmarkPercent] = useState<number>(DEFAULT_INTEREST_SCHEDULE.currencies.USD.benchmark * 100);
+    const [dividendGrowthPercent, setDividendGrowthPercent] = useState<number>(5);
+    const [monthlyContribution, setMonthlyContribution] = useState<number>(0);
+    const interestSchedule = useMemo(() => ({
+        ...DEFAULT_INTEREST_SCHEDULE,
+        currencies: {
+            ...DEFAULT_INTEREST_SCHEDULE.currencies,
+            [loanCurrency]: { ...(DEFAULT_INTEREST_SCHEDULE.currencies as Record<string, { benchmark: number; dayCount: number }>)[loanCurrency], benchmark: benchmarkPercent / 100 },
+        },
+    }), [loanCurrency, benchmarkPercent]);
+    const selectLoanCurrency = (currency: string) => {
+        setLoanCurrency(currency);
+        setBenchmarkPercent((DEFAULT_INTEREST_SCHEDULE.currencies as Record<string, { benchmark: number }>)[currency].benchmark * 100);
+    };
+
+    const dividendInfo = useMemo(() => {
+        const annualDividend = basePortfolio.holdings.reduce((acc, h) => acc + (h.annualDividend || 0), 0);
+        const interestRate = blendedInterestRate(basePortfolio.marginUsed, loanCurrency, interestSchedule);
+        return {
+            yieldOnCost: calcYieldOnCost(basePortfolio.holdings),
+            interestRate,
+            dailyInterest: dailyInterest(basePortfolio.marginUsed, loanCurrency, interestSchedule),
+            monthlyAccruals: monthlyAccrualSchedule(basePortfolio.marginUsed, { months: 6, currency: loanCurrency, schedule: interestSchedule }) as { month: string; interest: number; balance: number }[],
+            coverageRatio: dividendMarginCoverage(basePortfolio.holdings, basePortfolio.marginUsed, interestRate),
+            payoff: projectMarginPayoff(basePortfolio.marginUsed, annualDividend, {
+                dividendGrowth: dividendGrowthPercent / 100,
+                monthlyContribution,
+                currency: loanCurrency,
+                schedule: interestSchedule,
+            }) as MarginPayoff,
+        };
+    }, [basePortfolio, loanCurrency, interestSchedule, dividendGrowthPercent, monthlyContribution]);
+    // --- Dividend calendar: 24 months of payments net of withholding and margin interest ---
+    const dividendMonths = useMemo(() => dividendCalendar(basePortfolio.holdings, {
+        defaultGrowth: dividendGrowthPercent / 100,
+        marginBalance: basePortfolio.marginUsed,
+        currency: loanCurrency,
+        schedule: interestSchedule,
+    }) as DividendMonth[], [basePortfolio, dividendGrowthPercent, loanCurrency, interestSchedule]);
+    const dividendChart = useMemo(() => dividendMonths.map(m => ({
+        month: m.month,
+        'Net Dividends': parseFloat(m.net.toFixed(2)),
+        'Margin Interest': parseFloat(m.interest.toFixed(2)),
+    })), [dividendMonths]);
+    const dividendHoldings = portfolioData.holdings.filter(h => (h.annualDividend || 0) > 0);
+    const updateDividendSchedule = (ticker: string, changes: Partial<Holding>) => {
+        setPortfolioData(current => ({ ...current, holdings: current.holdings.map(h => (h.ticker === ticker ? { ...h, ...changes } : h)) }));
+    };
+    // Like the holdings grid, a schedule edit is recorded as a snapshot when the field loses focus
+    const finishDividendScheduleEdit = () => recordPortfolio(portfolioData, 'edit');
+
+    // --- Dividend policies: reinvest, pay down the loan, or split between them ---
+    const [splitPercent, setSplitPercent] = useState<number>(DIVIDEND_POLICIES.find(p => p.id === 'split')!.reinvestRatio * 100);
+    const [priceGrowthPercent, setPriceGrowthPercent] = useState<number>(5);
+    const [policyMetric, setPolicyMetric] = useState<PolicyMetric>('netLiquidationValue');
+    const policyResults = useMemo(() => {
+        const policies = DIVIDEND_POLICIES.map(p => (p.id === 'split' ? { ...p, name: `${splitPercent}/${100 - splitPercent} split`, reinvestRatio: splitPercent / 100 } : p));
+        return compareDividendPolicies(basePortfolio, {
+            priceGrowth: priceGrowthPercent / 100,
+            dividendGrowth: dividendGrowthPercent / 100,
+            currency: loanCurrency,
+            schedule: interestSchedule,
+        }, policies) as { id: string; name: string; years: PolicyYear[] }[];
+    }, [basePortfolio, splitPercent, priceGrowthPercent, dividendGrowthPercent, loanCurrency, interestSchedule]);
+    const policyChart = useMemo(() => (policyResults[0]?.years ?? []).map((row, i) => ({
+        year: `Y${row.year}`,
+        ...Object.fromEntries(policyResults.map(p => [p.name, parseFloat(p.years[i][policyMetric].toFixed(2))])),
+    })), [policyResults, policyMetric]);
+
+    // One point per year keeps the payoff chart readable over long horizons
+    const loanPayoffCurve = useMemo(() => dividendInfo.payoff.schedule
+        .filter((row, i, rows) => i % 12 === 11 || i === rows.length - 1)
+        .map(row => ({ month: row.month, balance: parseFloat(row.endBalance.toFixed(2)) })), [dividendInfo.payoff]);
 
     const stressScenarios = useMemo(() => [0.1, 0.2, 0.3, 0.4, 0.5].map(drop => {
-        const results = runSingleScenario(portfolioData, drop);
+        const results = runSingleScenario(basePortfolio, drop, marginRules) as PortfolioMetrics;
         return {
             name: `-${drop * 100}%`,
             'Excess Liquidity': parseFloat(results.excessLiquidity),
             'Margin Health (%)': parseFloat(results.marginHealth),
         };
+    }), [basePortfolio, marginRules]);
+
+    // --- Snapshot history ---
+    const trendSeries = useMemo(() => buildTrendSeries(history, marginRules) as TrendPoint[], [history, marginRules]);
+    const [diffFromId, setDiffFromId] = useState<string>('');
+    const [diffToId, setDiffToId] = useState<string>('');
+    // Without a choice, compare the two most recent snapshots
+    const diffFrom = history.find(s => s.id === diffFromId) ?? history[history.length - 2];
+    const diffTo = history.find(s => s.id === diffToId) ?? history[history.length - 1];
+    const snapshotDiff = useMemo(() => (diffFrom && diffTo && diffFrom !== diffTo ? diffSnapshots(diffFrom, diffTo) as SnapshotDiff : null), [diffFrom, diffTo]);
+    const snapshotLabel = (s: Snapshot) => `${new Date(s.timestamp).toLocaleString()} (${s.source})`;
+
+    // --- Scenario library ---
+    const [scenarios, setScenarios] = useState<Scenario[]>(DEFAULT_SCENARIOS);
+    const [selectedScenarioId, setSelectedScenarioId] = useState<string>(DEFAULT_SCENARIOS[0].id);
+    const [scenarioErrors, setScenarioErrors] = useState<string[]>([]);
+    const selectedScenario = scenarios.find(s => s.id === selectedScenarioId) ?? null;
+    const scenarioResults = useMemo(() => scenarios.map(s => runScenario(portfolioData, s, marginRules) as ScenarioResult), [scenarios, portfolioData, marginRules]);
+
+    // --- Household: every saved account with its own margin rules, and the accounts combined ---
+    const [accountDraft, setAccountDraft] = useState<{ name: string; type: AccountType }>({ name: '', type: 'individual' });
+    const householdAnalysis = useMemo(() => analyzeHousehold(accounts, modeMarginRules, { baseCurrency, fxRates: portfolioData.fxRates }) as HouseholdAnalysis, [accounts, modeMarginRules, baseCurrency, portfolioData.fxRates]);
+    const householdScenarios = useMemo(() => scenarios.map(s => ({ scenario: s, result: runHouseholdScenario(accounts, s, modeMarginRules, { baseCurrency, fxRates: portfolioData.fxRates }) as HouseholdScenarioResult })), [accounts, scenarios, modeMarginRules, baseCurrency, portfolioData.fxRates]);
+
+    useEffect(() => {
+        saveHousehold(accounts);
+    }, [accounts]);
+
+    const addAccount = () => {
+        const name = accountDraft.name.trim() || `${ACCOUNT_TYPES[accountDraft.type].label} ${accounts.length + 1}`;
+        const id = `account-${Date.now()}`;
+        setAccounts(current => [...current, { id, name, type: accountDraft.type, portfolio: portfolioData }]);
+        setOpenAccountId(id);
+        setAccountDraft({ name: '', type: 'individual' });
+    };
+
+    const updateAccount = (id: string, changes: Partial<Account>) => {
+        setAccounts(current => current.map(a => (a.id === id ? { ...a, ...changes } : a)));
+    };
+
+    const openAccountInDashboard = (account: Account) => {
+        setOpenAccountId(account.id);
+        recordPortfolio(account.portfolio, 'account');
+    };
+
+    const removeAccount = (id: string) => {
+        setAccounts(current => current.filter(a => a.id !== id));
+        if (openAccountId === id) setOpenAccountId(null);
+    };
+
+    const portfolioSectors = useMemo(() => Array.from(new Set(portfolioData.holdings.map(h => h.sector).filter(Boolean))), [portfolioData.holdings]);
+    const portfolioTickers = useMemo(() => Array.from(new Set(portfolioData.holdings.map(h => h.underlying || h.ticker))), [portfolioData.holdings]);
+
+    const updateScenario = (changes: Partial<Scenario>) => {
+        setScenarios(current => current.map(s => (s.id === selectedScenarioId ? { ...s, ...changes } : s)));
+    };
+
+    // An empty field removes the override, so the holding falls back to the sector or market shock
+    const updateShock = (field: ShockMapKey, key: string, value: string) => {
+        if (!selectedScenario) return;
+        const { [key]: _removed, ...rest } = selectedScenario[field];
+        updateScenario({ [field]: value === '' ? rest : { ...rest, [key]: parseFloat(value) / 100 } });
+    };
+
+    const addScenario = () => {
+        const scenario: Scenario = {
+            id: `custom-${Date.now()}`,
+            name: 'New scenario',
+            description: '',
+            marketShock: 0,
+            sectorShocks: {},
+            tickerShocks: {},
+            cashChange: 0,
+            marginUsedChange: 0,
+        };
+        setScenarios(current => [...current, scenario]);
+        setSelectedScenarioId(scenario.id);
+    };
+
+    const deleteScenario = () => {
+        const remaining = scenarios.filter(s => s.id !== selectedScenarioId);
+        setScenarios(remaining);
+        setSelectedScenarioId(remaining[0]?.id ?? '');
+    };
+
+    const exportScenarios = () => {
+        downloadFile('scenario-library.json', exportScenarioLibrary(scenarios), 'application/json');
+    };
+
+    const onScenarioLibraryFile = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        file.text().then((text) => {
+            const library = importScenarioLibrary(text) as { scenarios: Scenario[]; errors: string[] };
+            setScenarioErrors(library.errors);
+            if (library.scenarios.length > 0) {
+                setScenarios(library.scenarios);
+                setSelectedScenarioId(library.scenarios[0].id);
+            }
+        }).catch((error: Error) => {
+            setErrorMessage(`Error reading file: ${error.message}`);
+        });
+    };
+
+    // --- Liquidation simulator, run against the selected scenario ---
+    const [liquidationOrder, setLiquidationOrder] = useState<LiquidationOrder>('largest');
+    const [liquidationPriority, setLiquidationPriority] = useState<string>('');
+    const [slippagePercent, setSlippagePercent] = useState<number>(DEFAULT_LIQUIDATION_POLICY.slippage * 100);
+    const [commissionPerShare, setCommissionPerShare] = useState<number>(DEFAULT_LIQUIDATION_POLICY.commissionPerShare);
+    const liquidation = useMemo(() => {
+        if (!selectedScenario) return null;
+        const policy = {
+            order: liquidationOrder,
+            priority: liquidationPriority.split(',').map(t => t.trim().toUpperCase()).filter(Boolean),
+            slippage: slippagePercent / 100,
+            commissionPerShare,
+        };
+        return simulateLiquidation(applyScenario(portfolioData, selectedScenario), policy, marginRules) as LiquidationResult;
+    }, [selectedScenario, portfolioData, marginRules, liquidationOrder, liquidationPriority, slippagePercent, commissionPerShare]);
+
+    // --- Trade what-if: hypothetical trades on a copy of the portfolio ---
+    const [trades, setTrades] = useState<Trade[]>([]);
+    const [tradeDraft, setTradeDraft] = useState(EMPTY_TRADE_DRAFT);
+    const [maxBuyTicker, setMaxBuyTicker] = useState<string>('');
+    const [maxBuyPrice, setMaxBuyPrice] = useState<string>('');
+    const [healthFloor, setHealthFloor] = useState<number>(25);
+    const tradeComparison = useMemo(() => compareTrades(portfolioData, trades, marginRules) as { before: AccountView; after: AccountView; errors: string[] }, [portfolioData, trades, marginRules]);
+
+    const addTrade = () => {
+        const number = (value: string) => parseFloat(value);
+        const ticker = tradeDraft.ticker.trim().toUpperCase();
+        const trade: Trade = tradeDraft.type === 'transfer'
+            ? { type: 'transfer', amount: number(tradeDraft.amount) }
+            : tradeDraft.type === 'option'
+                ? { type: 'option', underlying: ticker, right: tradeDraft.right, strike: number(tradeDraft.strike), expiry: tradeDraft.expiry, quantity: number(tradeDraft.quantity), price: number(tradeDraft.price) }
+                : { type: tradeDraft.type, ticker, quantity: number(tradeDraft.quantity), price: number(tradeDraft.price) };
+        setTrades(current => [...current, trade]);
+        setTradeDraft({ ...EMPTY_TRADE_DRAFT, type: tradeDraft.type });
+    };
+
+    // Without a price, buy at the current price of the holding
+    const maxBuyHolding = portfolioData.holdings.find(h => h.ticker === maxBuyTicker.trim().toUpperCase() && !h.right);
+    const maxBuyAt = maxBuyPrice === '' && maxBuyHolding ? holdingPrice(maxBuyHolding) : parseFloat(maxBuyPrice);
+    const maxBuyQuantity = useMemo(() => maxAffordableQuantity(portfolioData, maxBuyTicker.trim().toUpperCase(), maxBuyAt, {
+        minMarginHealth: healthFloor,
+        marginRules,
+        trades,
+    }), [portfolioData, maxBuyTicker, maxBuyAt, healthFloor, marginRules, trades]);
+
+    // Reg T and portfolio margin side by side for the same portfolio
+    const marginComparison = useMemo(() => (['regT', 'portfolio'] as MarginMode[]).map(mode => {
+        const modeMetrics = calculateAllMetrics(portfolioData, 0.5, 0.25, MARGIN_RULES_BY_MODE[mode]) as PortfolioMetrics;
+        const threshold = getMarginCallThreshold(portfolioData, 0.25, MARGIN_RULES_BY_MODE[mode]) as { dropPercentage: string };
+        return {
+            mode,
+            label: mode === 'regT' ? 'Reg T' : 'Portfolio Margin',
+            excessLiquidity: modeMetrics.excessLiquidity,
+            buyingPower: modeMetrics.buyingPower,
+            marginCallDistance: threshold.dropPercentage,
+        };
     }), [portfolioData]);
 
+    // The concentration summary follows the sector alert threshold when there is one
+    const sectorRule = alertRules.find(r => r.enabled && r.metric === 'sectorConcentration' && (r.operator === '>' || r.operator === '>='));
+    const concentrationThresholds = useMemo(() => (sectorRule ? { moderate: sectorRule.threshold, high: Math.max(50, sectorRule.threshold) } : {}), [sectorRule]);
     const riskInfo = useMemo(() => ({
-        varResult: calculateVaR(portfolioData, 0.95, 1),
-        marginCallInfo: getMarginCallThreshold(portfolioData),
-        correlationAnalysis: analyzeCorrelation(portfolioData.holdings),
-    }), [portfolioData]);
+        varResult: calculateVaR(basePortfolio, 0.95, 1),
+        marginCallInfo: getMarginCallThreshold(basePortfolio, 0.25, marginRules),
+        correlationAnalysis: analyzeCorrelation(basePortfolio.holdings, concentrationThresholds),
+    }), [basePortfolio, marginRules, concentrationThresholds]);
+
+    const riskMetrics = useMemo(() => (priceHistory ? calculateRiskMetrics(basePortfolio, priceHistory) as RiskMetrics : null), [basePortfolio, priceHistory]);
+
+    const onPriceHistoryFile = (event: React.ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        file.text().then((text) => {
+            const history = parsePriceHistoryCsv(text) as PriceHistory;
+            if (history.error) {
+                setErrorMessage(history.error);
+                return;
+            }
+            setPriceHistory(history);
+        }).catch((error: Error) => {
+            setErrorMessage(`Error reading file: ${error.message}`);
+        });
+    };
+
+    const greeks = useMemo(() => calculatePortfolioGreeks(basePortfolio.holdings) as Greeks & { unpriced: string[] }, [basePortfolio.holdings]);
+    const optionPositions = useMemo(() => basePortfolio.holdings
+        .filter(h => isOptionHolding(h))
+        .map(h => ({ holding: h, value: valueOptionHolding(h) as OptionValuation | null })), [basePortfolio.holdings]);
+
+    // --- Hedge strategy builder ---
+    const hedgeUnderlyings = useMemo(() => basePortfolio.holdings.filter(h => !isOptionHolding(h) && h.quantity > 0), [basePortfolio.holdings]);
+    const [presetKey, setPresetKey] = useState<PresetKey>('collar');
+    const [hedgeTicker, setHedgeTicker] = useState<string>(hedgeUnderlyings[0]?.ticker ?? '');
+    const [daysToExpiry, setDaysToExpiry] = useState<number>(30);
+    const [legs, setLegs] = useState<StrategyLeg[]>(() => hedgeUnderlyings[0] ? instantiatePreset('collar', holdingPrice(hedgeUnderlyings[0]), { daysToExpiry: 30 }) as StrategyLeg[] : []);
+
+    const loadPreset = useCallback((key: PresetKey, ticker: string, days: number) => {
+        const underlying = hedgeUnderlyings.find(h => h.ticker === ticker);
+        setPresetKey(key);
+        setHedgeTicker(ticker);
+        setDaysToExpiry(days);
+        setLegs(underlying ? instantiatePreset(key, holdingPrice(underlying), { daysToExpiry: days }) as StrategyLeg[] : []);
+    }, [hedgeUnderlyings]);
+
+    // A new import may drop the hedged ticker; fall back to the first holding.
+    useEffect(() => {
+        if (hedgeUnderlyings.length > 0 && !hedgeUnderlyings.some(h => h.ticker === hedgeTicker)) {
+            loadPreset(presetKey, hedgeUnderlyings[0].ticker, daysToExpiry);
+        }
+    }, [hedgeUnderlyings, hedgeTicker, presetKey, daysToExpiry, loadPreset]);
 
-    const hedges = useMemo(() => [
-        longPutPayoff(170, 5.50),
-        bearPutSpreadPayoff(220, 210, 2.50),
-        cashSecuredPutPayoff(190, 4.20),
-        coveredCallPayoff(180, 3.80, 150),
-    ], []);
+    const updateLeg = (index: number, changes: Partial<StrategyLeg>) => {
+        setLegs(current => current.map((leg, i) => (i === index ? { ...leg, ...changes } : leg)));
+    };
+
+    const hedgeAnalysis = useMemo(() => analyzeStrategy(legs) as { maxProfit: number; maxLoss: number; breakevens: number[] }, [legs]);
+    const preExpiryDays = useMemo(() => Array.from(new Set([daysToExpiry, Math.round(daysToExpiry / 2)])).filter(d => d > 0), [daysToExpiry]);
+    const payoffCurve = useMemo(() => buildPayoffCurve(legs, { daysRemaining: preExpiryDays }), [legs, preExpiryDays]);
+
+    // --- Risk Report ---
+    // Built on demand so the timestamp is the moment of export.
+    const buildReport = () => buildRiskReport(portfolioData, {
+        marginRules,
+        scenarios,
+        hedgeLegs: legs,
+        hedgeDaysRemaining: preExpiryDays,
+        interestSchedule,
+        loanCurrency,
+        dividendGrowth: dividendGrowthPercent / 100,
+        priceHistory,
+    }) as RiskReport;
+
+    const downloadReport = (format: 'html' | 'json') => {
+        const report = buildReport();
+        const stamp = report.generatedAt.slice(0, 10);
+        if (format === 'html') downloadFile(`margin-risk-report-${stamp}.html`, renderRiskReportHtml(report), 'text/html');
+        else downloadFile(`margin-risk-report-${stamp}.json`, exportRiskReportJson(report), 'application/json');
+    };
+
+    const printReport = () => {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            setErrorMessage('The report window was blocked; allow pop-ups or download the HTML report instead.');
+            return;
+        }
+        reportWindow.document.write(renderRiskReportHtml(buildReport()));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    };
 
     return (
         <div className="p-4 sm:p-6 bg-gray-900 text-gray-200 min-h-screen font-sans">
             <header className="text-center mb-8">
                 <h1 className="text-3xl sm:text-4xl font-bold text-teal-400">IBKR Margin Tracker Pro</h1>
                 <p className="text-gray-400">Advanced Portfolio Risk & Margin Analysis</p>
+                <div className="flex justify-center gap-2 mt-4 text-sm">
+                    <button onClick={() => downloadReport('html')} className="bg-gray-700 rounded px-2 py-1">Download HTML report</button>
+                    <button onClick={() => downloadReport('json')} className="bg-gray-700 rounded px-2 py-1">Download JSON report</button>
+                    <button onClick={printReport} className="bg-teal-600 rounded px-2 py-1">Print report</button>
+                </div>
             </header>
 
             <div {...getRootProps()} className="border-2 border-dashed border-gray-600 rounded-lg p-8 text-center mb-8 cursor-pointer hover:border-teal-400 transition bg-gray-800">
                 <input {...getInputProps()} />
-                <p className="text-lg">{isDragActive ? "Drop the CSV file here..." : "Drag & drop a portfolio CSV here, or click to select"}</p>
-                <p className="text-sm text-gray-500 mt-2">Required columns: ticker, quantity, marketValue, costBasis, annualDividend, sector, cash, marginUsed</p>
+                <p className="text-lg">{isDragActive ? "Drop the file here..." : "Drag & drop a portfolio file (Flex Query XML, Activity Statement CSV, template CSV or JSON) here, or click to select"}</p>
+                <p className="text-sm text-gray-500 mt-2">Accepts IBKR Flex Query XML, Activity Statement CSV, the template CSV (ticker, quantity, marketValue, costBasis, annualDividend, sector, cash, marginUsed) or an exported portfolio JSON</p>
                 {errorMessage && <p className="text-red-500 mt-4">{errorMessage}</p>}
+                {importReport && (
+                    <div className="text-sm text-left mt-4 text-gray-400">
+                        <p>Imported {importReport.portfolio?.holdings.length} positions from {importReport.format} ({importReport.mappedSections.join(', ')}).</p>
+                        {importReport.skippedSections.length > 0 && <p>Skipped sections: {importReport.skippedSections.join(', ')}</p>}
+                        {importReport.unmappedRows.map((r, index) => (
+                            <p key={index} className="text-yellow-400">{r.section}{r.row !== null ? ` row ${r.row}` : ''}: {r.reason}</p>
+                        ))}
+                    </div>
+                )}
             </div>
 
+            <section className="bg-gray-800 p-6 rounded-lg shadow-lg mb-8">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-semibold text-teal-400">Holdings{openAccount && <span className="text-lg text-gray-400"> · {openAccount.name}{marginRules !== modeMarginRules ? ' (cash account)' : ''}{openAccountUnsaved ? ' · unsaved changes' : ''}</span>}</h2>
+                    <div className="flex gap-2 text-sm">
+                        <button onClick={() => changeHoldingRows([...portfolioData.holdings, EMPTY_HOLDING])} className="bg-gray-700 rounded px-2 py-1">Add holding</button>
+                        <button onClick={() => downloadPortfolio('csv')} className="bg-gray-700 rounded px-2 py-1">Export CSV</button>
+                        <button onClick={() => downloadPortfolio('json')} className="bg-gray-700 rounded px-2 py-1">Export JSON</button>
+                    </div>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-gray-400 text-left">
+                                {HOLDING_COLUMNS.map(column => (
+                                    <th key={column.field} className={column.numeric ? 'text-right' : ''}>
+                                        <button onClick={() => sortHoldings(column.field)} aria-label={`Sort by ${column.label}`}>
+                                            {column.label}{holdingsSort.field === column.field ? (holdingsSort.descending ? ' ▼' : ' ▲') : ''}
+                                        </button>
+                                    </th>
+                                ))}
+                                <th>Short</th>
+                                <th>Quoted</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedHoldingRows.map(({ holding: h, index }) => (
+                                <tr key={index}>
+                                    <td>
+                                        <input aria-label={`Holding ${index + 1} ticker`} value={h.ticker} onChange={e => editHoldingCell(index, 'ticker', e.target.value)} onBlur={finishHoldingEdit} title={cellIssue(index, 'ticker')} className={cellClass(index, 'ticker', 'w-40')} />
+                                    </td>
+                                    {(['quantity', 'price'] as HoldingEditField[]).map(field => (
+                                        <td key={field} className="text-right">
+                                            <input aria-label={`Holding ${index + 1} ${field}`} value={numberCellValue(`${index}:${field}`, field === 'price' ? holdingUnitPrice(h) : h.quantity)} onChange={e => editHoldingCell(index, field, e.target.value)} onBlur={finishHoldingEdit} title={cellIssue(index, field)} className={cellClass(index, field, 'w-24 text-right')} />
+                                        </td>
+                                    ))}
+                                    <td className="text-right">{typeof h.marketValue === 'number' ? `$${h.marketValue.toFixed(2)}` : 'N/A'}</td>
+                                    {(['costBasis', 'annualDividend'] as HoldingEditField[]).map(field => (
+                                        <td key={field} className="text-right">
+                                            <input aria-label={`Holding ${index + 1} ${field === 'costBasis' ? 'cost basis' : 'dividend'}`} value={numberCellValue(`${index}:${field}`, h[field as 'costBasis' | 'annualDividend'])} onChange={e => editHoldingCell(index, field, e.target.value)} onBlur={finishHoldingEdit} title={cellIssue(index, field)} className={cellClass(index, field, 'w-24 text-right')} />
+                                        </td>
+                                    ))}
+                                    <td className={`text-right ${positionPnl[index].unrealizedPnl < 0 ? 'text-red-400' : 'text-green-400'}`} title={`Quoted: ${formatQuoteTime(h.quoteTime)}`}>
+                                        ${positionPnl[index].unrealizedPnl.toFixed(2)}
+                                        {positionPnl[index].unrealizedPnlPercent !== null && ` (${positionPnl[index].unrealizedPnlPercent?.toFixed(1)}%)`}
+                                    </td>
+                                    <td>
+                                        <input aria-label={`Holding ${index + 1} sector`} value={h.sector} onChange={e => editHoldingCell(index, 'sector', e.target.value)} onBlur={finishHoldingEdit} className="w-32 bg-gray-700 rounded p-1" />
+                                    </td>
+                                    <td>
+                                        {!h.right && <input type="checkbox" aria-label={`Holding ${index + 1} short`} checked={Boolean(h.short)} onChange={e => changeHoldingRows(portfolioData.holdings.map((holding, i) => (i === index ? (editHolding(holding, 'short', e.target.checked) as { holding: Holding }).holding : holding)))} />}
+                                    </td>
+                                    <td className="text-gray-400 whitespace-nowrap">{formatQuoteTime(h.quoteTime)}</td>
+                                    <td className="text-right">
+                                        <button onClick={() => changeHoldingRows(portfolioData.holdings.filter((_, i) => i !== index))} aria-label={`Remove holding ${index + 1}`} className="text-red-400">✕</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="flex gap-4 mt-4 text-sm">
+                    <label className="flex items-center gap-2">
+                        Cash
+                        <input aria-label="Cash" value={numberCellValue('cash', portfolioData.cash)} onChange={e => editAccountCell('cash', e.target.value)} onBlur={finishHoldingEdit} title={cellIssue(null, 'cash')} className={cellClass(null, 'cash', 'w-28 text-right')} />
+                    </label>
+                    <span>Unrealized P&L: <span className={totalUnrealizedPnl < 0 ? 'text-red-400' : 'text-green-400'}>${totalUnrealizedPnl.toFixed(2)}</span></span>
+                    <label className="flex items-center gap-2">
+                        Margin used
+                        <input aria-label="Margin used" value={numberCellValue('marginUsed', portfolioData.marginUsed)} onChange={e => editAccountCell('marginUsed', e.target.value)} onBlur={finishHoldingEdit} title={cellIssue(null, 'marginUsed')} className={cellClass(null, 'marginUsed', 'w-28 text-right')} />
+                    </label>
+                </div>
+                <div className="flex flex-wrap items-center gap-4 mt-4 text-sm">
+                    <label>
+                        Quote file (ticker, price, asOf as CSV or JSON)
+                        <input type="file" accept=".csv,.json" aria-label="Quote file" onChange={onQuoteFile} className="block mt-1 text-gray-300" />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Quote endpoint
+                        <input aria-label="Quote endpoint" value={quoteEndpoint} placeholder="http://localhost:8080/quotes" onChange={e => setQuoteEndpoint(e.target.value)} className="w-64 bg-gray-700 rounded p-1" />
+                    </label>
+                    <button onClick={connectQuoteEndpoint} className="bg-gray-700 rounded px-2 py-1">Use endpoint</button>
+                    <button onClick={() => refreshQuotes()} disabled={!quoteProvider} className="bg-gray-700 rounded px-2 py-1 disabled:opacity-50">Refresh quotes</button>
+                </div>
+                {quoteStatus && <p className={`mt-2 text-sm ${quoteStatus.error ? 'text-red-400' : 'text-gray-400'}`}>{quoteStatus.message}</p>}
+                {(holdingIssues.length > 0 || Object.values(cellDrafts).some(d => d.error)) && (
+                    <div className="mt-4 text-sm">
+                        <ul aria-label="Holding issues" className="text-red-400 space-y-1">
+                            {Object.entries(cellDrafts).filter(([, draft]) => draft.error).map(([key, draft]) => (
+                                <li key={key}>{key.includes(':') ? `Row ${Number(key.split(':')[0]) + 1}` : 'Account'}: '{draft.text}' is not a number.</li>
+                            ))}
+                            {holdingIssues.map((issue, i) => (
+                                <li key={i}>{issue.row === null ? 'Account' : `Row ${issue.row + 1}${issue.ticker ? ` (${issue.ticker})` : ''}`}: {issue.message}</li>
+                            ))}
+                        </ul>
+                        {holdingIssues.some(issue => issue.message.startsWith('Duplicate')) && (
+                            <button onClick={() => changeHoldingRows(mergeDuplicateHoldings(portfolioData.holdings) as Holding[])} className="bg-gray-700 rounded px-2 py-1 mt-2">Merge duplicates</button>
+                        )}
+                    </div>
+                )}
+            </section>
+
+            <section className="bg-gray-800 p-6 rounded-lg shadow-lg mb-8">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                    <h2 className="text-2xl font-semibold text-teal-400">Household</h2>
+                    <div className="flex gap-2 text-sm">
+                        <input aria-label="Account name" value={accountDraft.name} placeholder="Account name" onChange={e => setAccountDraft(d => ({ ...d, name: e.target.value }))} className="w-40 bg-gray-700 rounded p-1" />
+                        <select aria-label="Account type" value={accountDraft.type} onChange={e => setAccountDraft(d => ({ ...d, type: e.target.value as AccountType }))} className="bg-gray-700 rounded p-1">
+                            {(Object.keys(ACCOUNT_TYPES) as AccountType[]).map(type => (
+                                <option key={type} value={type}>{ACCOUNT_TYPES[type].label}</option>
+                            ))}
+                        </select>
+                        <button onClick={addAccount} className="bg-gray-700 rounded px-2 py-1">Add current portfolio as account</button>
+                    </div>
+                </div>
+                {accounts.length === 0 ? (
+                    <p className="text-gray-400 text-sm">Load each account's statement and add it here to see the accounts side by side and combined.</p>
+                ) : (
+                    <>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-gray-400 text-left">
+                                        <th>Account</th>
+                                        <th>Type</th>
+                                        <th>Cash only</th>
+                                        <th className="text-right">NLV</th>
+                                        <th className="text-right">Excess Liq.</th>
+                                        <th className="text-right">Buying Power</th>
+                                        <th className="text-right">Leverage</th>
+                                        <th className="text-right">Call Distance</th>
+                                        <th>Concentration</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {accounts.map((account, index) => {
+                                        const row = householdAnalysis.accounts[index];
+                                        return (
+                                            <tr key={account.id} className={account.id === openAccountId ? 'text-teal-300' : ''}>
+                                                <td>{account.name}</td>
+                                                <td>
+                                                    <select aria-label={`${account.name} type`} value={account.type} onChange={e => updateAccount(account.id, { type: e.target.value as AccountType, cashOnly: undefined })} className="bg-gray-700 rounded p-1">
+                                                        {(Object.keys(ACCOUNT_TYPES) as AccountType[]).map(type => (
+                                                            <option key={type} value={type}>{ACCOUNT_TYPES[type].label}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                                <td><input type="checkbox" aria-label={`${account.name} cash only`} checked={row.cashOnly} onChange={e => updateAccount(account.id, { cashOnly: e.target.checked })} /></td>
+                                                <td className="text-right">${row.metrics.netLiquidationValue}</td>
+                                                <td className={`text-right ${parseFloat(row.metrics.excessLiquidity) < 0 ? 'text-red-400' : ''}`}>${row.metrics.excessLiquidity}</td>
+                                                <td className="text-right">${row.metrics.buyingPower}</td>
+                                                <td className="text-right">{row.metrics.leverage}x</td>
+                                                <td className="text-right">{row.marginCall.dropPercentage === 'N/A' ? 'N/A' : `${row.marginCall.dropPercentage}%`}</td>
+                                                <td>{row.concentration}</td>
+                                                <td className="text-right whitespace-nowrap">
+                                                    <button onClick={() => openAccountInDashboard(account)} className="text-teal-400 mr-2">Open</button>
+                                                    <button onClick={() => updateAccount(account.id, { portfolio: portfolioData })} aria-label={`Save dashboard portfolio to ${account.name}`} className={`mr-2 ${account.id === openAccountId && openAccountUnsaved ? 'text-yellow-400 font-semibold' : 'text-teal-400'}`}>Save</button>
+                                                    <button onClick={() => removeAccount(account.id)} aria-label={`Remove ${account.name}`} className="text-red-400">✕</button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                    <tr className="font-semibold border-t border-gray-600">
+                                        <td>Household</td>
+                                        <td></td>
+                                        <td></td>
+                                        <td className="text-right">${householdAnalysis.household.metrics.netLiquidationValue}</td>
+                                        <td className="text-right">${householdAnalysis.household.metrics.excessLiquidity}</td>
+                                        <td className="text-right">${householdAnalysis.household.metrics.buyingPower}</td>
+                                        <td className="text-right">{householdAnalysis.household.metrics.leverage}x</td>
+                                        <td></td>
+                                        <td>{householdAnalysis.household.concentration}</td>
+                                        <td></td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                        {householdAnalysis.accounts.flatMap(a => a.issues).map(issue => (
+                            <p key={issue} className="text-red-400 text-sm mt-2">{issue}</p>
+                        ))}
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+                            {([['Exposure by Ticker', householdAnalysis.household.exposure.byTicker], ['Exposure by Sector', householdAnalysis.household.exposure.bySector]] as [string, ExposureRow[]][]).map(([title, rows]) => (
+                                <div key={title}>
+                                    <h3 className="text-xl font-semibold mb-2 text-teal-500">{title}</h3>
+                                    <table className="w-full text-sm">
+                                        <tbody>
+                                            {rows.map(row => (
+                                                <tr key={row.name} title={Object.entries(row.accounts).map(([name, value]) => `${name}: $${value.toFixed(2)}`).join(', ')}>
+                                                    <td>{row.name}</td>
+                                                    <td className="text-right">${row.marketValue.toFixed(2)}</td>
+                                                    <td className="text-right">{row.share.toFixed(1)}%</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ))}
+                            <div>
+                                <h3 className="text-xl font-semibold mb-2 text-teal-500">Household Scenarios</h3>
+                                <table className="w-full text-sm">
+                                    <tbody>
+                                        {householdScenarios.map(({ scenario, result }) => (
+                                            <tr key={scenario.id}>
+                                                <td>{scenario.name}</td>
+                                                <td className="text-right">${result.household.nlvChange.toFixed(2)}</td>
+                                                <td className={`text-right ${result.household.breachingAccounts.length > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                                                    {result.household.breachingAccounts.length > 0 ? `Call: ${result.household.breachingAccounts.join(', ')}` : 'No calls'}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </section>
+
             <main className="grid grid-cols-1 lg:grid-cols-3 gap-6">
 
                 <div className="lg:col-span-1 flex flex-col gap-6">
                     <section className="bg-gray-800 p-6 rounded-lg shadow-lg">
-                        <h2 className="text-2xl font-semibold text-teal-400 mb-4">Portfolio Metrics</h2>
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-semibold text-red-400">Risk Alerts</h2>
+                            <label className="flex items-center gap-1 text-sm">
+                                <input type="checkbox" aria-label="Browser notifications" checked={notificationsEnabled} onChange={toggleNotifications} />
+                                Notify
+                            </label>
+                        </div>
+                        {alerts.length === 0 ? (
+                            <p className="text-green-400 mb-4">No alerts firing.</p>
+                        ) : (
+                            <ul aria-label="Firing alerts" className="space-y-1 mb-4">
+                                {alerts.map(alert => (
+                                    <li key={alert.key} className="text-red-400">{alert.message}</li>
+                                ))}
+                            </ul>
+                        )}
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>On</th>
+                                    <th>Metric</th>
+                                    <th></th>
+                                    <th className="text-right">Threshold</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {alertRules.map((rule, index) => (
+                                    <tr key={rule.id}>
+                                        <td><input type="checkbox" aria-label={`Alert ${index + 1} enabled`} checked={rule.enabled} onChange={e => updateAlertRule(rule.id, { enabled: e.target.checked })} /></td>
+                                        <td>
+                                            <select aria-label={`Alert ${index + 1} metric`} value={rule.metric} onChange={e => updateAlertRule(rule.id, { metric: e.target.value as AlertMetric })} className="w-full bg-gray-700 rounded p-1">
+                                                {(Object.keys(ALERT_METRICS) as AlertMetric[]).map(metric => (
+                                                    <option key={metric} value={metric}>{ALERT_METRICS[metric].label}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <select aria-label={`Alert ${index + 1} operator`} value={rule.operator} onChange={e => updateAlertRule(rule.id, { operator: e.target.value as AlertOperator })} className="bg-gray-700 rounded p-1">
+                                                {(Object.keys(ALERT_OPERATORS) as AlertOperator[]).map(operator => (
+                                                    <option key={operator} value={operator}>{operator}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td className="text-right">
+                                            <input type="number" aria-label={`Alert ${index + 1} threshold`} value={rule.threshold} onChange={e => updateAlertRule(rule.id, { threshold: parseFloat(e.target.value) || 0 })} className="w-20 bg-gray-700 rounded p-1 text-right" />
+                                        </td>
+                                        <td className="text-right">
+                                            <button onClick={() => setAlertRules(current => current.filter(r => r.id !== rule.id))} aria-label={`Delete alert ${index + 1}`} className="text-red-400">✕</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <button onClick={addAlertRule} className="bg-gray-700 rounded px-2 py-1 text-sm mt-2">Add alert</button>
+                    </section>
+
+                    <section className="bg-gray-800 p-6 rounded-lg shadow-lg">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-semibold text-teal-400">Portfolio Metrics</h2>
+                            <div className="flex text-sm rounded overflow-hidden border border-gray-600">
+                                {(['regT', 'portfolio'] as MarginMode[]).map(mode => (
+                                    <button
+                                        key={mode}
+                                        onClick={() => setMarginMode(mode)}
+                                        className={`px-2 py-1 ${marginMode === mode ? 'bg-teal-600 text-white' : 'bg-gray-700 text-gray-300'}`}
+                                    >
+                                        {mode === 'regT' ? 'Reg T' : 'PM'}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
                         <ul className="space-y-2 text-md sm:text-lg">
                             <li><strong>Net Liquidation Value:</strong> ${metrics.netLiquidationValue}</li>
                             <li><strong>Excess Liquidity:</strong> <span className={parseFloat(metrics.excessLiquidity) > 0 ? 'text-green-400' : 'text-red-400'}>${metrics.excessLiquidity}</span></li>
                             <li><strong>Buying Power:</strong> ${metrics.buyingPower}</li>
                             <li><strong>Leverage:</strong> {metrics.leverage}x</li>
-                            <li><strong>Margin Health:</strong> <span className={parseFloat(metrics.marginHealth) > 25 ? 'text-green-400' : 'text-red-400'}>{metrics.marginHealth}%</span></li>
+                            <li><strong>Margin Health:</strong> <span className={marginHealthAlert ? 'text-red-400' : 'text-green-400'}>{metrics.marginHealth}%</span></li>
+                            <li><strong>Maintenance / Initial Margin:</strong> ${metrics.maintenanceMargin} / ${metrics.initialMargin}</li>
                         </ul>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Reg T vs Portfolio Margin</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th></th>
+                                    <th className="text-right">Excess Liq.</th>
+                                    <th className="text-right">Buying Power</th>
+                                    <th className="text-right">Call Distance</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {marginComparison.map(row => (
+                                    <tr key={row.mode} className={row.mode === marginMode ? 'text-teal-300' : ''}>
+                                        <td>{row.label}</td>
+                                        <td className="text-right">${row.excessLiquidity}</td>
+                                        <td className="text-right">${row.buyingPower}</td>
+                                        <td className="text-right">{row.marginCallDistance === 'N/A' ? 'N/A' : `${row.marginCallDistance}%`}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Margin by Position</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Ticker</th>
+                                    <th className="text-right">Maint.</th>
+                                    <th className="text-right">Initial</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {metrics.marginBreakdown?.map(position => (
+                                    <tr key={position.ticker} title={position.rules.join(', ')}>
+                                        <td>{position.ticker}</td>
+                                        <td className="text-right">${position.maintenanceMargin.toFixed(2)} ({(position.maintenanceRate * 100).toFixed(0)}%)</td>
+                                        <td className="text-right">${position.initialMargin.toFixed(2)} ({(position.initialRate * 100).toFixed(0)}%)</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Currency Exposure</h3>
+                        <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                            <label className="flex justify-between items-center">
+                                Base currency
+                                <select aria-label="Base currency" value={baseCurrency} onChange={e => recordPortfolio({ ...portfolioData, baseCurrency: e.target.value }, 'edit')} className="w-24 bg-gray-700 rounded p-1">
+                                    {currencies.map(currency => (
+                                        <option key={currency} value={currency}>{currency}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="text-gray-400">
+                                FX rates (pair,rate CSV or JSON)
+                                <input type="file" accept=".csv,.json" aria-label="FX rates file" onChange={onFxRatesFile} className="block mt-1 text-gray-300" />
+                            </label>
+                        </div>
+                        {missingRates.length > 0 && (
+                            <p className="text-sm text-yellow-400 mb-2">No FX rate for {missingRates.join(', ')}; converted 1:1 until rates are loaded.</p>
+                        )}
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Currency</th>
+                                    <th className="text-right">Positions</th>
+                                    <th className="text-right">Cash</th>
+                                    <th className="text-right">Net ({baseCurrency})</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {exposure.map(row => (
+                                    <tr key={row.currency}>
+                                        <td>{row.currency}</td>
+                                        <td className="text-right">{row.marketValue.toFixed(2)}</td>
+                                        <td className="text-right">{row.cash.toFixed(2)}</td>
+                                        <td className="text-right">{row.netBase === null ? 'N/A' : row.netBase.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     </section>
 
                     <section className="bg-gray-800 p-6 rounded-lg shadow-lg">
                         <h2 className="text-2xl font-semibold text-teal-400 mb-4">Dividend Analysis</h2>
                         <ul className="space-y-2 text-md sm:text-lg">
                             <li><strong>Yield on Cost:</strong> {dividendInfo.yieldOnCost.toFixed(2)}%</li>
+                            <li><strong>Margin Rate:</strong> {(dividendInfo.interestRate * 100).toFixed(2)}% ({loanCurrency}, tiered)</li>
+                            <li><strong>Interest Accrual:</strong> ${dividendInfo.dailyInterest.toFixed(2)}/day</li>
                             <li><strong>Margin Interest Coverage:</strong> {isFinite(dividendInfo.coverageRatio) ? `${dividendInfo.coverageRatio.toFixed(2)}x` : 'N/A'}</li>
-                            <li><strong>Est. Margin Payoff Time:</strong> {typeof dividendInfo.payoffTime === 'number' ? `${dividendInfo.payoffTime.toFixed(2)} years` : dividendInfo.payoffTime}</li>
+                            <li><strong>Est. Margin Payoff Time:</strong> {dividendInfo.payoff.months === null ? 'Not within 50 years' : formatMonths(dividendInfo.payoff.months)}</li>
                         </ul>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Margin Loan Payoff</h3>
+                        <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                            <label className="flex justify-between items-center">
+                                Currency
+                                <select aria-label="Loan currency" value={loanCurrency} onChange={e => selectLoanCurrency(e.target.value)} className="w-24 bg-gray-700 rounded p-1">
+                                    {Object.keys(DEFAULT_INTEREST_SCHEDULE.currencies).map(currency => (
+                                        <option key={currency} value={currency}>{currency}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="flex justify-between items-center">
+                                Benchmark (%)
+                                <input type="number" step="0.01" aria-label="Benchmark rate" value={benchmarkPercent} onChange={e => setBenchmarkPercent(parseFloat(e.target.value) || 0)} className="w-24 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                            <label className="flex justify-between items-center">
+                                Dividend growth (%)
+                                <input type="number" aria-label="Dividend growth" value={dividendGrowthPercent} onChange={e => setDividendGrowthPercent(parseFloat(e.target.value) || 0)} className="w-24 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                            <label className="flex justify-between items-center">
+                                Monthly extra ($)
+                                <input type="number" aria-label="Monthly contribution" value={monthlyContribution} onChange={e => setMonthlyContribution(parseFloat(e.target.value) || 0)} className="w-24 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                        </div>
+                        <p className="text-sm mb-2">Total interest until payoff: ${dividendInfo.payoff.totalInterest.toFixed(2)}</p>
+                        <table className="w-full text-sm mb-2">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Month</th>
+                                    <th className="text-right">Interest</th>
+                                    <th className="text-right">Loan (no paydown)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {dividendInfo.monthlyAccruals.map(row => (
+                                    <tr key={row.month}>
+                                        <td>{row.month}</td>
+                                        <td className="text-right">${row.interest.toFixed(2)}</td>
+                                        <td className="text-right">${row.balance.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {loanPayoffCurve.length > 1 && (
+                            <ResponsiveContainer width="100%" height={200}>
+                                <LineChart data={loanPayoffCurve}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                                    <XAxis dataKey="month" stroke="#9ca3af" />
+                                    <YAxis stroke="#9ca3af" />
+                                    <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} />
+                                    <Line type="monotone" dataKey="balance" name="Margin Loan" stroke="#f87171" strokeWidth={2} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        )}
                         <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">5-Year Dividend Projection</h3>
                         <ResponsiveContainer width="100%" height={200}>
                             <LineChart data={dividendProjections}>
@@ -155,6 +1537,192 @@ const IBKRMarginTracker: React.FC = () => {
                                 <Line type="monotone" dataKey="income" name="Projected Income" stroke="#2dd4bf" strokeWidth={2} />
                             </LineChart>
                         </ResponsiveContainer>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Reinvest or Pay Down? (10 years)</h3>
+                        <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                            <label className="flex justify-between items-center">
+                                Split reinvested (%)
+                                <input type="number" min="0" max="100" aria-label="Split reinvested" value={splitPercent} onChange={e => setSplitPercent(Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))} className="w-24 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                            <label className="flex justify-between items-center">
+                                Price growth (%)
+                                <input type="number" aria-label="Price growth" value={priceGrowthPercent} onChange={e => setPriceGrowthPercent(parseFloat(e.target.value) || 0)} className="w-24 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                            <label className="flex justify-between items-center">
+                                Chart
+                                <select aria-label="Policy metric" value={policyMetric} onChange={e => setPolicyMetric(e.target.value as PolicyMetric)} className="w-36 bg-gray-700 rounded p-1">
+                                    {(Object.keys(POLICY_METRICS) as PolicyMetric[]).map(metric => (
+                                        <option key={metric} value={metric}>{POLICY_METRICS[metric]}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+                        <ResponsiveContainer width="100%" height={200}>
+                            <LineChart data={policyChart}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                                <XAxis dataKey="year" stroke="#9ca3af" />
+                                <YAxis stroke="#9ca3af" />
+                                <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} />
+                                <Legend />
+                                {policyResults.map((p, i) => (
+                                    <Line key={p.id} type="monotone" dataKey={p.name} stroke={POLICY_COLORS[i % POLICY_COLORS.length]} strokeWidth={2} />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                        <table className="w-full text-sm mt-2">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Year 10</th>
+                                    <th className="text-right">NLV</th>
+                                    <th className="text-right">Debt</th>
+                                    <th className="text-right">Income</th>
+                                    <th className="text-right">Leverage</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {policyResults.map(p => {
+                                    const final = p.years[p.years.length - 1];
+                                    return (
+                                        <tr key={p.id}>
+                                            <td>{p.name}</td>
+                                            <td className="text-right">${final.netLiquidationValue.toFixed(2)}</td>
+                                            <td className="text-right">${final.debt.toFixed(2)}</td>
+                                            <td className="text-right">${final.income.toFixed(2)}</td>
+                                            <td className="text-right">{final.leverage.toFixed(2)}x</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Dividend Calendar (24 months)</h3>
+                        <ResponsiveContainer width="100%" height={200}>
+                            <BarChart data={dividendChart}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                                <XAxis dataKey="month" stroke="#9ca3af" />
+                                <YAxis stroke="#9ca3af" />
+                                <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} />
+                                <Legend />
+                                <Bar dataKey="Net Dividends" fill="#2dd4bf" />
+                                <Bar dataKey="Margin Interest" fill="#f87171" />
+                            </BarChart>
+                        </ResponsiveContainer>
+                        <div className="grid grid-cols-3 sm:grid-cols-4 gap-1 text-xs mt-2">
+                            {dividendMonths.map(m => (
+                                <div key={m.month} title={m.payments.map(p => `${p.ticker} ex ${p.exDate}, paid ${p.payDate}: $${p.net.toFixed(2)}`).join('\n')} className="bg-gray-700 rounded p-1">
+                                    <p className="text-gray-400">{m.month}</p>
+                                    <p>{m.payments.map(p => p.ticker).join(', ') || '—'}</p>
+                                    <p className={m.netCashFlow < 0 ? 'text-red-400' : 'text-green-400'}>${m.netCashFlow.toFixed(2)}</p>
+                                </div>
+                            ))}
+                        </div>
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Dividend Schedule</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Ticker</th>
+                                    <th>Frequency</th>
+                                    <th>Next Pay</th>
+                                    <th className="text-right">Growth (%)</th>
+                                    <th className="text-right">Domicile</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {dividendHoldings.map(h => (
+                                    <tr key={h.ticker}>
+                                        <td>{h.ticker}</td>
+                                        <td>
+                                            <select aria-label={`${h.ticker} frequency`} value={h.dividendFrequency ?? 'quarterly'} onChange={e => updateDividendSchedule(h.ticker, { dividendFrequency: e.target.value as DividendFrequency })} onBlur={finishDividendScheduleEdit} className="bg-gray-700 rounded p-1">
+                                                {Object.keys(DIVIDEND_FREQUENCIES).map(frequency => (
+                                                    <option key={frequency} value={frequency}>{frequency}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <input type="date" aria-label={`${h.ticker} pay date`} value={h.payDate ?? ''} onChange={e => updateDividendSchedule(h.ticker, { payDate: e.target.value || undefined })} onBlur={finishDividendScheduleEdit} className="bg-gray-700 rounded p-1" />
+                                        </td>
+                                        <td className="text-right">
+                                            <input type="number" aria-label={`${h.ticker} dividend growth`} value={h.dividendGrowth === undefined ? '' : toPercent(h.dividendGrowth)} placeholder={String(dividendGrowthPercent)} onChange={e => updateDividendSchedule(h.ticker, { dividendGrowth: e.target.value === '' ? undefined : parseFloat(e.target.value) / 100 })} onBlur={finishDividendScheduleEdit} className="w-16 bg-gray-700 rounded p-1 text-right" />
+                                        </td>
+                                        <td className="text-right">
+                                            <input aria-label={`${h.ticker} domicile`} value={h.domicile ?? ''} placeholder="US" maxLength={2} onChange={e => updateDividendSchedule(h.ticker, { domicile: e.target.value.toUpperCase() || undefined })} onBlur={finishDividendScheduleEdit} className="w-12 bg-gray-700 rounded p-1 text-right" />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </section>
+
+                    <section className="bg-gray-800 p-6 rounded-lg shadow-lg">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-semibold text-teal-400">Account History</h2>
+                            <div className="flex gap-2 text-sm">
+                                <button onClick={() => recordPortfolio(portfolioData, 'manual')} className="bg-gray-700 rounded px-2 py-1">Save snapshot</button>
+                                <button onClick={() => setHistory([])} disabled={history.length === 0} className="bg-gray-700 rounded px-2 py-1">Clear</button>
+                            </div>
+                        </div>
+                        {history.length < 2 ? (
+                            <p className="text-sm text-gray-400">Each imported portfolio is saved in this browser as a snapshot. Trends appear once there are two.</p>
+                        ) : (
+                            <>
+                                <ResponsiveContainer width="100%" height={200}>
+                                    <LineChart data={trendSeries}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                                        <XAxis dataKey="date" stroke="#9ca3af" />
+                                        <YAxis stroke="#9ca3af" />
+                                        <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} />
+                                        <Legend />
+                                        <Line type="monotone" dataKey="netLiquidationValue" name="NLV" stroke="#2dd4bf" strokeWidth={2} />
+                                        <Line type="monotone" dataKey="excessLiquidity" name="Excess Liquidity" stroke="#4ade80" strokeWidth={2} />
+                                        <Line type="monotone" dataKey="dividendIncome" name="Dividend Income" stroke="#fbbf24" strokeWidth={2} />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                                <ResponsiveContainer width="100%" height={200}>
+                                    <LineChart data={trendSeries}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                                        <XAxis dataKey="date" stroke="#9ca3af" />
+                                        <YAxis yAxisId="left" stroke="#60a5fa" />
+                                        <YAxis yAxisId="right" orientation="right" stroke="#f87171" />
+                                        <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} />
+                                        <Legend />
+                                        <Line yAxisId="left" type="monotone" dataKey="leverage" name="Leverage (x)" stroke="#60a5fa" strokeWidth={2} />
+                                        <Line yAxisId="right" type="monotone" dataKey="marginHealth" name="Margin Health (%)" stroke="#f87171" strokeWidth={2} />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                                <h3 className="text-xl font-semibold mt-6 mb-2 text-teal-500">Compare Snapshots</h3>
+                                <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                                    {([['From snapshot', diffFrom, setDiffFromId], ['To snapshot', diffTo, setDiffToId]] as [string, Snapshot | undefined, (id: string) => void][]).map(([label, selected, select]) => (
+                                        <select key={label} aria-label={label} value={selected?.id ?? ''} onChange={e => select(e.target.value)} className="bg-gray-700 rounded p-1">
+                                            {history.map(s => (
+                                                <option key={s.id} value={s.id}>{snapshotLabel(s)}</option>
+                                            ))}
+                                        </select>
+                                    ))}
+                                </div>
+                                {snapshotDiff && (
+                                    <div className="text-sm">
+                                        <table className="w-full mb-2">
+                                            <thead>
+                                                <tr className="text-gray-400 text-left">
+                                                    <th>Ticker</th>
+                                                    <th className="text-right">Quantity</th>
+                                                    <th className="text-right">Value Change</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {snapshotDiff.positions.filter(p => p.status !== 'unchanged').map(p => (
+                                                    <tr key={p.ticker}>
+                                                        <td>{p.ticker}{p.status === 'new' ? ' (new)' : p.status === 'closed' ? ' (closed)' : ''}</td>
+                                                        <td className="text-right">{p.quantityBefore} → {p.quantityAfter}</td>
+                                                        <td className="text-right">${p.marketValueChange.toFixed(2)}</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                        <p>Margin used change: <span className={snapshotDiff.marginUsedChange > 0 ? 'text-red-400' : 'text-green-400'}>${snapshotDiff.marginUsedChange.toFixed(2)}</span></p>
+                                        <p>Cash change: ${snapshotDiff.cashChange.toFixed(2)}</p>
+                                    </div>
+                                )}
+                            </>
+                        )}
                     </section>
                 </div>
 
@@ -166,6 +1734,52 @@ const IBKRMarginTracker: React.FC = () => {
                             <p><strong>Value at Risk (1-day, 95%):</strong> Potential loss of <strong className="text-red-400">${riskInfo.varResult.VaR}</strong>.</p>
                             <p><strong>Concentration:</strong> {riskInfo.correlationAnalysis}</p>
                         </div>
+                        <h3 className="text-xl font-semibold text-red-500 mb-2">Value at Risk from Price History</h3>
+                        <label className="block text-sm text-gray-400 mb-2">
+                            Daily closes CSV (date,ticker,close or date,TICKER,...):
+                            <input type="file" accept=".csv" aria-label="Price history CSV" onChange={onPriceHistoryFile} className="block mt-1 text-gray-300" />
+                        </label>
+                        {riskMetrics && (
+                            <div className="text-sm mb-4">
+                                <table className="w-full mb-2">
+                                    <thead>
+                                        <tr className="text-gray-400 text-left">
+                                            <th>1-day, 95%</th>
+                                            <th className="text-right">VaR</th>
+                                            <th className="text-right">Exp. Shortfall</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {([['Historical', riskMetrics.historical], ['Parametric', riskMetrics.parametric], ['Monte Carlo', riskMetrics.monteCarlo]] as [string, LossEstimate][]).map(([label, estimate]) => (
+                                            <tr key={label}>
+                                                <td>{label}</td>
+                                                <td className="text-right">${estimate.VaR.toFixed(2)}</td>
+                                                <td className="text-right">${estimate.expectedShortfall.toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <table className="w-full mb-2">
+                                    <thead>
+                                        <tr className="text-gray-400 text-left">
+                                            <th>Ticker</th>
+                                            <th className="text-right">Marginal VaR</th>
+                                            <th className="text-right">Component VaR</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {riskMetrics.components.map(c => (
+                                            <tr key={c.ticker}>
+                                                <td>{c.ticker}</td>
+                                                <td className="text-right">{(c.marginalVaR * 100).toFixed(2)}%</td>
+                                                <td className="text-right">${c.componentVaR.toFixed(2)} ({c.contribution.toFixed(1)}%)</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <p className="text-gray-400">{riskMetrics.observations} daily returns.{riskMetrics.missingTickers.length > 0 && ` No history for: ${riskMetrics.missingTickers.join(', ')}.`}</p>
+                            </div>
+                        )}
                         <h3 className="text-xl font-semibold text-red-500 mb-2">Portfolio Drop Scenarios</h3>
                         <ResponsiveContainer width="100%" height={300}>
                             <BarChart data={stressScenarios}>
@@ -179,25 +1793,342 @@ const IBKRMarginTracker: React.FC = () => {
                                 <Bar yAxisId="right" dataKey="Margin Health (%)" fill="#f87171" />
                             </BarChart>
                         </ResponsiveContainer>
+                        {fxShocks.length > 0 && (
+                            <>
+                                <h3 className="text-xl font-semibold text-red-500 mt-6 mb-2">FX Shocks</h3>
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-gray-400 text-left">
+                                            <th>Move</th>
+                                            <th className="text-right">Excess Liq.</th>
+                                            <th className="text-right">Change</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {fxShocks.map(shock => (
+                                            <tr key={shock.name}>
+                                                <td>{shock.name}</td>
+                                                <td className="text-right">${shock.excessLiquidity}</td>
+                                                <td className={`text-right ${parseFloat(shock.excessLiquidityChange) < 0 ? 'text-red-400' : 'text-green-400'}`}>${shock.excessLiquidityChange}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                        <h3 className="text-xl font-semibold text-red-500 mt-6 mb-2">Scenario Library</h3>
+                        <table className="w-full text-sm mb-2">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Scenario</th>
+                                    <th className="text-right">Excess Liq.</th>
+                                    <th className="text-right">Health</th>
+                                    <th className="text-right">Maint.</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {scenarioResults.map(result => (
+                                    <tr
+                                        key={result.id}
+                                        onClick={() => setSelectedScenarioId(result.id)}
+                                        className={`cursor-pointer ${result.id === selectedScenarioId ? 'text-teal-300' : ''}`}
+                                    >
+                                        <td>{result.name}</td>
+                                        <td className="text-right">${result.metrics.excessLiquidity}</td>
+                                        <td className="text-right">{result.metrics.marginHealth}%</td>
+                                        <td className={`text-right ${result.breachesMaintenance ? 'text-red-400' : 'text-green-400'}`}>{result.breachesMaintenance ? 'Breach' : 'OK'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="flex flex-wrap gap-2 text-sm mb-2">
+                            <button onClick={addScenario} className="bg-gray-700 rounded px-2 py-1">New scenario</button>
+                            <button onClick={deleteScenario} disabled={!selectedScenario} className="bg-gray-700 rounded px-2 py-1">Delete</button>
+                            <button onClick={exportScenarios} className="bg-gray-700 rounded px-2 py-1">Export library</button>
+                            <label className="bg-gray-700 rounded px-2 py-1 cursor-pointer">
+                                Import library
+                                <input type="file" accept=".json" aria-label="Scenario library JSON" onChange={onScenarioLibraryFile} className="hidden" />
+                            </label>
+                        </div>
+                        {scenarioErrors.map((error, index) => (
+                            <p key={index} className="text-sm text-yellow-400">{error}</p>
+                        ))}
+                        {selectedScenario && (
+                            <div className="text-sm space-y-1">
+                                <input aria-label="Scenario name" value={selectedScenario.name} onChange={e => updateScenario({ name: e.target.value })} className="w-full bg-gray-700 rounded p-1" />
+                                {selectedScenario.description && <p className="text-gray-400">{selectedScenario.description}</p>}
+                                {([['marketShock', 'Market'], ['cashChange', 'Cash'], ['marginUsedChange', 'Margin loan']] as ['marketShock' | 'cashChange' | 'marginUsedChange', string][]).map(([field, label]) => (
+                                    <label key={field} className="flex justify-between items-center">
+                                        {label} (%)
+                                        <input
+                                            type="number"
+                                            aria-label={`${label} change`}
+                                            value={toPercent(selectedScenario[field])}
+                                            onChange={e => updateScenario({ [field]: (parseFloat(e.target.value) || 0) / 100 })}
+                                            className="w-24 bg-gray-700 rounded p-1 text-right"
+                                        />
+                                    </label>
+                                ))}
+                                {([['sectorShocks', portfolioSectors], ['tickerShocks', portfolioTickers]] as [ShockMapKey, string[]][]).map(([field, keys]) => keys.map(key => (
+                                    <label key={`${field}-${key}`} className="flex justify-between items-center">
+                                        {key} (%)
+                                        <input
+                                            type="number"
+                                            aria-label={`${key} shock`}
+                                            placeholder="inherit"
+                                            value={selectedScenario[field][key] === undefined ? '' : toPercent(selectedScenario[field][key])}
+                                            onChange={e => updateShock(field, key, e.target.value)}
+                                            className="w-24 bg-gray-700 rounded p-1 text-right"
+                                        />
+                                    </label>
+                                )))}
+                            </div>
+                        )}
+                        <h3 className="text-xl font-semibold text-red-500 mt-6 mb-2">Liquidation Simulator</h3>
+                        <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                            <select aria-label="Liquidation order" value={liquidationOrder} onChange={e => setLiquidationOrder(e.target.value as LiquidationOrder)} className="bg-gray-700 rounded p-1">
+                                <option value="largest">Largest position first</option>
+                                <option value="highestMargin">Highest margin first</option>
+                                <option value="priority">My priority</option>
+                            </select>
+                            {liquidationOrder === 'priority' && (
+                                <input aria-label="Liquidation priority" placeholder="e.g. XOM, JPM" value={liquidationPriority} onChange={e => setLiquidationPriority(e.target.value)} className="bg-gray-700 rounded p-1" />
+                            )}
+                            <label className="flex justify-between items-center">
+                                Slippage (%)
+                                <input type="number" step="0.1" aria-label="Slippage" value={slippagePercent} onChange={e => setSlippagePercent(parseFloat(e.target.value) || 0)} className="w-20 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                            <label className="flex justify-between items-center">
+                                Commission/share
+                                <input type="number" step="0.001" aria-label="Commission per share" value={commissionPerShare} onChange={e => setCommissionPerShare(parseFloat(e.target.value) || 0)} className="w-20 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                        </div>
+                        {selectedScenario && liquidation && (liquidation.steps.length === 0 ? (
+                            <p className="text-sm text-gray-400">No margin deficiency under {selectedScenario.name}.</p>
+                        ) : (
+                            <div className="text-sm">
+                                <p className="mb-2">Under {selectedScenario.name} the account is short <strong className="text-red-400">${liquidation.initialDeficiency.toFixed(2)}</strong> of maintenance margin.</p>
+                                <table className="w-full mb-2">
+                                    <thead>
+                                        <tr className="text-gray-400 text-left">
+                                            <th>Sell</th>
+                                            <th className="text-right">Net Proceeds</th>
+                                            <th className="text-right">Realized Loss</th>
+                                            <th className="text-right">Excess Liq.</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {liquidation.steps.map(step => (
+                                            <tr key={step.step} title={`Slippage $${step.slippage.toFixed(2)}, commission $${step.commission.toFixed(2)}`}>
+                                                <td>{step.step}. {step.quantitySold} {step.ticker}{step.closedPosition ? ' (all)' : ''}</td>
+                                                <td className="text-right">${step.netProceeds.toFixed(2)}</td>
+                                                <td className="text-right">${step.realizedLoss.toFixed(2)}</td>
+                                                <td className="text-right">${step.account.excessLiquidity.toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                <p>Trading costs ${liquidation.totalCosts.toFixed(2)}, realized loss ${liquidation.totalRealizedLoss.toFixed(2)}. Margin loan afterwards: ${liquidation.finalState.marginUsed.toFixed(2)}.</p>
+                                {!liquidation.cured && <p className="text-red-400">The deficiency remains after selling every long position.</p>}
+                            </div>
+                        ))}
                     </section>
                 </div>
 
                 <div className="lg:col-span-1 flex flex-col gap-6">
                     <section className="bg-gray-800 p-6 rounded-lg shadow-lg">
-                        <h2 className="text-2xl font-semibold text-blue-400 mb-4">Options Hedge Analysis</h2>
-                        <div className="space-y-4">
-                            {hedges.map((hedge, index) => (
-                                <div key={index} className="bg-gray-700 p-4 rounded">
-                                    <h3 className="text-lg font-bold text-blue-300">{hedge.strategy}</h3>
-                                    <p className="text-sm text-gray-400 mb-2">{hedge.description}</p>
-                                    <div className="grid grid-cols-2 gap-x-4 text-sm">
-                                        <p><strong>Max Profit:</strong> <span className="text-green-400">${hedge.maxProfit}</span></p>
-                                        <p><strong>Max Loss:</strong> <span className="text-red-400">${hedge.maxLoss}</span></p>
-                                        <p><strong>Breakeven:</strong> ${hedge.breakeven}</p>
-                                    </div>
-                                </div>
+                        <h2 className="text-2xl font-semibold text-blue-400 mb-4">Trade What-If</h2>
+                        <div className="grid grid-cols-2 gap-2 text-sm mb-2">
+                            <select aria-label="Trade type" value={tradeDraft.type} onChange={e => setTradeDraft({ ...EMPTY_TRADE_DRAFT, type: e.target.value as TradeType })} className="bg-gray-700 rounded p-1">
+                                <option value="buy">Buy</option>
+                                <option value="sell">Sell</option>
+                                <option value="option">Option</option>
+                                <option value="transfer">Cash transfer</option>
+                            </select>
+                            {tradeDraft.type === 'transfer' ? (
+                                <input type="number" aria-label="Transfer amount" placeholder="Amount (- to withdraw)" value={tradeDraft.amount} onChange={e => setTradeDraft({ ...tradeDraft, amount: e.target.value })} className="bg-gray-700 rounded p-1 text-right" />
+                            ) : (
+                                <>
+                                    <input aria-label="Trade ticker" placeholder={tradeDraft.type === 'option' ? 'Underlying' : 'Ticker'} value={tradeDraft.ticker} onChange={e => setTradeDraft({ ...tradeDraft, ticker: e.target.value })} className="bg-gray-700 rounded p-1" />
+                                    <input type="number" aria-label="Trade quantity" placeholder={tradeDraft.type === 'option' ? 'Contracts (- to sell)' : 'Quantity'} value={tradeDraft.quantity} onChange={e => setTradeDraft({ ...tradeDraft, quantity: e.target.value })} className="bg-gray-700 rounded p-1 text-right" />
+                                    <input type="number" aria-label="Trade price" placeholder="Price" value={tradeDraft.price} onChange={e => setTradeDraft({ ...tradeDraft, price: e.target.value })} className="bg-gray-700 rounded p-1 text-right" />
+                                </>
+                            )}
+                            {tradeDraft.type === 'option' && (
+                                <>
+                                    <select aria-label="Option right" value={tradeDraft.right} onChange={e => setTradeDraft({ ...tradeDraft, right: e.target.value as 'C' | 'P' })} className="bg-gray-700 rounded p-1">
+                                        <option value="C">Call</option>
+                                        <option value="P">Put</option>
+                                    </select>
+                                    <input type="number" aria-label="Option strike" placeholder="Strike" value={tradeDraft.strike} onChange={e => setTradeDraft({ ...tradeDraft, strike: e.target.value })} className="bg-gray-700 rounded p-1 text-right" />
+                                    <input type="date" aria-label="Option expiry" value={tradeDraft.expiry} onChange={e => setTradeDraft({ ...tradeDraft, expiry: e.target.value })} className="bg-gray-700 rounded p-1" />
+                                </>
+                            )}
+                        </div>
+                        <div className="flex gap-2 text-sm mb-2">
+                            <button onClick={addTrade} className="bg-gray-700 rounded px-2 py-1">Add trade</button>
+                            <button onClick={() => setTrades([])} disabled={trades.length === 0} className="bg-gray-700 rounded px-2 py-1">Clear trades</button>
+                        </div>
+                        <ul className="text-sm mb-2">
+                            {trades.map((t, index) => (
+                                <li key={index} className="flex justify-between">
+                                    <span>{describeTrade(t)}</span>
+                                    <button onClick={() => setTrades(current => current.filter((_, i) => i !== index))} aria-label={`Remove trade ${index + 1}`} className="text-red-400">✕</button>
+                                </li>
                             ))}
+                        </ul>
+                        {tradeComparison.errors.map((error, index) => (
+                            <p key={index} className="text-sm text-yellow-400">{error}</p>
+                        ))}
+                        {trades.length === 0 ? (
+                            <p className="text-sm text-gray-400 mb-2">Add buys, sells, option trades or cash transfers to compare the account before and after.</p>
+                        ) : (
+                            <>
+                            <table className="w-full text-sm mb-2">
+                                <thead>
+                                    <tr className="text-gray-400 text-left">
+                                        <th></th>
+                                        <th className="text-right">Before</th>
+                                        <th className="text-right">After</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {([
+                                        ['NLV', v => `$${v.metrics.netLiquidationValue}`],
+                                        ['Excess Liquidity', v => `$${v.metrics.excessLiquidity}`],
+                                        ['Buying Power', v => `$${v.metrics.buyingPower}`],
+                                        ['Leverage', v => `${v.metrics.leverage}x`],
+                                        ['Margin Health', v => `${v.metrics.marginHealth}%`],
+                                        ['Maint. Margin', v => `$${v.metrics.maintenanceMargin}`],
+                                        ['Call Distance', v => (v.marginCall.dropPercentage === 'N/A' ? 'N/A' : `${v.marginCall.dropPercentage}%`)],
+                                    ] as [string, (v: AccountView) => string][]).map(([label, format]) => (
+                                        <tr key={label}>
+                                            <td>{label}</td>
+                                            <td className="text-right">{format(tradeComparison.before)}</td>
+                                            <td className="text-right">{format(tradeComparison.after)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <p className="text-sm"><strong>Concentration before:</strong> {tradeComparison.before.concentration}</p>
+                            <p className="text-sm mb-2"><strong>Concentration after:</strong> {tradeComparison.after.concentration}</p>
+                            </>
+                        )}
+                        <h3 className="text-xl font-semibold mt-6 mb-2 text-blue-500">Max Affordable Buy</h3>
+                        <div className="grid grid-cols-3 gap-2 text-sm mb-2">
+                            <input aria-label="Max buy ticker" placeholder="Ticker" value={maxBuyTicker} onChange={e => setMaxBuyTicker(e.target.value)} className="bg-gray-700 rounded p-1" />
+                            <input type="number" aria-label="Max buy price" placeholder={maxBuyHolding ? holdingPrice(maxBuyHolding).toFixed(2) : 'Price'} value={maxBuyPrice} onChange={e => setMaxBuyPrice(e.target.value)} className="bg-gray-700 rounded p-1 text-right" />
+                            <label className="flex items-center gap-1">
+                                Floor (%)
+                                <input type="number" aria-label="Margin health floor" value={healthFloor} onChange={e => setHealthFloor(parseFloat(e.target.value) || 0)} className="w-16 bg-gray-700 rounded p-1 text-right" />
+                            </label>
+                        </div>
+                        {maxBuyTicker && maxBuyAt > 0 && (
+                            <p className="text-sm">Up to <strong>{maxBuyQuantity}</strong> {maxBuyTicker.toUpperCase()} at ${maxBuyAt.toFixed(2)} keeps margin health at or above {healthFloor}%{trades.length > 0 ? ' after the trades above' : ''}.</p>
+                        )}
+                    </section>
+
+                    <section className="bg-gray-800 p-6 rounded-lg shadow-lg">
+                        <h2 className="text-2xl font-semibold text-blue-400 mb-4">Options Hedge Analysis</h2>
+                        <h3 className="text-xl font-semibold text-blue-300 mb-2">Portfolio Greeks</h3>
+                        <div className="grid grid-cols-2 gap-x-4 text-sm mb-2">
+                            <p><strong>Dollar Delta (1%):</strong> ${greeks.dollarDelta.toFixed(2)}</p>
+                            <p><strong>Gamma:</strong> {greeks.gamma.toFixed(2)}</p>
+                            <p><strong>Vega (1 vol pt):</strong> ${greeks.vega.toFixed(2)}</p>
+                            <p><strong>Theta (1 day):</strong> ${greeks.theta.toFixed(2)}</p>
+                        </div>
+                        {greeks.unpriced.length > 0 && <p className="text-sm text-yellow-400 mb-2">No underlying price for: {greeks.unpriced.join(', ')}</p>}
+                        {optionPositions.length === 0 ? (
+                            <p className="text-sm text-gray-400 mb-4">No option positions in this portfolio.</p>
+                        ) : (
+                            <table className="w-full text-sm mb-4">
+                                <thead>
+                                    <tr className="text-gray-400 text-left">
+                                        <th>Contract</th>
+                                        <th className="text-right">Mark</th>
+                                        <th className="text-right">Model</th>
+                                        <th className="text-right">Delta</th>
+                                        <th className="text-right">IV</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {optionPositions.map(({ holding, value }) => (
+                                        <tr key={holding.ticker}>
+                                            <td>{holding.quantity} {holding.underlying} {holding.expiry} {holding.strike} {holding.right}</td>
+                                            <td className="text-right">${holding.marketValue.toFixed(2)}</td>
+                                            <td className="text-right">{value ? `$${value.marketValue.toFixed(2)}` : 'N/A'}</td>
+                                            <td className="text-right">{value ? value.delta.toFixed(1) : 'N/A'}</td>
+                                            <td className="text-right">{value ? `${(value.volatility * 100).toFixed(1)}%` : 'N/A'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                        <h3 className="text-xl font-semibold text-blue-300 mb-2">Strategy Builder</h3>
+                        <div className="grid grid-cols-3 gap-2 text-sm mb-2">
+                            <select aria-label="Strategy preset" value={presetKey} onChange={e => loadPreset(e.target.value as PresetKey, hedgeTicker, daysToExpiry)} className="bg-gray-700 rounded p-1">
+                                {(Object.keys(STRATEGY_PRESETS) as PresetKey[]).map(key => (
+                                    <option key={key} value={key}>{STRATEGY_PRESETS[key].name}</option>
+                                ))}
+                            </select>
+                            <select aria-label="Underlying" value={hedgeTicker} onChange={e => loadPreset(presetKey, e.target.value, daysToExpiry)} className="bg-gray-700 rounded p-1">
+                                {hedgeUnderlyings.map(h => (
+                                    <option key={h.ticker} value={h.ticker}>{h.ticker} (${holdingPrice(h).toFixed(2)})</option>
+                                ))}
+                            </select>
+                            <label className="flex items-center gap-1">
+                                DTE
+                                <input type="number" min={1} value={daysToExpiry} onChange={e => loadPreset(presetKey, hedgeTicker, Math.max(1, Number(e.target.value)))} className="bg-gray-700 rounded p-1 w-16" />
+                            </label>
                         </div>
+                        <p className="text-sm text-gray-400 mb-2">{STRATEGY_PRESETS[presetKey].description}</p>
+                        <table className="w-full text-sm mb-2">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th>Leg</th>
+                                    <th>Qty</th>
+                                    <th>Strike</th>
+                                    <th>Premium</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {legs.map((leg, index) => (
+                                    <tr key={index}>
+                                        <td>
+                                            <select aria-label={`Leg ${index + 1} type`} value={leg.type} onChange={e => updateLeg(index, { type: e.target.value as StrategyLeg['type'] })} className="bg-gray-700 rounded">
+                                                <option value="call">Call</option>
+                                                <option value="put">Put</option>
+                                                <option value="stock">Stock</option>
+                                            </select>
+                                        </td>
+                                        <td><input type="number" aria-label={`Leg ${index + 1} quantity`} value={leg.quantity} onChange={e => updateLeg(index, { quantity: Number(e.target.value) })} className="bg-gray-700 rounded w-16" /></td>
+                                        <td>{leg.type === 'stock' ? '-' : <input type="number" aria-label={`Leg ${index + 1} strike`} value={leg.strike ?? 0} onChange={e => updateLeg(index, { strike: Number(e.target.value) })} className="bg-gray-700 rounded w-16" />}</td>
+                                        <td><input type="number" step="0.01" aria-label={`Leg ${index + 1} premium`} value={leg.premium} onChange={e => updateLeg(index, { premium: Number(e.target.value) })} className="bg-gray-700 rounded w-16" /></td>
+                                        <td><button onClick={() => setLegs(current => current.filter((_, i) => i !== index))} className="text-red-400">✕</button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <button onClick={() => setLegs(current => [...current, { type: 'put', quantity: 1, strike: current.find(l => l.strike)?.strike ?? 100, premium: 0 }])} className="text-sm text-blue-300 mb-4">+ Add leg</button>
+                        <div className="grid grid-cols-2 gap-x-4 text-sm mb-2">
+                            <p><strong>Max Profit:</strong> <span className="text-green-400">{isFinite(hedgeAnalysis.maxProfit) ? `$${hedgeAnalysis.maxProfit.toFixed(2)}` : 'Unlimited'}</span></p>
+                            <p><strong>Max Loss:</strong> <span className="text-red-400">{isFinite(hedgeAnalysis.maxLoss) ? `$${hedgeAnalysis.maxLoss.toFixed(2)}` : 'Unlimited'}</span></p>
+                            <p className="col-span-2"><strong>Breakevens:</strong> {hedgeAnalysis.breakevens.length > 0 ? hedgeAnalysis.breakevens.map(b => `$${b.toFixed(2)}`).join(', ') : 'None'}</p>
+                        </div>
+                        <ResponsiveContainer width="100%" height={250}>
+                            <LineChart data={payoffCurve}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4a5568" />
+                                <XAxis dataKey="price" stroke="#9ca3af" />
+                                <YAxis stroke="#9ca3af" />
+                                <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} />
+                                <Legend />
+                                <Line type="linear" dataKey="expiry" name="At expiry" stroke={PAYOFF_CURVE_COLORS[0]} strokeWidth={2} dot={false} />
+                                {preExpiryDays.map((days, index) => (
+                                    <Line key={days} type="monotone" dataKey={`T-${days}`} name={`${days}d to expiry`} stroke={PAYOFF_CURVE_COLORS[index + 1]} strokeWidth={1} dot={false} />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
                     </section>
                 </div>
             </main>
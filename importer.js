@@ -0,0 +1,522 @@
+import Papa from 'papaparse';
+
+export const TEMPLATE_COLUMNS = ['ticker', 'quantity', 'marketValue', 'costBasis', 'annualDividend', 'sector', 'cash', 'marginUsed'];
+
+// Sections of the Activity Statement CSV (and their Flex XML counterparts) that we know how to map.
+const ACTIVITY_SECTIONS = ['Open Positions', 'Cash Report', 'Dividends', 'Change in Dividend Accruals', 'Open Dividend Accruals'];
+const FLEX_SECTIONS = {
+  OpenPositions: 'OpenPosition',
+  CashReport: 'CashReportCurrency',
+  CashTransactions: 'CashTransaction',
+  OpenDividendAccruals: 'OpenDividendAccrual',
+  ChangeInDividendAccruals: 'ChangeInDividendAccrual',
+};
+const FLEX_CONTAINERS = ['FlexQueryResponse', 'FlexStatements', 'FlexStatement'];
+
+const OPTION_SYMBOL_PATTERN = /^(\S+)\s+(\d{2})([A-Z]{3})(\d{2})\s+([\d.]+)\s+([CP])$/;
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const XML_TAG_PATTERN = /<(\/?)([A-Za-z_][\w.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const XML_ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parses a number as IBKR writes it ("1,234.50", "--", "").
+ *
+ * @param {*} value - The raw cell or attribute value.
+ * @returns {number} The parsed number, or NaN when the value is not numeric.
+ */
+function parseIbkrNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null) return NaN;
+  const cleaned = String(value).replace(/,/g, '').trim();
+  if (cleaned === '' || cleaned === '--') return NaN;
+  return Number(cleaned);
+}
+
+/**
+ * Extracts the per-share rate from an IBKR dividend description,
+ * e.g. "AAPL(US0378331005) Cash Dividend USD 0.24 per Share (Ordinary Dividend)".
+ *
+ * @param {string} description - The dividend description.
+ * @returns {number} The per-share rate, or NaN when none is present.
+ */
+function parseDividendRate(description) {
+  const match = /([\d.]+)\s+per\s+share/i.exec(description || '');
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Reads the option leg out of an Activity Statement symbol such as "AAPL 18DEC26 170 P".
+ *
+ * @param {string} symbol - The option symbol.
+ * @returns {object|null} underlying, expiry (YYYY-MM-DD), strike and right, or null for non-option symbols.
+ */
+function parseOptionSymbol(symbol) {
+  const match = OPTION_SYMBOL_PATTERN.exec((symbol || '').trim());
+  if (!match) return null;
+  const [, underlying, day, month, year, strike, right] = match;
+  const monthIndex = MONTHS.indexOf(month);
+  if (monthIndex < 0) return null;
+  return {
+    underlying,
+    expiry: `20${year}-${String(monthIndex + 1).padStart(2, '0')}-${day}`,
+    strike: Number(strike),
+    right,
+  };
+}
+
+/**
+ * Normalizes an IBKR date ("20261031", "2026-10-31" or "20261031;120000") to YYYY-MM-DD.
+ *
+ * @param {string} value - The raw date.
+ * @returns {string|null} The ISO date, or null when the value is not a date.
+ */
+function parseIbkrDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value || '').trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Collects mapped rows into a Portfolio. Dividend rates are annualized per share and
+ * multiplied by the held quantity once all positions are known.
+ */
+function createCollector(options) {
+  return {
+    options,
+    holdings: [],
+    dividendRates: {},
+    cash: null,
+    cashBalances: {},
+    mappedSections: new Set(),
+    skippedSections: new Set(),
+    unmappedRows: [],
+    addDividendRate(ticker, rate, date, accrual = null) {
+      const previous = this.dividendRates[ticker];
+      if (!previous || (date || '') >= (previous.date || '')) {
+        this.dividendRates[ticker] = { rate, date, accrual };
+      }
+    },
+    unmapped(section, row, reason) {
+      this.unmappedRows.push({ section, row, reason });
+    },
+  };
+}
+
+function buildHolding(collector, fields) {
+  const { sectors = {} } = collector.options;
+  const holding = {
+    ticker: fields.ticker,
+    quantity: fields.quantity,
+    marketValue: fields.marketValue,
+    costBasis: isNaN(fields.costBasis) ? 0 : fields.costBasis,
+    annualDividend: 0,
+    sector: sectors[fields.option ? fields.option.underlying : fields.ticker] || 'Uncategorized',
+    assetClass: fields.option ? 'OPT' : fields.assetClass,
+    currency: fields.currency,
+  };
+  // A negative stock quantity is a short sale; written options are just negative legs.
+  if (!fields.option && fields.quantity < 0) {
+    holding.short = true;
+  }
+  if (fields.option) {
+    Object.assign(holding, fields.option, { multiplier: fields.multiplier || 100 });
+  }
+  return holding;
+}
+
+function finishImport(collector, format) {
+  const { dividendFrequency = 4 } = collector.options;
+  const stockPrices = collector.holdings
+    .filter(h => !h.right && h.quantity)
+    .reduce((acc, h) => ({ ...acc, [h.ticker]: h.marketValue / h.quantity }), {});
+
+  const holdings = collector.holdings.map(h => {
+    if (h.right) {
+      // Option legs are priced off the underlying, which the exports only carry as a stock position.
+      return stockPrices[h.underlying] !== undefined ? { ...h, underlyingPrice: stockPrices[h.underlying] } : h;
+    }
+    const dividend = collector.dividendRates[h.ticker];
+    if (!dividend) return h;
+    const withDividend = { ...h, annualDividend: parseFloat((dividend.rate * h.quantity * dividendFrequency).toFixed(2)) };
+    // Accruals carry the next ex and pay dates, which anchor the dividend calendar.
+    const exDate = dividend.accrual && parseIbkrDate(dividend.accrual.exDate);
+    const payDate = dividend.accrual && parseIbkrDate(dividend.accrual.payDate);
+    return { ...withDividend, ...(exDate && { exDate }), ...(payDate && { payDate }) };
+  });
+
+  Object.keys(collector.dividendRates)
+    .filter(ticker => !holdings.some(h => h.ticker === ticker))
+    .forEach(ticker => collector.unmapped('Dividends', null, `No open position for dividend on ${ticker}.`));
+
+  if (holdings.length === 0) {
+    return { format, portfolio: null, error: 'No open positions could be mapped from the file.', mappedSections: [...collector.mappedSections], skippedSections: [...collector.skippedSections], unmappedRows: collector.unmappedRows };
+  }
+
+  if (collector.cash === null) {
+    collector.unmapped('Cash Report', null, 'No base-currency ending cash found; cash and margin set to 0.');
+  }
+  const endingCash = collector.cash || 0;
+  const portfolio = {
+    cash: Math.max(0, endingCash),
+    marginUsed: Math.max(0, -endingCash),
+    holdings,
+  };
+  // Accounts with balances in several currencies keep them, so they can be converted at current rates.
+  if (Object.keys(collector.cashBalances).length > 1) {
+    portfolio.cashBalances = collector.cashBalances;
+  }
+
+  return {
+    format,
+    portfolio,
+    mappedSections: [...collector.mappedSections],
+    skippedSections: [...collector.skippedSections],
+    unmappedRows: collector.unmappedRows,
+  };
+}
+
+function mapPosition(collector, section, row, fields) {
+  if (!fields.ticker) {
+    collector.unmapped(section, row, 'Position has no symbol.');
+    return;
+  }
+  if (isNaN(fields.quantity) || isNaN(fields.marketValue)) {
+    collector.unmapped(section, row, `Position ${fields.ticker} has a non-numeric quantity or value.`);
+    return;
+  }
+  if (fields.option === null && /^(OPT|.*Options)$/.test(fields.assetClass || '')) {
+    collector.unmapped(section, row, `Could not read the option contract from ${fields.ticker}.`);
+    return;
+  }
+  collector.holdings.push(buildHolding(collector, fields));
+}
+
+/**
+ * Parses our own 8-column portfolio template, where `cash` and `marginUsed` sit on the first row.
+ *
+ * @param {string} text - The CSV file contents.
+ * @returns {object} The import result.
+ */
+export function parsePortfolioTemplateCsv(text) {
+  const results = Papa.parse(text, { header: true, dynamicTyping: true, skipEmptyLines: true });
+  if (!results.data || results.data.length === 0) {
+    return { format: 'template-csv', portfolio: null, error: "CSV file is empty or could not be parsed.", mappedSections: [], skippedSections: [], unmappedRows: [] };
+  }
+
+  const fields = results.meta.fields || [];
+  if (!TEMPLATE_COLUMNS.every(col => fields.includes(col))) {
+    return { format: 'template-csv', portfolio: null, error: "CSV file is missing required columns. Please check the format.", mappedSections: [], skippedSections: [], unmappedRows: [] };
+  }
+
+  // Missing or non-numeric cells become 0, and each one is reported.
+  const unmappedRows = [];
+  const numberCell = (value, column, line, ticker = null) => {
+    if (typeof value === 'number') return value;
+    const reason = value === null || value === undefined || value === ''
+      ? `Missing ${column}; set to 0.`
+      : `${column} '${value}' is not a number; set to 0.`;
+    unmappedRows.push({ section: 'Template', row: line, reason: ticker ? `${ticker}: ${reason}` : reason });
+    return 0;
+  };
+
+  const holdings = [];
+  results.data.forEach((row, index) => {
+    // The header is line 1
+    const line = index + 2;
+    if (row.ticker === null || row.ticker === undefined || String(row.ticker).trim() === '') {
+      unmappedRows.push({ section: 'Template', row: line, reason: 'Row has no ticker.' });
+      return;
+    }
+    const ticker = String(row.ticker).trim();
+    const quantity = numberCell(row.quantity, 'quantity', line, ticker);
+    holdings.push({
+      ticker,
+      quantity,
+      marketValue: numberCell(row.marketValue, 'marketValue', line, ticker),
+      costBasis: numberCell(row.costBasis, 'costBasis', line, ticker),
+      annualDividend: numberCell(row.annualDividend, 'annualDividend', line, ticker),
+      sector: row.sector ?? 'Uncategorized',
+      ...(quantity < 0 && { short: true }),
+    });
+  });
+  if (holdings.length === 0) {
+    return { format: 'template-csv', portfolio: null, error: 'No positions with a ticker were found.', mappedSections: [], skippedSections: [], unmappedRows };
+  }
+
+  // An empty cash or margin cell simply means none
+  const accountCell = column => numberCell(results.data[0][column] ?? 0, column, 2);
+  return {
+    format: 'template-csv',
+    portfolio: {
+      cash: accountCell('cash'),
+      marginUsed: accountCell('marginUsed'),
+      holdings,
+    },
+    mappedSections: ['Template'],
+    skippedSections: [],
+    unmappedRows,
+  };
+}
+
+/**
+ * Parses a portfolio saved as JSON, in the shape of the tracker's own account snapshot.
+ *
+ * @param {string} text - The JSON file contents.
+ * @returns {object} The import result.
+ */
+export function parsePortfolioJson(text) {
+  const failed = error => ({ format: 'json', portfolio: null, error, mappedSections: [], skippedSections: [], unmappedRows: [] });
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return failed(`Portfolio is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || !Array.isArray(parsed.holdings) || parsed.holdings.length === 0) {
+    return failed("Portfolio JSON must contain a non-empty 'holdings' array.");
+  }
+
+  const unmappedRows = [];
+  parsed.holdings.forEach((h, index) => {
+    if (!h || typeof h.ticker !== 'string' || h.ticker.trim() === '') {
+      unmappedRows.push({ section: 'Holdings', row: index + 1, reason: 'Holding has no ticker.' });
+    }
+  });
+  ['cash', 'marginUsed'].filter(field => typeof parsed[field] !== 'number').forEach(field => {
+    unmappedRows.push({ section: 'Account', row: null, reason: `Missing ${field}; set to 0.` });
+  });
+
+  return {
+    format: 'json',
+    portfolio: {
+      ...parsed,
+      cash: typeof parsed.cash === 'number' ? parsed.cash : 0,
+      marginUsed: typeof parsed.marginUsed === 'number' ? parsed.marginUsed : 0,
+      holdings: parsed.holdings.filter(h => h && typeof h.ticker === 'string' && h.ticker.trim() !== ''),
+    },
+    mappedSections: ['Holdings'],
+    skippedSections: [],
+    unmappedRows,
+  };
+}
+
+/**
+ * Parses an IBKR Activity Statement CSV export. Each line starts with the section name
+ * and a row type (Header, Data, Total, SubTotal); a section may repeat its Header row
+ * with different columns, e.g. once per asset category.
+ *
+ * @param {string} text - The CSV file contents.
+ * @param {object} [options] - Import options.
+ * @param {object} [options.sectors] - Map of ticker to sector; IBKR exports carry no sector.
+ * @param {number} [options.dividendFrequency=4] - Payments per year used to annualize dividend rates.
+ * @returns {object} The import result: format, portfolio, mapped/skipped sections and unmapped rows.
+ */
+export function parseActivityStatementCsv(text, options = {}) {
+  const collector = createCollector(options);
+  const { data } = Papa.parse(text, { header: false, skipEmptyLines: true });
+  const headers = {};
+
+  data.forEach((cells, index) => {
+    const row = index + 1;
+    const [section, rowType, ...values] = cells;
+    if (!section || !rowType) return;
+
+    if (!ACTIVITY_SECTIONS.includes(section)) {
+      collector.skippedSections.add(section);
+      return;
+    }
+    if (rowType === 'Header') {
+      headers[section] = values;
+      return;
+    }
+    if (rowType !== 'Data') return;
+
+    const columns = headers[section];
+    if (!columns) {
+      collector.unmapped(section, row, 'Data row appears before its header.');
+      return;
+    }
+    const record = columns.reduce((acc, col, i) => ({ ...acc, [col]: values[i] }), {});
+    collector.mappedSections.add(section);
+
+    switch (section) {
+      case 'Open Positions':
+        if (record.DataDiscriminator && record.DataDiscriminator !== 'Summary') return;
+        mapPosition(collector, section, row, {
+          ticker: record.Symbol,
+          quantity: parseIbkrNumber(record.Quantity),
+          marketValue: parseIbkrNumber(record.Value),
+          costBasis: parseIbkrNumber(record['Cost Basis']),
+          assetClass: record['Asset Category'],
+          currency: record.Currency,
+          multiplier: parseIbkrNumber(record.Mult),
+          option: /option/i.test(record['Asset Category'] || '') ? parseOptionSymbol(record.Symbol) : null,
+        });
+        break;
+      case 'Cash Report':
+        if (record['Currency Summary'] !== 'Ending Cash') return;
+        if (record.Currency === 'Base Currency Summary') {
+          collector.cash = parseIbkrNumber(record.Total);
+        } else {
+          collector.cashBalances[record.Currency] = parseIbkrNumber(record.Total);
+        }
+        break;
+      case 'Dividends': {
+        if (String(record.Currency).startsWith('Total')) return;
+        const ticker = (record.Description || '').split('(')[0].trim();
+        const rate = parseDividendRate(record.Description);
+        if (!ticker || isNaN(rate)) {
+          collector.unmapped(section, row, 'Could not read a symbol and per-share rate from the description.');
+          return;
+        }
+        collector.addDividendRate(ticker, rate, record.Date);
+        break;
+      }
+      default: {
+        const rate = parseIbkrNumber(record['Gross Rate']);
+        if (!record.Symbol || isNaN(rate)) {
+          collector.unmapped(section, row, 'Accrual has no symbol or gross rate.');
+          return;
+        }
+        collector.addDividendRate(record.Symbol, rate, record['Ex Date'] || record.Date, { exDate: record['Ex Date'], payDate: record['Pay Date'] });
+      }
+    }
+  });
+
+  return finishImport(collector, 'activity-csv');
+}
+
+function decodeXmlEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+}
+
+function parseXmlAttributes(source) {
+  const attributes = {};
+  let match;
+  XML_ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = XML_ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+function mapFlexElement(collector, section, name, attrs, row) {
+  if (name !== FLEX_SECTIONS[section]) {
+    collector.unmapped(section, row, `Unexpected <${name}> element.`);
+    return;
+  }
+
+  switch (section) {
+    case 'OpenPositions':
+      if (attrs.levelOfDetail && attrs.levelOfDetail !== 'SUMMARY') return;
+      mapPosition(collector, section, row, {
+        ticker: attrs.symbol,
+        quantity: parseIbkrNumber(attrs.position),
+        marketValue: parseIbkrNumber(attrs.positionValue),
+        costBasis: parseIbkrNumber(attrs.costBasisMoney),
+        assetClass: attrs.assetCategory,
+        currency: attrs.currency,
+        multiplier: parseIbkrNumber(attrs.multiplier),
+        option: attrs.assetCategory === 'OPT' ? {
+          underlying: attrs.underlyingSymbol,
+          right: attrs.putCall,
+          strike: parseIbkrNumber(attrs.strike),
+          expiry: (attrs.expiry || '').replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'),
+        } : null,
+      });
+      break;
+    case 'CashReport':
+      if (attrs.currency === 'BASE_SUMMARY') {
+        collector.cash = parseIbkrNumber(attrs.endingCash);
+      } else {
+        collector.cashBalances[attrs.currency] = parseIbkrNumber(attrs.endingCash);
+      }
+      break;
+    case 'CashTransactions': {
+      if (!/dividend/i.test(attrs.type || '')) return;
+      const rate = parseDividendRate(attrs.description);
+      if (!attrs.symbol || isNaN(rate)) {
+        collector.unmapped(section, row, 'Could not read a symbol and per-share rate from the dividend.');
+        return;
+      }
+      collector.addDividendRate(attrs.symbol, rate, attrs.dateTime);
+      break;
+    }
+    default: {
+      const rate = parseIbkrNumber(attrs.grossRate);
+      if (!attrs.symbol || isNaN(rate)) {
+        collector.unmapped(section, row, 'Accrual has no symbol or gross rate.');
+        return;
+      }
+      collector.addDividendRate(attrs.symbol, rate, attrs.exDate, { exDate: attrs.exDate, payDate: attrs.payDate });
+    }
+  }
+  collector.mappedSections.add(section);
+}
+
+/**
+ * Parses an IBKR Flex Query XML export. Every section is a child of <FlexStatement>
+ * whose rows are self-closing elements carrying their fields as attributes.
+ *
+ * @param {string} text - The XML file contents.
+ * @param {object} [options] - Import options, as for parseActivityStatementCsv.
+ * @returns {object} The import result: format, portfolio, mapped/skipped sections and unmapped rows.
+ */
+export function parseFlexQueryXml(text, options = {}) {
+  const collector = createCollector(options);
+  const stack = [];
+  let row = 0;
+  let match;
+
+  XML_TAG_PATTERN.lastIndex = 0;
+  while ((match = XML_TAG_PATTERN.exec(text)) !== null) {
+    const [, closing, name, attributeSource, selfClosing] = match;
+    if (closing) {
+      stack.pop();
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const section = stack.find(el => !FLEX_CONTAINERS.includes(el));
+    if (section && parent === section) {
+      row += 1;
+      if (FLEX_SECTIONS[section]) {
+        mapFlexElement(collector, section, name, parseXmlAttributes(attributeSource), row);
+      } else {
+        collector.skippedSections.add(section);
+      }
+    } else if (parent === 'FlexStatement' && selfClosing && attributeSource.trim() && !FLEX_SECTIONS[name]) {
+      // Single-row sections such as <AccountInformation ... /> carry their data on the section element.
+      collector.skippedSections.add(name);
+    }
+
+    if (!selfClosing) stack.push(name);
+  }
+
+  return finishImport(collector, 'flex-xml');
+}
+
+/**
+ * Detects the format of an uploaded file and imports it into a Portfolio.
+ *
+ * @param {string} text - The file contents.
+ * @param {object} [options] - Import options, as for parseActivityStatementCsv.
+ * @returns {object} The import result, with `error` set when nothing usable was found.
+ */
+export function importPortfolioFile(text, options = {}) {
+  const trimmed = (text || '').replace(/^﻿/, '').trim();
+  if (trimmed === '') {
+    return { format: 'unknown', portfolio: null, error: "File is empty.", mappedSections: [], skippedSections: [], unmappedRows: [] };
+  }
+  if (trimmed.startsWith('{')) {
+    return parsePortfolioJson(trimmed);
+  }
+  if (trimmed.startsWith('<')) {
+    return parseFlexQueryXml(trimmed, options);
+  }
+  if (/^(Statement|Open Positions|Account Information),Header,/m.test(trimmed)) {
+    return parseActivityStatementCsv(trimmed, options);
+  }
+  return parsePortfolioTemplateCsv(trimmed);
+}
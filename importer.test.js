@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import { importPortfolioFile, parseFlexQueryXml, parseActivityStatementCsv, parsePortfolioTemplateCsv } from '../utils/importer';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../mock', name), 'utf8');
+
+describe('IBKR importer', () => {
+  const expectedHoldings = [
+    { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92 },
+    { ticker: 'MSFT', quantity: 50, marketValue: 20000, costBasis: 18000, annualDividend: 144 },
+    { ticker: 'JPM', quantity: 150, marketValue: 22500, costBasis: 20000, annualDividend: 630 },
+    { ticker: 'XOM', quantity: 200, marketValue: 24000, costBasis: 21000, annualDividend: 736 },
+  ];
+
+  it('maps a Flex Query XML export into a portfolio', () => {
+    const result = parseFlexQueryXml(readFixture('flex-query-sample.xml'), { sectors: { AAPL: 'Technology' } });
+    expect(result.format).toBe('flex-xml');
+    expect(result.portfolio.cash).toBe(0);
+    expect(result.portfolio.marginUsed).toBe(40000);
+    expect(result.portfolio.holdings).toHaveLength(5);
+    expectedHoldings.forEach((expected, i) => expect(result.portfolio.holdings[i]).toMatchObject(expected));
+    expect(result.portfolio.holdings[0].sector).toBe('Technology');
+    expect(result.portfolio.holdings[1].sector).toBe('Uncategorized');
+    expect(result.portfolio.holdings[2]).toMatchObject({ exDate: '2026-10-06', payDate: '2026-10-31' });
+  });
+
+  it('reports skipped sections and unmapped rows from Flex XML', () => {
+    const result = parseFlexQueryXml(readFixture('flex-query-sample.xml'));
+    expect(result.mappedSections).toEqual(expect.arrayContaining(['OpenPositions', 'CashReport', 'CashTransactions', 'OpenDividendAccruals']));
+    expect(result.skippedSections).toEqual(expect.arrayContaining(['AccountInformation', 'Trades']));
+    expect(result.skippedSections).not.toContain('SecuritiesInfo');
+    expect(result.unmappedRows).toEqual([
+      expect.objectContaining({ section: 'OpenPositions', reason: expect.stringContaining('DELISTED') }),
+    ]);
+  });
+
+  it('maps an Activity Statement CSV export into a portfolio', () => {
+    const result = parseActivityStatementCsv(readFixture('activity-statement-sample.csv'));
+    expect(result.format).toBe('activity-csv');
+    expect(result.portfolio.marginUsed).toBe(40000);
+    expect(result.portfolio.holdings).toHaveLength(5);
+    expectedHoldings.forEach((expected, i) => expect(result.portfolio.holdings[i]).toMatchObject(expected));
+    expect(result.portfolio.holdings[3]).toMatchObject({ exDate: '2026-10-15', payDate: '2026-11-10' });
+  });
+
+  it('maps option positions into option legs priced off the underlying', () => {
+    const expectedLeg = {
+      assetClass: 'OPT', underlying: 'AAPL', right: 'P', strike: 170, expiry: '2026-12-18',
+      multiplier: 100, quantity: -2, marketValue: -1100, underlyingPrice: 175, sector: 'Technology',
+    };
+    const sectors = { AAPL: 'Technology' };
+    expect(parseFlexQueryXml(readFixture('flex-query-sample.xml'), { sectors }).portfolio.holdings[4]).toMatchObject(expectedLeg);
+    expect(parseActivityStatementCsv(readFixture('activity-statement-sample.csv'), { sectors }).portfolio.holdings[4]).toMatchObject(expectedLeg);
+  });
+
+  it('reports skipped sections and unmapped rows from the Activity Statement', () => {
+    const result = parseActivityStatementCsv(readFixture('activity-statement-sample.csv'));
+    expect(result.skippedSections).toEqual(['Statement', 'Account Information', 'Net Asset Value', 'Trades']);
+    expect(result.unmappedRows).toEqual([
+      { section: 'Open Positions', row: 17, reason: 'Position has no symbol.' },
+      { section: 'Dividends', row: 28, reason: expect.stringContaining('per-share rate') },
+    ]);
+  });
+
+  it('flags a missing cash report instead of guessing', () => {
+    const csv = [
+      'Open Positions,Header,DataDiscriminator,Asset Category,Currency,Symbol,Quantity,Mult,Cost Price,Cost Basis,Close Price,Value,Unrealized P/L,Code',
+      'Open Positions,Data,Summary,Stocks,USD,AAPL,100,1,150,15000,175,17500,2500,',
+    ].join('\n');
+    const result = parseActivityStatementCsv(csv);
+    expect(result.portfolio).toEqual(expect.objectContaining({ cash: 0, marginUsed: 0 }));
+    expect(result.unmappedRows[0].section).toBe('Cash Report');
+  });
+
+  it('keeps per-currency cash balances for multi-currency accounts', () => {
+    const csv = [
+      'Open Positions,Header,DataDiscriminator,Asset Category,Currency,Symbol,Quantity,Mult,Cost Price,Cost Basis,Close Price,Value,Unrealized P/L,Code',
+      'Open Positions,Data,Summary,Stocks,EUR,SAP,50,1,160,8000,200,10000,2000,',
+      'Cash Report,Header,Currency Summary,Currency,Total,Securities,Futures,Month to Date,Year to Date,',
+      'Cash Report,Data,Ending Cash,Base Currency Summary,-30850,-30850,0,,',
+      'Cash Report,Data,Ending Cash,EUR,-10000,-10000,0,,',
+      'Cash Report,Data,Ending Cash,USD,-20000,-20000,0,,',
+    ].join('\n');
+    const { portfolio } = parseActivityStatementCsv(csv);
+    expect(portfolio.holdings[0].currency).toBe('EUR');
+    expect(portfolio.cashBalances).toEqual({ EUR: -10000, USD: -20000 });
+    expect(portfolio.marginUsed).toBe(30850);
+    expect(parseActivityStatementCsv(readFixture('activity-statement-sample.csv')).portfolio.cashBalances).toBeUndefined();
+  });
+
+  it('parses the hand-built template CSV', () => {
+    const result = parsePortfolioTemplateCsv(readFixture('portfolio-template.csv'));
+    expect(result.portfolio.cash).toBe(15000);
+    expect(result.portfolio.marginUsed).toBe(55000);
+    expect(result.portfolio.holdings[3]).toEqual({ ticker: 'XOM', quantity: 200, marketValue: 24000, costBasis: 21000, annualDividend: 736, sector: 'Energy' });
+    expect(parsePortfolioTemplateCsv('ticker,quantity\nAAPL,1').error).toMatch(/missing required columns/);
+  });
+
+  it('reports template cells it had to fill in', () => {
+    const header = 'ticker,quantity,marketValue,costBasis,annualDividend,sector,cash,marginUsed';
+    const result = parsePortfolioTemplateCsv(`${header}\nAAPL,100,17500,,92,Technology,abc,\n,5,5,5,5,Energy,,\nTSLA,-10,-2500,-2600,0,Consumer,,`);
+    expect(result.portfolio.holdings.map(h => h.ticker)).toEqual(['AAPL', 'TSLA']);
+    expect(result.portfolio.holdings[0].costBasis).toBe(0);
+    expect(result.portfolio.holdings[1].short).toBe(true);
+    expect(result.portfolio.cash).toBe(0);
+    expect(result.portfolio.marginUsed).toBe(0);
+    expect(result.unmappedRows).toEqual([
+      { section: 'Template', row: 2, reason: 'AAPL: Missing costBasis; set to 0.' },
+      { section: 'Template', row: 3, reason: 'Row has no ticker.' },
+      { section: 'Template', row: 2, reason: "cash 'abc' is not a number; set to 0." },
+    ]);
+  });
+
+  it('parses a portfolio JSON snapshot', () => {
+    const result = importPortfolioFile(readFixture('account-snapshot.json'));
+    expect(result.format).toBe('json');
+    expect(result.portfolio.holdings).toHaveLength(4);
+    expect(result.unmappedRows).toEqual([]);
+    expect(importPortfolioFile('{"holdings": []}').error).toMatch(/non-empty 'holdings'/);
+    expect(importPortfolioFile('{"holdings": [').error).toMatch(/not valid JSON/);
+  });
+
+  it('detects the file format', () => {
+    expect(importPortfolioFile(readFixture('flex-query-sample.xml')).format).toBe('flex-xml');
+    expect(importPortfolioFile(readFixture('activity-statement-sample.csv')).format).toBe('activity-csv');
+    expect(importPortfolioFile(readFixture('portfolio-template.csv')).format).toBe('template-csv');
+    expect(importPortfolioFile('').error).toBe('File is empty.');
+    expect(importPortfolioFile('<FlexQueryResponse></FlexQueryResponse>').error).toMatch(/No open positions/);
+  });
+});
@@ -1,7 +1,8 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import IBKRMarginTracker from '../ibkr-margin-tracker';
+import { HISTORY_STORAGE_KEY } from '../utils/history';
 
 // Mock Recharts to prevent errors in JSDOM
 jest.mock('recharts', () => {
@@ -36,6 +37,325 @@ describe('IBKRMarginTracker Integration Test', () => {
   });
 
   it('renders the CSV dropzone', () => {
-    expect(screen.getByText(/Drag & drop a portfolio CSV here/i)).toBeInTheDocument();
+    expect(screen.getByText(/Drag & drop a portfolio file \(Flex Query XML, Activity Statement CSV, template CSV or JSON\) here/i)).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  it('toggles between Reg T and portfolio margin', () => {
+    expect(screen.getAllByText('$23000.00')).toHaveLength(2); // Reg T excess liquidity, metrics and comparison
+    fireEvent.click(screen.getByRole('button', { name: 'PM' }));
+    expect(screen.getAllByText('$31400.00')).toHaveLength(2);
+  });
+
+  it('builds hedge strategies from presets', () => {
+    fireEvent.change(screen.getByLabelText('Strategy preset'), { target: { value: 'ironCondor' } });
+    expect(screen.getAllByLabelText(/Leg \d type/)).toHaveLength(4);
+    expect(screen.getByText(/Collect premium while the underlying stays between the short strikes/)).toBeInTheDocument();
+  });
+
+  it('runs the scenario library and edits scenarios', () => {
+    const row = screen.getByRole('row', { name: /^Energy -40%/ });
+    expect(row).toHaveTextContent('OK');
+    fireEvent.click(row);
+    fireEvent.change(screen.getByLabelText('Market change'), { target: { value: '-60' } });
+    expect(row).toHaveTextContent('Breach');
+    expect(screen.getByRole('row', { name: /^2008 replay/ })).toHaveTextContent('Breach');
+  });
+
+  it('simulates liquidation under the selected scenario', () => {
+    expect(screen.getByText(/Under 2008 replay the account is short/)).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Liquidation order'), { target: { value: 'priority' } });
+    fireEvent.change(screen.getByLabelText('Liquidation priority'), { target: { value: 'aapl' } });
+    expect(screen.getByText(/^1\. \d+ AAPL/)).toBeInTheDocument();
+  });
+
+  it('lays out a 24-month dividend calendar from each holding schedule', () => {
+    expect(screen.getAllByTitle(/JPM ex/)).toHaveLength(8);
+    fireEvent.change(screen.getByLabelText('JPM frequency'), { target: { value: 'monthly' } });
+    expect(screen.getAllByTitle(/JPM ex/)).toHaveLength(24);
+  });
+
+  it('compares reinvesting dividends with paying down margin', () => {
+    expect(screen.getByRole('row', { name: /^Full DRIP/ })).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /^Full paydown/ })).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Split reinvested'), { target: { value: '25' } });
+    expect(screen.getByRole('row', { name: /^25\/75 split/ })).toBeInTheDocument();
+  });
+
+  it('shows the margin impact of hypothetical trades', () => {
+    fireEvent.change(screen.getByLabelText('Trade ticker'), { target: { value: 'aapl' } });
+    fireEvent.change(screen.getByLabelText('Trade quantity'), { target: { value: '100' } });
+    fireEvent.change(screen.getByLabelText('Trade price'), { target: { value: '175' } });
+    fireEvent.click(screen.getByText('Add trade'));
+    expect(screen.getByText('Buy 100 AAPL @ $175')).toBeInTheDocument();
+    const leverage = screen.getByRole('row', { name: /^Leverage/ });
+    expect(leverage).toHaveTextContent(/(\d+\.\d+)x(\d+\.\d+)x/);
+
+    fireEvent.change(screen.getByLabelText('Max buy ticker'), { target: { value: 'KO' } });
+    fireEvent.change(screen.getByLabelText('Max buy price'), { target: { value: '60' } });
+    expect(screen.getByText(/keeps margin health at or above 25% after the trades above/)).toBeInTheDocument();
+  });
+
+  it('prices margin interest on tiers and projects the payoff', () => {
+    expect(screen.getByText('5.83% (USD, tiered)')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Monthly contribution'), { target: { value: '60000' } });
+    expect(screen.getByText('0y 1m')).toBeInTheDocument();
+  });
+});
+
+describe('IBKRMarginTracker account history', () => {
+  const holdings = [
+    { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, sector: 'Technology' },
+    { ticker: 'MSFT', quantity: 50, marketValue: 20000, costBasis: 18000, annualDividend: 144, sector: 'Technology' },
+    { ticker: 'JPM', quantity: 150, marketValue: 22500, costBasis: 20000, annualDividend: 630, sector: 'Financials' },
+    { ticker: 'XOM', quantity: 200, marketValue: 24000, costBasis: 21000, annualDividend: 736, sector: 'Energy' },
+  ];
+
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('restores the latest snapshot and diffs it against the previous one', () => {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify([
+      { id: 'a', timestamp: '2026-09-30T21:00:00.000Z', source: 'import', portfolio: { cash: 15000, marginUsed: 55000, holdings } },
+      { id: 'b', timestamp: '2026-10-16T21:00:00.000Z', source: 'import', portfolio: { cash: 15000, marginUsed: 35000, holdings: holdings.slice(0, 3) } },
+    ]));
+    render(<IBKRMarginTracker />);
+
+    expect(screen.getByText('$40000.00')).toBeInTheDocument(); // NLV of the restored snapshot
+    expect(screen.getByRole('row', { name: /XOM \(closed\)/ })).toHaveTextContent('200 → 0');
+    expect(screen.getByText('$-20000.00')).toBeInTheDocument(); // Margin used change
+  });
+
+  it('keeps dividend schedule edits across a reload', () => {
+    const { unmount } = render(<IBKRMarginTracker />);
+    fireEvent.change(screen.getByLabelText('JPM frequency'), { target: { value: 'monthly' } });
+    fireEvent.blur(screen.getByLabelText('JPM frequency'));
+    unmount();
+
+    render(<IBKRMarginTracker />);
+    expect(screen.getByLabelText('JPM frequency')).toHaveValue('monthly');
+  });
+
+  it('tells the user when the history cannot be saved', () => {
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    render(<IBKRMarginTracker />);
+    expect(screen.getByText('History could not be saved: browser storage is full or unavailable.')).toBeInTheDocument();
+    setItem.mockRestore();
+  });
+});
+
+
+describe('IBKRMarginTracker multi-currency accounts', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('shows currency exposure and FX shocks in the chosen base currency', () => {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify([
+      {
+        id: 'a',
+        timestamp: '2026-10-16T21:00:00.000Z',
+        source: 'import',
+        portfolio: {
+          cash: 0,
+          marginUsed: 30850,
+          cashBalances: { USD: -20000, EUR: -10000 },
+          fxRates: { base: 'USD', rates: { EUR: 1.085 } },
+          holdings: [
+            { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, sector: 'Technology', currency: 'USD' },
+            { ticker: 'SAP', quantity: 50, marketValue: 10000, costBasis: 8000, annualDividend: 110, sector: 'Technology', currency: 'EUR' },
+            { ticker: 'RY', quantity: 100, marketValue: 13600, costBasis: 12000, annualDividend: 560, sector: 'Financials', currency: 'CAD' },
+          ],
+        },
+      },
+    ]));
+    const { unmount } = render(<IBKRMarginTracker />);
+
+    expect(screen.getByText(/No FX rate for CAD/)).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /^EUR/ })).toHaveTextContent('0.00');
+    expect(screen.getByRole('row', { name: /^USD \+10% vs EUR/ })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Base currency'), { target: { value: 'EUR' } });
+    expect(screen.getByRole('row', { name: /^EUR \+10% vs USD/ })).toBeInTheDocument();
+
+    // The base currency is part of the saved snapshot, so it survives a reload
+    unmount();
+    render(<IBKRMarginTracker />);
+    expect(screen.getByLabelText('Base currency')).toHaveValue('EUR');
+  });
+});
+
+describe('IBKRMarginTracker alert rules', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('evaluates alert rules as they are edited and keeps them', () => {
+    const { unmount } = render(<IBKRMarginTracker />);
+    expect(screen.queryByText(/^Leverage is/)).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Alert 2 threshold'), { target: { value: '1' } });
+    expect(screen.getByText(/^Leverage is \d+\.\d+x \(> 1\.00x\)\.$/)).toBeInTheDocument();
+    unmount();
+
+    render(<IBKRMarginTracker />);
+    expect(screen.getByLabelText('Alert 2 threshold')).toHaveValue(1);
+    fireEvent.click(screen.getByLabelText('Alert 2 enabled'));
+    expect(screen.queryByText(/^Leverage is/)).not.toBeInTheDocument();
+  });
+});
+
+describe('IBKRMarginTracker holdings grid', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('recalculates as holdings are edited and flags invalid cells', () => {
+    render(<IBKRMarginTracker />);
+    fireEvent.change(screen.getByLabelText('Holding 1 quantity'), { target: { value: '200' } });
+    expect(screen.getByText(/\$61500.00/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Holding 2 cost basis'), { target: { value: 'lots' } });
+    fireEvent.blur(screen.getByLabelText('Holding 2 cost basis'));
+    expect(screen.getByLabelText('Holding 2 cost basis')).toHaveValue('lots');
+    expect(screen.getByText("Row 2: 'lots' is not a number.")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Holding 3 quantity'), { target: { value: '-150' } });
+    expect(screen.getByText('Row 3 (JPM): Negative quantity is only allowed for short positions.')).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Holding 3 short'));
+    expect(screen.queryByText(/Negative quantity/)).not.toBeInTheDocument();
+  });
+
+  it('adds, merges and removes rows', () => {
+    render(<IBKRMarginTracker />);
+    fireEvent.click(screen.getByText('Add holding'));
+    expect(screen.getByText('Row 5: Ticker is required.')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Holding 5 ticker'), { target: { value: 'xom' } });
+    fireEvent.change(screen.getByLabelText('Holding 5 quantity'), { target: { value: '10' } });
+    expect(screen.getByText('Row 5 (XOM): Duplicate of row 4.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Merge duplicates'));
+    expect(screen.queryByLabelText('Holding 5 ticker')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Holding 4 quantity')).toHaveValue('210');
+
+    fireEvent.click(screen.getByLabelText('Remove holding 4'));
+    expect(screen.queryByLabelText('Holding 4 ticker')).not.toBeInTheDocument();
+    expect(screen.queryByDisplayValue('XOM')).not.toBeInTheDocument();
+  });
+});
+
+describe('IBKRMarginTracker quotes', () => {
+  const originalFetch = window.fetch;
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    window.localStorage.clear();
+  });
+
+  it('values holdings from a local quote endpoint and shows unrealized P&L', async () => {
+    window.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      text: () => Promise.resolve('{"asOf": "2026-10-16T20:00:00Z", "quotes": {"AAPL": 200, "MSFT": 410}}'),
+    }));
+    const { unmount } = render(<IBKRMarginTracker />);
+    expect(screen.getByText('$2500.00 (16.7%)')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Quote endpoint'), { target: { value: 'http://localhost:8080/quotes' } });
+    fireEvent.click(screen.getByText('Use endpoint'));
+    expect(await screen.findByText('Priced 2 of 4 holdings from http://localhost:8080/quotes. No quote for JPM, XOM.')).toBeInTheDocument();
+    expect(window.fetch).toHaveBeenCalledWith('http://localhost:8080/quotes?symbols=AAPL%2CMSFT%2CJPM%2CXOM');
+    expect(screen.getByText('$5000.00 (33.3%)')).toBeInTheDocument();
+    expect(screen.getByText(/\$47000.00/)).toBeInTheDocument(); // NLV: AAPL +2500, MSFT +500
+    expect(screen.getAllByText('Not quoted')).toHaveLength(2);
+    // Flush the pending history save before the storage is cleared
+    unmount();
+  });
+
+  it('keeps holding edits made while quotes are loading', async () => {
+    let respond;
+    window.fetch = jest.fn(() => new Promise(resolve => {
+      respond = () => resolve({ ok: true, text: () => Promise.resolve('{"quotes": {"AAPL": 200}}') });
+    }));
+    const { unmount } = render(<IBKRMarginTracker />);
+    fireEvent.change(screen.getByLabelText('Quote endpoint'), { target: { value: 'http://localhost:8080/quotes' } });
+    fireEvent.click(screen.getByText('Use endpoint'));
+
+    fireEvent.change(screen.getByLabelText('Holding 3 quantity'), { target: { value: '300' } });
+    fireEvent.blur(screen.getByLabelText('Holding 3 quantity'));
+    respond();
+    expect(await screen.findByText(/^Priced 1 of 4 holdings/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Holding 3 quantity')).toHaveValue('300');
+    expect(screen.getByText(/\$69000.00/)).toBeInTheDocument(); // NLV: AAPL +2500, JPM doubled to 45000
+    unmount();
+  });
+});
+
+describe('IBKRMarginTracker household', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('adds accounts and combines them into a household', () => {
+    render(<IBKRMarginTracker />);
+    expect(screen.getByText(/add it here to see the accounts side by side/)).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Account name'), { target: { value: 'Main' } });
+    fireEvent.click(screen.getByText('Add current portfolio as account'));
+    fireEvent.change(screen.getByLabelText('Account name'), { target: { value: 'Roth' } });
+    fireEvent.change(screen.getByLabelText('Account type'), { target: { value: 'ira' } });
+    fireEvent.click(screen.getByText('Add current portfolio as account'));
+
+    expect(screen.getByRole('row', { name: /^Household \$88000.00/ })).toBeInTheDocument();
+    expect(screen.getByText(/· Roth \(cash account\)/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Roth cash only')).toBeChecked();
+    expect(screen.getByText('Roth is a cash account but has a margin loan of 55000.00.')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Roth cash only'));
+    expect(screen.queryByText(/Roth is a cash account/)).not.toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /^AAPL \$35000.00 20.8%$/ })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Remove Roth'));
+    expect(screen.queryByLabelText('Roth cash only')).not.toBeInTheDocument();
+  });
+
+  it('flags unsaved edits and closes the account when a statement is imported', async () => {
+    const { unmount } = render(<IBKRMarginTracker />);
+    fireEvent.change(screen.getByLabelText('Account name'), { target: { value: 'Roth' } });
+    fireEvent.change(screen.getByLabelText('Account type'), { target: { value: 'ira' } });
+    fireEvent.click(screen.getByText('Add current portfolio as account'));
+    expect(screen.getByText(/· Roth \(cash account\)$/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Cash'), { target: { value: '20000' } });
+    expect(screen.getByText(/· Roth \(cash account\) · unsaved changes/)).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Save dashboard portfolio to Roth'));
+    expect(screen.queryByText(/unsaved changes/)).not.toBeInTheDocument();
+
+    // jsdom's File has no text(), so give this one the contents directly
+    const file = new File([''], 'statement.csv', { type: 'text/csv' });
+    file.text = () => Promise.resolve('ticker,quantity,marketValue,costBasis,annualDividend,sector,cash,marginUsed\nKO,100,6000,5000,194,Consumer Staples,0,3000');
+    fireEvent.drop(screen.getByText(/Drag & drop a portfolio file/), { dataTransfer: { files: [file], types: ['Files'] } });
+    expect(await screen.findByDisplayValue('KO')).toBeInTheDocument();
+    expect(screen.queryByText(/· Roth/)).not.toBeInTheDocument();
+    unmount();
+  });
+});
+
+describe('IBKRMarginTracker risk report', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('writes the report into a print window', () => {
+    const reportWindow = { document: { write: jest.fn(), close: jest.fn() }, focus: jest.fn(), print: jest.fn() };
+    const open = jest.spyOn(window, 'open').mockImplementation(() => reportWindow);
+    render(<IBKRMarginTracker />);
+    fireEvent.click(screen.getByText('Print report'));
+
+    const html = reportWindow.document.write.mock.calls[0][0];
+    expect(html).toContain('<h1>Margin Risk Report</h1>');
+    expect(html).toContain('<td>Net liquidation value</td><td>$44000.00</td>');
+    expect(html).toContain('Hedge Payoff');
+    expect(reportWindow.print).toHaveBeenCalled();
+    open.mockRestore();
+  });
+});
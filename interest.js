@@ -0,0 +1,197 @@
+/**
+ * Margin loan pricing in the style of IBKR Pro: each slice of the balance pays its currency's
+ * benchmark rate plus the spread of the tier it falls in. Benchmarks move with central bank
+ * policy, so the figures here are a starting point to be updated, not live rates. `upTo: null`
+ * marks the open-ended top tier; the day count is the currency's money market convention.
+ */
+export const DEFAULT_INTEREST_SCHEDULE = {
+  currencies: {
+    USD: { benchmark: 0.0433, dayCount: 360 },
+    EUR: { benchmark: 0.0193, dayCount: 360 },
+    GBP: { benchmark: 0.0397, dayCount: 365 },
+    CAD: { benchmark: 0.0275, dayCount: 365 },
+    CHF: { benchmark: 0.0, dayCount: 360 },
+    JPY: { benchmark: 0.0048, dayCount: 365 },
+    HKD: { benchmark: 0.035, dayCount: 365 },
+  },
+  tiers: [
+    { upTo: 100000, spread: 0.015 },
+    { upTo: 1000000, spread: 0.01 },
+    { upTo: 50000000, spread: 0.0075 },
+    { upTo: 200000000, spread: 0.005 },
+    { upTo: null, spread: 0.0025 },
+  ],
+};
+
+const MAX_PAYOFF_MONTHS = 600;
+
+function currencyTerms(currency, schedule) {
+  return schedule.currencies[currency] || schedule.currencies.USD;
+}
+
+/**
+ * Annual interest owed on a balance, summed tier by tier. Rates are floored at zero.
+ *
+ * @param {number} balance - The margin loan balance.
+ * @param {string} [currency='USD'] - The loan currency.
+ * @param {object} [schedule=DEFAULT_INTEREST_SCHEDULE] - Benchmarks and tiers.
+ * @returns {number} Interest for a full year at today's balance, before compounding.
+ */
+export function annualInterest(balance, currency = 'USD', schedule = DEFAULT_INTEREST_SCHEDULE) {
+  if (!(balance > 0)) return 0;
+  const { benchmark } = currencyTerms(currency, schedule);
+  let lowerBound = 0;
+  let interest = 0;
+  for (const tier of schedule.tiers) {
+    const upper = tier.upTo === null ? Infinity : tier.upTo;
+    const slice = Math.max(0, Math.min(balance, upper) - lowerBound);
+    interest += slice * Math.max(0, benchmark + tier.spread);
+    if (balance <= upper) break;
+    lowerBound = upper;
+  }
+  return interest;
+}
+
+/**
+ * The blended annual rate charged on a balance across all its tiers.
+ *
+ * @param {number} balance - The margin loan balance.
+ * @param {string} [currency='USD'] - The loan currency.
+ * @param {object} [schedule=DEFAULT_INTEREST_SCHEDULE] - Benchmarks and tiers.
+ * @returns {number} The effective rate, e.g. 0.0583; the first tier's rate for a zero balance.
+ */
+export function blendedInterestRate(balance, currency = 'USD', schedule = DEFAULT_INTEREST_SCHEDULE) {
+  if (!(balance > 0)) return Math.max(0, currencyTerms(currency, schedule).benchmark + schedule.tiers[0].spread);
+  return annualInterest(balance, currency, schedule) / balance;
+}
+
+/**
+ * One day's interest on a balance, using the currency's day count.
+ *
+ * @param {number} balance - The margin loan balance.
+ * @param {string} [currency='USD'] - The loan currency.
+ * @param {object} [schedule=DEFAULT_INTEREST_SCHEDULE] - Benchmarks and tiers.
+ * @returns {number} The daily accrual.
+ */
+export function dailyInterest(balance, currency = 'USD', schedule = DEFAULT_INTEREST_SCHEDULE) {
+  return annualInterest(balance, currency, schedule) / currencyTerms(currency, schedule).dayCount;
+}
+
+const toDateString = date => date.toISOString().slice(0, 10);
+const startOfDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// The calendar month `offset` months after the one containing `startDate`.
+function calendarMonth(startDate, offset) {
+  const first = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + offset, 1));
+  const days = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return { label: toDateString(first).slice(0, 7), days };
+}
+
+/**
+ * Day-by-day accrual schedule. Interest accrues daily on the balance and is posted to the
+ * loan at each month end, so it compounds monthly.
+ *
+ * @param {number} balance - The starting margin loan balance.
+ * @param {object} [options] - Schedule options.
+ * @param {number} [options.days=30] - Number of days to schedule.
+ * @param {Date} [options.startDate=new Date()] - The first accrual day.
+ * @param {string} [options.currency='USD'] - The loan currency.
+ * @param {object} [options.schedule=DEFAULT_INTEREST_SCHEDULE] - Benchmarks and tiers.
+ * @returns {Array<object>} { date, balance, interest, accrued, posted } per day; `accrued` is
+ *   interest not yet posted, `posted` is true on month ends.
+ */
+export function dailyAccrualSchedule(balance, { days = 30, startDate = new Date(), currency = 'USD', schedule = DEFAULT_INTEREST_SCHEDULE } = {}) {
+  const rows = [];
+  let loan = balance;
+  let accrued = 0;
+  const date = startOfDay(startDate);
+  for (let i = 0; i < days; i++) {
+    const interest = dailyInterest(loan, currency, schedule);
+    accrued += interest;
+    const isMonthEnd = new Date(date.getTime() + 86400000).getUTCMonth() !== date.getUTCMonth();
+    if (isMonthEnd) {
+      loan += accrued;
+      accrued = 0;
+    }
+    rows.push({ date: toDateString(date), balance: loan, interest, accrued, posted: isMonthEnd });
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return rows;
+}
+
+/**
+ * Month-by-month accrual schedule with interest posted at each month end.
+ *
+ * @param {number} balance - The starting margin loan balance.
+ * @param {object} [options] - Schedule options.
+ * @param {number} [options.months=12] - Number of calendar months to schedule, starting with the current one.
+ * @param {Date} [options.startDate=new Date()] - Any day in the first month.
+ * @param {string} [options.currency='USD'] - The loan currency.
+ * @param {object} [options.schedule=DEFAULT_INTEREST_SCHEDULE] - Benchmarks and tiers.
+ * @returns {Array<object>} { month, days, interest, balance } per month, balance after posting.
+ */
+export function monthlyAccrualSchedule(balance, { months = 12, startDate = new Date(), currency = 'USD', schedule = DEFAULT_INTEREST_SCHEDULE } = {}) {
+  const rows = [];
+  let loan = Math.max(0, balance || 0);
+  for (let i = 0; i < months; i++) {
+    const { label, days } = calendarMonth(startDate, i);
+    const interest = dailyInterest(loan, currency, schedule) * days;
+    loan += interest;
+    rows.push({ month: label, days, interest, balance: loan });
+  }
+  return rows;
+}
+
+/**
+ * Projects paying down a margin loan with dividends and optional monthly contributions while
+ * interest keeps accruing. Dividends are spread evenly across the months and grow once a year.
+ *
+ * @param {number} balance - The starting margin loan balance.
+ * @param {number} annualDividend - Current annual dividend income.
+ * @param {object} [options] - Projection options.
+ * @param {number} [options.dividendGrowth=0.05] - Annual dividend growth rate.
+ * @param {number} [options.monthlyContribution=0] - Extra cash put toward the loan each month.
+ * @param {Date} [options.startDate=new Date()] - Any day in the first month.
+ * @param {string} [options.currency='USD'] - The loan currency.
+ * @param {object} [options.schedule=DEFAULT_INTEREST_SCHEDULE] - Benchmarks and tiers.
+ * @param {number} [options.maxMonths=600] - Give up after this many months.
+ * @returns {object} { paidOff, months, totalInterest, schedule } where months is null if the loan
+ *   is not repaid within maxMonths and schedule has one row per month.
+ */
+export function projectMarginPayoff(balance, annualDividend, {
+  dividendGrowth = 0.05,
+  monthlyContribution = 0,
+  startDate = new Date(),
+  currency = 'USD',
+  schedule = DEFAULT_INTEREST_SCHEDULE,
+  maxMonths = MAX_PAYOFF_MONTHS,
+} = {}) {
+  const rows = [];
+  let loan = Math.max(0, balance || 0);
+  let totalInterest = 0;
+
+  for (let i = 0; i < maxMonths && loan > 0; i++) {
+    const { label, days } = calendarMonth(startDate, i);
+    const interest = dailyInterest(loan, currency, schedule) * days;
+    const dividends = ((annualDividend || 0) * Math.pow(1 + dividendGrowth, Math.floor(i / 12))) / 12;
+    const startBalance = loan;
+    loan = Math.max(0, loan + interest - dividends - monthlyContribution);
+    totalInterest += interest;
+    rows.push({
+      month: label,
+      days,
+      startBalance,
+      interest,
+      dividends,
+      contribution: monthlyContribution,
+      endBalance: loan,
+    });
+  }
+
+  return {
+    paidOff: loan <= 0,
+    months: loan <= 0 ? rows.length : null,
+    totalInterest,
+    schedule: rows,
+  };
+}
@@ -0,0 +1,73 @@
+import {
+  DEFAULT_INTEREST_SCHEDULE,
+  annualInterest,
+  blendedInterestRate,
+  dailyInterest,
+  dailyAccrualSchedule,
+  monthlyAccrualSchedule,
+  projectMarginPayoff,
+} from '../utils/interest';
+
+describe('margin interest', () => {
+  // 3.6% on a 360-day year is exactly 0.01% a day.
+  const flat = { currencies: { USD: { benchmark: 0.036, dayCount: 360 } }, tiers: [{ upTo: null, spread: 0 }] };
+  const free = { currencies: { USD: { benchmark: 0, dayCount: 360 } }, tiers: [{ upTo: null, spread: 0 }] };
+  const startDate = new Date('2026-01-30T12:00:00Z');
+
+  it('charges each slice of the balance at its tier rate', () => {
+    expect(annualInterest(50000)).toBeCloseTo(50000 * 0.0583);
+    expect(annualInterest(200000)).toBeCloseTo(100000 * 0.0583 + 100000 * 0.0533);
+    expect(blendedInterestRate(200000)).toBeCloseTo(0.0558);
+    expect(blendedInterestRate(0)).toBeCloseTo(0.0583);
+    expect(annualInterest(0)).toBe(0);
+    expect(annualInterest(-5000)).toBe(0);
+  });
+
+  it('uses the currency benchmark and day count', () => {
+    expect(dailyInterest(50000)).toBeCloseTo(2915 / 360);
+    expect(dailyInterest(50000, 'GBP')).toBeCloseTo((50000 * (0.0397 + 0.015)) / 365);
+    expect(blendedInterestRate(50000, 'CHF')).toBeCloseTo(0.015);
+    expect(blendedInterestRate(50000, 'XYZ')).toBeCloseTo(blendedInterestRate(50000, 'USD'));
+    const negative = { ...DEFAULT_INTEREST_SCHEDULE, currencies: { USD: { benchmark: -0.02, dayCount: 360 } } };
+    expect(annualInterest(50000, 'USD', negative)).toBe(0);
+  });
+
+  it('accrues daily and posts interest at month end', () => {
+    const days = dailyAccrualSchedule(36000, { days: 3, startDate, schedule: flat });
+    expect(days.map(d => d.date)).toEqual(['2026-01-30', '2026-01-31', '2026-02-01']);
+    expect(days[0]).toMatchObject({ balance: 36000, posted: false });
+    expect(days[0].accrued).toBeCloseTo(3.6);
+    expect(days[1].posted).toBe(true);
+    expect(days[1].balance).toBeCloseTo(36007.2);
+    expect(days[2].interest).toBeCloseTo(3.60072);
+  });
+
+  it('compounds monthly accruals', () => {
+    const months = monthlyAccrualSchedule(36000, { months: 2, startDate, schedule: flat });
+    expect(months[0]).toMatchObject({ month: '2026-01', days: 31 });
+    expect(months[0].interest).toBeCloseTo(111.6);
+    expect(months[1]).toMatchObject({ month: '2026-02', days: 28 });
+    expect(months[1].interest).toBeCloseTo(36111.6 * 0.0001 * 28);
+  });
+
+  it('projects a payoff from dividends and contributions', () => {
+    expect(projectMarginPayoff(12000, 12000, { startDate, schedule: free }).months).toBe(12);
+    expect(projectMarginPayoff(12000, 12000, { startDate, schedule: free, monthlyContribution: 1000 }).months).toBe(6);
+
+    const withInterest = projectMarginPayoff(12000, 12000, { startDate, schedule: flat, dividendGrowth: 0 });
+    expect(withInterest.months).toBe(13);
+    expect(withInterest.totalInterest).toBeGreaterThan(0);
+    expect(withInterest.schedule[0]).toMatchObject({ month: '2026-01', startBalance: 12000, dividends: 1000 });
+
+    const growing = projectMarginPayoff(60000, 12000, { startDate, schedule: free, dividendGrowth: 0.5 });
+    expect(growing.schedule[12].dividends).toBeCloseTo(1500);
+  });
+
+  it('reports loans that are never repaid', () => {
+    const result = projectMarginPayoff(1000000, 100, { startDate, dividendGrowth: 0 });
+    expect(result.paidOff).toBe(false);
+    expect(result.months).toBeNull();
+    expect(result.schedule).toHaveLength(600);
+    expect(projectMarginPayoff(0, 100, { startDate })).toMatchObject({ paidOff: true, months: 0, schedule: [] });
+  });
+});
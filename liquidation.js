@@ -0,0 +1,167 @@
+import { calculateAllMetrics } from './metrics';
+import { toBaseCurrency } from './fx';
+
+/**
+ * Default liquidation policy. `order` is 'largest' (largest market value first),
+ * 'highestMargin' (largest maintenance requirement first) or 'priority' (tickers in
+ * `priority` first, then largest). Slippage is a fraction of the sale value; commissions
+ * follow IBKR's fixed per-share schedule.
+ */
+export const DEFAULT_LIQUIDATION_POLICY = {
+  order: 'largest',
+  priority: [],
+  slippage: 0.005,
+  commissionPerShare: 0.005,
+  minimumCommission: 1,
+  // Sell until excess liquidity is at least this cushion.
+  targetExcess: 0,
+};
+
+const MAX_LIQUIDATION_STEPS = 100;
+
+function accountState(metrics, portfolio) {
+  return {
+    netLiquidationValue: parseFloat(metrics.netLiquidationValue),
+    excessLiquidity: parseFloat(metrics.excessLiquidity),
+    maintenanceMargin: parseFloat(metrics.maintenanceMargin),
+    marginHealth: parseFloat(metrics.marginHealth),
+    cash: portfolio.cash,
+    marginUsed: portfolio.marginUsed,
+  };
+}
+
+/**
+ * Orders the holdings that can be sold according to the policy. Only long positions are
+ * candidates; short stock and short options are left for the account holder to close.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} metrics - Metrics for the portfolio, with its marginBreakdown.
+ * @param {object} policy - The liquidation policy.
+ * @returns {Array<number>} Indexes into portfolio.holdings, first to be sold first.
+ */
+export function liquidationOrder(portfolio, metrics, policy) {
+  const breakdown = metrics.marginBreakdown || [];
+  const candidates = portfolio.holdings
+    .map((h, index) => index)
+    .filter(index => portfolio.holdings[index].quantity > 0 && portfolio.holdings[index].marketValue > 0);
+
+  const byMarketValue = (a, b) => portfolio.holdings[b].marketValue - portfolio.holdings[a].marketValue;
+  if (policy.order === 'highestMargin') {
+    const requirement = index => (breakdown[index] ? breakdown[index].maintenanceMargin : 0);
+    return candidates.sort((a, b) => requirement(b) - requirement(a) || byMarketValue(a, b));
+  }
+  if (policy.order === 'priority') {
+    const priority = policy.priority || [];
+    const rank = index => {
+      const position = priority.indexOf(portfolio.holdings[index].ticker);
+      return position === -1 ? priority.length : position;
+    };
+    return candidates.sort((a, b) => rank(a) - rank(b) || byMarketValue(a, b));
+  }
+  return candidates.sort(byMarketValue);
+}
+
+function commissionFor(quantity, policy) {
+  return quantity > 0 ? Math.max(policy.minimumCommission, quantity * policy.commissionPerShare) : 0;
+}
+
+/**
+ * Estimates how many units to sell to cover a deficiency. Each dollar sold frees the
+ * position's maintenance rate but costs slippage, so the sale is grossed up for both.
+ */
+function quantityToCover(holding, deficiency, maintenanceRate, policy) {
+  const price = holding.marketValue / holding.quantity;
+  const freedPerDollar = maintenanceRate - policy.slippage;
+  if (freedPerDollar <= 0) return holding.quantity;
+  const estimate = Math.ceil(deficiency / (price * freedPerDollar));
+  const quantity = Math.ceil((deficiency + commissionFor(estimate, policy)) / (price * freedPerDollar));
+  return Math.min(holding.quantity, Math.max(1, quantity));
+}
+
+/**
+ * Simulates a broker auto-liquidation of a portfolio with a margin deficiency. Positions are
+ * sold one at a time in policy order until excess liquidity reaches the target; proceeds net
+ * of slippage and commission pay down the margin loan first, then go to cash.
+ *
+ * @param {object} portfolio - The (typically stressed) portfolio object.
+ * @param {object} [policy=DEFAULT_LIQUIDATION_POLICY] - The liquidation policy.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @returns {object} The starting deficiency, each sale with the account state after it,
+ *   totals, whether the deficiency was cured, and the final portfolio and metrics.
+ */
+export function simulateLiquidation(portfolio, policy = DEFAULT_LIQUIDATION_POLICY, marginRules = null) {
+  if (!portfolio || !portfolio.holdings) return null;
+  const settings = { ...DEFAULT_LIQUIDATION_POLICY, ...policy };
+
+  // Sales pay down the loan in base currency, so work on the base-currency view of the account.
+  const account = toBaseCurrency(portfolio);
+  let current = { ...account, holdings: account.holdings.map(h => ({ ...h })) };
+  let metrics = calculateAllMetrics(current, 0.5, 0.25, marginRules);
+  const initialState = accountState(metrics, current);
+  const steps = [];
+
+  while (steps.length < MAX_LIQUIDATION_STEPS) {
+    const deficiency = settings.targetExcess - parseFloat(metrics.excessLiquidity);
+    if (deficiency <= 0) break;
+    const [index] = liquidationOrder(current, metrics, settings);
+    if (index === undefined) break;
+
+    const holding = current.holdings[index];
+    const position = (metrics.marginBreakdown || [])[index];
+    const quantity = quantityToCover(holding, deficiency, position ? position.maintenanceRate : 0, settings);
+    const price = holding.marketValue / holding.quantity;
+    const grossProceeds = quantity * price;
+    const slippage = grossProceeds * settings.slippage;
+    const commission = commissionFor(quantity, settings);
+    const netProceeds = grossProceeds - slippage - commission;
+    const costBasisSold = (holding.costBasis || 0) * (quantity / holding.quantity);
+
+    const loanRepaid = Math.min(current.marginUsed, netProceeds);
+    const remaining = holding.quantity - quantity;
+    const holdings = current.holdings
+      .map((h, i) => (i === index ? {
+        ...h,
+        quantity: remaining,
+        marketValue: h.marketValue - grossProceeds,
+        costBasis: (h.costBasis || 0) - costBasisSold,
+        annualDividend: (h.annualDividend || 0) * (remaining / h.quantity),
+      } : h))
+      .filter(h => h.quantity !== 0);
+    current = {
+      ...current,
+      marginUsed: current.marginUsed - loanRepaid,
+      cash: current.cash + netProceeds - loanRepaid,
+      holdings,
+    };
+    metrics = calculateAllMetrics(current, 0.5, 0.25, marginRules);
+
+    steps.push({
+      step: steps.length + 1,
+      ticker: holding.ticker,
+      quantitySold: quantity,
+      closedPosition: remaining === 0,
+      price,
+      grossProceeds,
+      slippage,
+      commission,
+      netProceeds,
+      // Positive when the sale realizes a loss against cost basis.
+      realizedLoss: costBasisSold - netProceeds,
+      account: accountState(metrics, current),
+    });
+  }
+
+  const finalState = accountState(metrics, current);
+  return {
+    initialDeficiency: Math.max(0, settings.targetExcess - initialState.excessLiquidity),
+    initialState,
+    steps,
+    totalGrossProceeds: steps.reduce((acc, s) => acc + s.grossProceeds, 0),
+    totalCosts: steps.reduce((acc, s) => acc + s.slippage + s.commission, 0),
+    totalRealizedLoss: steps.reduce((acc, s) => acc + s.realizedLoss, 0),
+    cured: finalState.excessLiquidity >= settings.targetExcess,
+    finalState,
+    portfolio: current,
+    metrics,
+  };
+}
@@ -0,0 +1,68 @@
+import { DEFAULT_LIQUIDATION_POLICY, liquidationOrder, simulateLiquidation } from '../utils/liquidation';
+import { createMarginRules } from '../utils/margin-rules';
+import { calculateAllMetrics } from '../utils/metrics';
+
+describe('liquidation simulator', () => {
+  // The mock account after a 40% drop: excess liquidity is -$2,200 at a flat 25% maintenance rate.
+  const stressed = {
+    cash: 15000,
+    marginUsed: 55000,
+    holdings: [
+      { ticker: 'AAPL', quantity: 100, marketValue: 10500, costBasis: 15000, annualDividend: 92 },
+      { ticker: 'MSFT', quantity: 50, marketValue: 12000, costBasis: 18000, annualDividend: 144 },
+      { ticker: 'JPM', quantity: 150, marketValue: 13500, costBasis: 20000, annualDividend: 630 },
+      { ticker: 'XOM', quantity: 200, marketValue: 14400, costBasis: 21000, annualDividend: 736 },
+    ],
+  };
+  const flatRules = createMarginRules(0.5, 0.25);
+
+  it('sells the largest position first, net of slippage and commission', () => {
+    const result = simulateLiquidation(stressed, DEFAULT_LIQUIDATION_POLICY, flatRules);
+    expect(result.initialDeficiency).toBeCloseTo(2200);
+    expect(result.steps).toHaveLength(1);
+
+    const [sale] = result.steps;
+    expect(sale.ticker).toBe('XOM');
+    expect(sale.quantitySold).toBe(125);
+    expect(sale.grossProceeds).toBeCloseTo(9000);
+    expect(sale.slippage).toBeCloseTo(45);
+    expect(sale.commission).toBeCloseTo(1);
+    expect(sale.realizedLoss).toBeCloseTo(13125 - 8954);
+    expect(sale.account.marginUsed).toBeCloseTo(46046);
+    expect(sale.account.excessLiquidity).toBeCloseTo(4);
+
+    expect(result.cured).toBe(true);
+    expect(result.portfolio.holdings[3]).toMatchObject({ quantity: 75, marketValue: 5400, costBasis: 7875 });
+  });
+
+  it('follows a user-specified priority', () => {
+    const result = simulateLiquidation(stressed, { order: 'priority', priority: ['JPM'] }, flatRules);
+    expect(result.steps[0].ticker).toBe('JPM');
+    expect(result.steps[0].quantitySold).toBe(100);
+    expect(result.cured).toBe(true);
+  });
+
+  it('sells the highest margin requirement first', () => {
+    const rules = { ...flatRules, tickers: { JPM: { initial: 1, maintenance: 0.5 } } };
+    const order = liquidationOrder(stressed, calculateAllMetrics(stressed, 0.5, 0.25, rules), { order: 'highestMargin' });
+    expect(order.map(i => stressed.holdings[i].ticker)).toEqual(['JPM', 'XOM', 'MSFT', 'AAPL']);
+  });
+
+  it('does nothing when there is no deficiency', () => {
+    const healthy = { ...stressed, marginUsed: 20000 };
+    const result = simulateLiquidation(healthy, DEFAULT_LIQUIDATION_POLICY, flatRules);
+    expect(result.steps).toEqual([]);
+    expect(result.initialDeficiency).toBe(0);
+    expect(result.cured).toBe(true);
+  });
+
+  it('reports an uncured deficiency once everything has been sold', () => {
+    const underwater = { ...stressed, cash: 0, marginUsed: 60000 };
+    const result = simulateLiquidation(underwater, DEFAULT_LIQUIDATION_POLICY, flatRules);
+    expect(result.steps.map(s => s.ticker)).toEqual(['XOM', 'JPM', 'MSFT', 'AAPL']);
+    expect(result.steps.every(s => s.closedPosition)).toBe(true);
+    expect(result.portfolio.holdings).toEqual([]);
+    expect(result.cured).toBe(false);
+    expect(simulateLiquidation(null)).toBeNull();
+  });
+});
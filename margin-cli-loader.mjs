@@ -0,0 +1,19 @@
+// Lets Node run the app's utility modules as they are written for the bundler: relative
+// imports without a file extension resolve to `.js`, and those files load as ES modules.
+import { fileURLToPath } from 'node:url';
+import { existsSync } from 'node:fs';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.{1,2}\//.test(specifier) && !/\.\w+$/.test(specifier) && context.parentURL) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return nextResolve(url.href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.includes('/src/utils/') && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
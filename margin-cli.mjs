@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Headless entry point: node margin-cli.mjs <portfolio file> [options]. See src/utils/cli.js.
+import { register } from 'node:module';
+import { readFileSync } from 'node:fs';
+
+register('./margin-cli-loader.mjs', import.meta.url);
+const { runCli } = await import('./src/utils/cli.js');
+
+const { exitCode, stdout, stderr } = runCli(process.argv.slice(2), { readFile: path => readFileSync(path, 'utf8') });
+process.stdout.write(stdout);
+process.stderr.write(stderr);
+process.exitCode = exitCode;
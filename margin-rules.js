@@ -0,0 +1,134 @@
+import { computePortfolioMargin } from './portfolio-margin';
+
+/**
+ * House margin rules modelled on IBKR's Reg T schedule. Rates are fractions of position
+ * market value. Per-ticker entries override the asset-class table; the leveraged ETF,
+ * low-price and concentration rules can only raise a requirement, never lower it.
+ */
+export const DEFAULT_MARGIN_RULES = {
+  default: { initial: 0.5, maintenance: 0.25 },
+  assetClasses: {
+    STK: { initial: 0.5, maintenance: 0.25 },
+    ETF: { initial: 0.5, maintenance: 0.25 },
+    OPT: { initial: 1, maintenance: 1 },
+  },
+  tickers: {},
+  leveragedEtfs: {
+    tickers: { TQQQ: 3, SQQQ: 3, UPRO: 3, SPXU: 3, SOXL: 3, SOXS: 3, TNA: 3, TZA: 3, QLD: 2, SSO: 2, UVXY: 1.5 },
+    // The base rates are multiplied by the fund's leverage factor.
+    initialPerLeverage: 0.5,
+    maintenancePerLeverage: 0.25,
+  },
+  lowPrice: [
+    { below: 2.5, initial: 1, maintenance: 1 },
+    { below: 5, initial: 0.5, maintenance: 0.5 },
+  ],
+  concentration: { threshold: 0.3, surcharge: 0.1 },
+};
+
+/**
+ * Builds a flat rule set that applies the same rates to every holding.
+ *
+ * @param {number} [initialMarginReq=0.5] - Initial margin requirement.
+ * @param {number} [maintMarginReq=0.25] - Maintenance margin requirement.
+ * @returns {object} A margin rule set with no house rules.
+ */
+export function createMarginRules(initialMarginReq = 0.5, maintMarginReq = 0.25) {
+  return { default: { initial: initialMarginReq, maintenance: maintMarginReq } };
+}
+
+function holdingPrice(holding) {
+  if (typeof holding.price === 'number') return holding.price;
+  if (holding.quantity) return Math.abs(holding.marketValue / holding.quantity);
+  return null;
+}
+
+/**
+ * Resolves the initial and maintenance rates for a single holding.
+ *
+ * @param {object} holding - The holding.
+ * @param {object} rules - The margin rule set.
+ * @param {number} grossMarketValue - Gross market value of all holdings, for the concentration rule.
+ * @returns {object} The initial and maintenance rates and the names of the rules that set them.
+ */
+export function resolveHoldingRates(holding, rules, grossMarketValue) {
+  let rates = { ...(rules.default || createMarginRules().default) };
+  const applied = ['default'];
+
+  const assetClassRates = rules.assetClasses && rules.assetClasses[holding.assetClass];
+  if (assetClassRates) {
+    rates = { ...assetClassRates };
+    applied.push(`asset class ${holding.assetClass}`);
+  }
+  const tickerRates = rules.tickers && rules.tickers[holding.ticker];
+  if (tickerRates) {
+    rates = { ...tickerRates };
+    applied.push(`ticker ${holding.ticker}`);
+  }
+
+  const raise = (initial, maintenance, name) => {
+    if (initial > rates.initial || maintenance > rates.maintenance) {
+      rates = { initial: Math.max(rates.initial, initial), maintenance: Math.max(rates.maintenance, maintenance) };
+      applied.push(name);
+    }
+  };
+
+  const leverageFactor = rules.leveragedEtfs && rules.leveragedEtfs.tickers[holding.ticker];
+  if (leverageFactor) {
+    const { initialPerLeverage, maintenancePerLeverage } = rules.leveragedEtfs;
+    raise(initialPerLeverage * leverageFactor, maintenancePerLeverage * leverageFactor, `leveraged ETF ${leverageFactor}x`);
+  }
+
+  const price = holdingPrice(holding);
+  if (rules.lowPrice && price !== null) {
+    const tier = rules.lowPrice.find(t => price < t.below);
+    if (tier) raise(tier.initial, tier.maintenance, `price under $${tier.below}`);
+  }
+
+  const share = grossMarketValue > 0 ? Math.abs(holding.marketValue || 0) / grossMarketValue : 0;
+  if (rules.concentration && share > rules.concentration.threshold) {
+    const { surcharge } = rules.concentration;
+    rates = { initial: rates.initial + surcharge, maintenance: rates.maintenance + surcharge };
+    applied.push(`concentration over ${rules.concentration.threshold * 100}%`);
+  }
+
+  return {
+    initial: Math.min(1, rates.initial),
+    maintenance: Math.min(1, rates.maintenance),
+    rules: applied,
+  };
+}
+
+/**
+ * Computes per-position and total margin requirements for a portfolio.
+ *
+ * @param {Array<object>} holdings - The portfolio holdings.
+ * @param {object} [rules] - The margin rule set; defaults to flat 50%/25% rates. A rule set
+ *   with `mode: 'portfolio'` is computed by computePortfolioMargin instead.
+ * @returns {object} The per-position breakdown and the total initial and maintenance margin.
+ */
+export function computeMarginRequirements(holdings, rules = createMarginRules()) {
+  if (!holdings) return { positions: [], totalInitial: 0, totalMaintenance: 0 };
+  if (rules.mode === 'portfolio') return computePortfolioMargin(holdings, rules);
+  const grossMarketValue = holdings.reduce((acc, h) => acc + Math.abs(h.marketValue || 0), 0);
+
+  const positions = holdings.map(h => {
+    const rates = resolveHoldingRates(h, rules, grossMarketValue);
+    const exposure = Math.abs(h.marketValue || 0);
+    return {
+      ticker: h.ticker,
+      marketValue: h.marketValue || 0,
+      initialRate: rates.initial,
+      maintenanceRate: rates.maintenance,
+      initialMargin: exposure * rates.initial,
+      maintenanceMargin: exposure * rates.maintenance,
+      rules: rates.rules,
+    };
+  });
+
+  return {
+    positions,
+    totalInitial: positions.reduce((acc, p) => acc + p.initialMargin, 0),
+    totalMaintenance: positions.reduce((acc, p) => acc + p.maintenanceMargin, 0),
+  };
+}
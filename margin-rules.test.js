@@ -0,0 +1,46 @@
+import { DEFAULT_MARGIN_RULES, createMarginRules, resolveHoldingRates, computeMarginRequirements } from '../utils/margin-rules';
+
+describe('margin rule engine', () => {
+  const holdings = [
+    { ticker: 'AAPL', quantity: 100, marketValue: 17500, assetClass: 'STK' },
+    { ticker: 'MSFT', quantity: 50, marketValue: 20000, assetClass: 'STK' },
+    { ticker: 'JPM', quantity: 150, marketValue: 22500, assetClass: 'STK' },
+    { ticker: 'XOM', quantity: 200, marketValue: 24000, assetClass: 'STK' },
+  ];
+
+  it('applies flat rates when no house rules are given', () => {
+    const result = computeMarginRequirements(holdings, createMarginRules(0.5, 0.25));
+    expect(result.totalMaintenance).toBeCloseTo(21000);
+    expect(result.totalInitial).toBeCloseTo(42000);
+    expect(result.positions[0]).toMatchObject({ ticker: 'AAPL', maintenanceRate: 0.25, maintenanceMargin: 4375, initialMargin: 8750 });
+    expect(computeMarginRequirements(null).positions).toEqual([]);
+  });
+
+  it('lets ticker overrides win over the asset-class table', () => {
+    const rules = { ...DEFAULT_MARGIN_RULES, tickers: { JPM: { initial: 0.4, maintenance: 0.3 } } };
+    const rates = resolveHoldingRates(holdings[2], rules, 84000);
+    expect(rates.maintenance).toBe(0.3);
+    expect(rates.initial).toBe(0.4);
+    expect(rates.rules).toContain('ticker JPM');
+  });
+
+  it('raises requirements for leveraged ETFs and low-priced stocks', () => {
+    const leveraged = resolveHoldingRates({ ticker: 'TQQQ', quantity: 100, marketValue: 6000 }, DEFAULT_MARGIN_RULES, 100000);
+    expect(leveraged.maintenance).toBeCloseTo(0.75);
+    expect(leveraged.initial).toBe(1);
+
+    const pennyStock = resolveHoldingRates({ ticker: 'PENNY', quantity: 1000, marketValue: 2000 }, DEFAULT_MARGIN_RULES, 100000);
+    expect(pennyStock.maintenance).toBe(1);
+    const lowPriced = resolveHoldingRates({ ticker: 'LOW', quantity: 1000, marketValue: 4000 }, DEFAULT_MARGIN_RULES, 100000);
+    expect(lowPriced.maintenance).toBe(0.5);
+    expect(lowPriced.rules).toContain('price under $5');
+  });
+
+  it('adds a concentration surcharge above the threshold', () => {
+    const concentrated = [{ ticker: 'NVDA', quantity: 100, marketValue: 60000 }, { ticker: 'KO', quantity: 100, marketValue: 40000 }];
+    const result = computeMarginRequirements(concentrated, DEFAULT_MARGIN_RULES);
+    expect(result.positions[0].maintenanceRate).toBeCloseTo(0.35);
+    expect(result.positions[1].maintenanceRate).toBeCloseTo(0.35);
+    expect(computeMarginRequirements(holdings, DEFAULT_MARGIN_RULES).totalMaintenance).toBeCloseTo(21000);
+  });
+});
@@ -1,13 +1,19 @@
+import { computeMarginRequirements, createMarginRules } from './margin-rules';
+import { toBaseCurrency } from './fx';
+
 /**
- * Calculates all key portfolio and margin metrics.
+ * Calculates all key portfolio and margin metrics. Multi-currency portfolios are
+ * aggregated in their base currency (see toBaseCurrency).
  *
  * @param {object} portfolio - The portfolio object.
  * @param {number} [initialMarginReq=0.5] - Initial margin requirement (Reg T).
  * @param {number} [maintMarginReq=0.25] - Maintenance margin requirement.
+ * @param {object} [marginRules] - Per-position margin rule set; when omitted the flat rates above apply to every holding.
  * @returns {object} An object containing all calculated metrics.
  */
-export function calculateAllMetrics(portfolio, initialMarginReq = 0.5, maintMarginReq = 0.25) {
-  if (!portfolio || !Array.isArray(portfolio.holdings) || typeof portfolio.cash !== 'number' || typeof portfolio.marginUsed !== 'number') {
+export function calculateAllMetrics(portfolio, initialMarginReq = 0.5, maintMarginReq = 0.25, marginRules = null) {
+  const account = toBaseCurrency(portfolio);
+  if (!account || !Array.isArray(account.holdings) || typeof account.cash !== 'number' || typeof account.marginUsed !== 'number') {
     return {
       netLiquidationValue: "0.00", totalEquity: "0.00", marketValue: "0.00",
       leverage: "0.00", maintenanceMargin: "0.00", excessLiquidity: "0.00",
@@ -15,14 +21,17 @@ export function calculateAllMetrics(portfolio, initialMarginReq = 0.5, maintMarg
     };
   }
 
-  const marketValue = portfolio.holdings.reduce((acc, h) => acc + (h.marketValue || 0), 0);
-  const totalEquity = marketValue + portfolio.cash - portfolio.marginUsed;
+  const marketValue = account.holdings.reduce((acc, h) => acc + (h.marketValue || 0), 0);
+  const totalEquity = marketValue + account.cash - account.marginUsed;
   const netLiquidationValue = totalEquity;
 
-  const totalMaintenanceMargin = marketValue * maintMarginReq;
+  const requirements = computeMarginRequirements(account.holdings, marginRules || createMarginRules(initialMarginReq, maintMarginReq));
+  const totalMaintenanceMargin = requirements.totalMaintenance;
   const excessLiquidity = netLiquidationValue - totalMaintenanceMargin;
 
-  const buyingPower = Math.max(0, excessLiquidity / initialMarginReq);
+  // Buying power is priced at the portfolio's blended initial rate.
+  const effectiveInitialReq = marketValue > 0 && requirements.totalInitial > 0 ? requirements.totalInitial / marketValue : initialMarginReq;
+  const buyingPower = Math.max(0, excessLiquidity / effectiveInitialReq);
   const leverage = netLiquidationValue > 0 ? marketValue / netLiquidationValue : 0;
   const marginHealth = netLiquidationValue > 0 ? (excessLiquidity / netLiquidationValue) * 100 : 0;
 
@@ -32,8 +41,10 @@ export function calculateAllMetrics(portfolio, initialMarginReq = 0.5, maintMarg
     marketValue: marketValue.toFixed(2),
     leverage: isFinite(leverage) ? leverage.toFixed(2) : "0.00",
     maintenanceMargin: totalMaintenanceMargin.toFixed(2),
+    initialMargin: requirements.totalInitial.toFixed(2),
     excessLiquidity: excessLiquidity.toFixed(2),
     buyingPower: buyingPower.toFixed(2),
     marginHealth: marginHealth.toFixed(2),
+    marginBreakdown: requirements.positions,
   };
 }
\ No newline at end of file
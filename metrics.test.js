@@ -1,4 +1,5 @@
 import { calculateAllMetrics } from '../utils/metrics';
+import { DEFAULT_MARGIN_RULES } from '../utils/margin-rules';
 
 describe('calculateAllMetrics', () => {
   const mockPortfolio = {
@@ -38,4 +39,40 @@ describe('calculateAllMetrics', () => {
     expect(metrics.marginHealth).toBe("0.00");
     expect(metrics.leverage).toBe("0.00");
   });
-});
\ No newline at end of file
+
+  it('should use per-position margin rules when given', () => {
+    const portfolio = {
+      cash: 0,
+      marginUsed: 20000,
+      holdings: [
+        { ticker: 'TQQQ', quantity: 400, marketValue: 24000 },
+        { ticker: 'KO', quantity: 900, marketValue: 56000 },
+      ],
+    };
+    const metrics = calculateAllMetrics(portfolio, 0.5, 0.25, DEFAULT_MARGIN_RULES);
+    // TQQQ at 3x leverage: 75% maintenance; KO is 70% of the book: 25% + 10% surcharge
+    expect(metrics.maintenanceMargin).toBe("37600.00");
+    expect(metrics.initialMargin).toBe("57600.00");
+    expect(metrics.excessLiquidity).toBe("22400.00");
+    expect(metrics.buyingPower).toBe("31111.11");
+    expect(metrics.marginBreakdown.map(p => p.maintenanceMargin)).toEqual([18000, 19600]);
+  });
+
+  it('should aggregate a multi-currency account in its base currency', () => {
+    const portfolio = {
+      baseCurrency: 'USD',
+      fxRates: { base: 'USD', rates: { EUR: 1.085, CAD: 1 / 1.36 } },
+      cashBalances: { USD: -20000, EUR: -10000, CAD: 6800 },
+      holdings: [
+        { ticker: 'AAPL', quantity: 100, marketValue: 17500, currency: 'USD' },
+        { ticker: 'SAP', quantity: 50, marketValue: 10000, currency: 'EUR' },
+        { ticker: 'RY', quantity: 100, marketValue: 13600, currency: 'CAD' },
+      ],
+    };
+    const metrics = calculateAllMetrics(portfolio);
+    expect(metrics.marketValue).toBe("38350.00");
+    expect(metrics.netLiquidationValue).toBe("12500.00");
+    expect(metrics.maintenanceMargin).toBe("9587.50");
+    expect(metrics.excessLiquidity).toBe("2912.50");
+  });
+});
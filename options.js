@@ -0,0 +1,228 @@
+export const DEFAULT_RISK_FREE_RATE = 0.04;
+export const DEFAULT_VOLATILITY = 0.3;
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7).
+ *
+ * @param {number} x - The value.
+ * @returns {number} P(Z <= x).
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Standard normal probability density.
+ *
+ * @param {number} x - The value.
+ * @returns {number} The density at x.
+ */
+export function normalPdf(x) {
+  return Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Prices a European option with Black-Scholes and returns its per-share Greeks.
+ * At or past expiry the option is worth its intrinsic value.
+ *
+ * @param {object} params - Pricing inputs.
+ * @param {string} params.right - 'C' for a call, 'P' for a put.
+ * @param {number} params.spot - Underlying price.
+ * @param {number} params.strike - Strike price.
+ * @param {number} params.timeYears - Time to expiry in years.
+ * @param {number} [params.volatility=0.3] - Annualized volatility.
+ * @param {number} [params.rate=0.04] - Risk-free rate.
+ * @returns {object} price, delta, gamma, vega (per 1 vol point) and theta (per calendar day).
+ */
+export function blackScholes({ right, spot, strike, timeYears, volatility = DEFAULT_VOLATILITY, rate = DEFAULT_RISK_FREE_RATE }) {
+  const isCall = right === 'C';
+  if (timeYears <= 0 || volatility <= 0) {
+    const intrinsic = Math.max(0, isCall ? spot - strike : strike - spot);
+    const itm = isCall ? spot > strike : spot < strike;
+    return { price: intrinsic, delta: itm ? (isCall ? 1 : -1) : 0, gamma: 0, vega: 0, theta: 0 };
+  }
+
+  const sqrtT = Math.sqrt(timeYears);
+  const d1 = (Math.log(spot / strike) + (rate + (volatility * volatility) / 2) * timeYears) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * timeYears);
+
+  const price = isCall
+    ? spot * normalCdf(d1) - strike * discount * normalCdf(d2)
+    : strike * discount * normalCdf(-d2) - spot * normalCdf(-d1);
+  const delta = isCall ? normalCdf(d1) : normalCdf(d1) - 1;
+  const gamma = normalPdf(d1) / (spot * volatility * sqrtT);
+  const vega = (spot * normalPdf(d1) * sqrtT) / 100;
+  const decay = -(spot * normalPdf(d1) * volatility) / (2 * sqrtT);
+  const carry = isCall ? -rate * strike * discount * normalCdf(d2) : rate * strike * discount * normalCdf(-d2);
+  const theta = (decay + carry) / 365;
+
+  return { price, delta, gamma, vega, theta };
+}
+
+/**
+ * Backs the implied volatility out of an option price by bisection.
+ *
+ * @param {number} price - The option's per-share price.
+ * @param {object} params - Pricing inputs as for blackScholes, without volatility.
+ * @returns {number|null} The implied volatility, or null when the price is outside the model's range.
+ */
+export function impliedVolatility(price, params) {
+  let low = 0.001;
+  let high = 5;
+  if (price < blackScholes({ ...params, volatility: low }).price || price > blackScholes({ ...params, volatility: high }).price) {
+    return null;
+  }
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (blackScholes({ ...params, volatility: mid }).price > price) high = mid;
+    else low = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Whether a holding is an option leg.
+ *
+ * @param {object} holding - The holding.
+ * @returns {boolean} True for holdings with a right and a strike.
+ */
+export function isOptionHolding(holding) {
+  return !!holding && (holding.right === 'C' || holding.right === 'P') && typeof holding.strike === 'number';
+}
+
+/**
+ * Years from the valuation date to an option's expiry (end of the expiry day).
+ *
+ * @param {string} expiry - Expiry date as YYYY-MM-DD.
+ * @param {Date} [asOf=new Date()] - The valuation date.
+ * @returns {number} Time to expiry in years, floored at zero.
+ */
+export function yearsToExpiry(expiry, asOf = new Date()) {
+  const expiryTime = new Date(`${expiry}T21:00:00Z`).getTime();
+  return Math.max(0, (expiryTime - asOf.getTime()) / MS_PER_YEAR);
+}
+
+function optionPricingParams(holding, pricing) {
+  const { asOf = new Date(), rate = DEFAULT_RISK_FREE_RATE } = pricing;
+  return {
+    right: holding.right,
+    spot: holding.underlyingPrice,
+    strike: holding.strike,
+    timeYears: yearsToExpiry(holding.expiry, asOf),
+    rate,
+  };
+}
+
+/**
+ * The volatility to price a holding at: its own `volatility`, else the one implied by its
+ * market value, else DEFAULT_VOLATILITY.
+ */
+function holdingVolatility(holding, params) {
+  if (typeof holding.volatility === 'number') return holding.volatility;
+  const multiplier = holding.multiplier || 100;
+  if (holding.quantity && holding.marketValue) {
+    const implied = impliedVolatility(Math.abs(holding.marketValue / (holding.quantity * multiplier)), params);
+    if (implied !== null) return implied;
+  }
+  return DEFAULT_VOLATILITY;
+}
+
+/**
+ * Values an option holding with Black-Scholes. Greeks are scaled by quantity and multiplier,
+ * so delta is in shares of the underlying.
+ *
+ * @param {object} holding - An option holding with underlying, right, strike, expiry, multiplier and underlyingPrice.
+ * @param {object} [pricing] - Valuation inputs.
+ * @param {Date} [pricing.asOf=new Date()] - The valuation date.
+ * @param {number} [pricing.rate=0.04] - Risk-free rate.
+ * @returns {object|null} The model marketValue and position Greeks, or null if the underlying price is unknown.
+ */
+export function valueOptionHolding(holding, pricing = {}) {
+  if (!isOptionHolding(holding) || typeof holding.underlyingPrice !== 'number') return null;
+  const params = optionPricingParams(holding, pricing);
+  const volatility = holdingVolatility(holding, params);
+  const perShare = blackScholes({ ...params, volatility });
+  const scale = (holding.quantity || 0) * (holding.multiplier || 100);
+
+  return {
+    volatility,
+    price: perShare.price,
+    marketValue: perShare.price * scale,
+    delta: perShare.delta * scale,
+    gamma: perShare.gamma * scale,
+    vega: perShare.vega * scale,
+    theta: perShare.theta * scale,
+  };
+}
+
+/**
+ * Applies an underlying price move to a holding. Stocks move linearly; options are repriced
+ * with Black-Scholes and keep their difference from model value, so an unshocked option
+ * keeps its market value.
+ *
+ * @param {object} holding - The holding.
+ * @param {number} move - The underlying price move, e.g. -0.2 for a 20% drop.
+ * @param {object} [pricing] - Valuation inputs, as for valueOptionHolding.
+ * @returns {object} A new holding with the shocked marketValue (and underlyingPrice for options).
+ */
+export function shockHolding(holding, move, pricing = {}) {
+  const current = valueOptionHolding(holding, pricing);
+  if (!current) {
+    return { ...holding, marketValue: (holding.marketValue || 0) * (1 + move) };
+  }
+  const shocked = { ...holding, volatility: current.volatility, underlyingPrice: holding.underlyingPrice * (1 + move) };
+  const repriced = valueOptionHolding(shocked, pricing);
+  return { ...shocked, marketValue: (holding.marketValue || 0) + repriced.marketValue - current.marketValue };
+}
+
+/**
+ * Aggregates position Greeks across the portfolio. Stock holdings contribute delta
+ * equal to their quantity. Dollar delta is the P&L per 1% move in every underlying.
+ *
+ * @param {Array<object>} holdings - The portfolio holdings.
+ * @param {object} [pricing] - Valuation inputs, as for valueOptionHolding.
+ * @returns {object} Portfolio totals and a per-underlying breakdown of delta, gamma, vega and theta.
+ */
+export function calculatePortfolioGreeks(holdings, pricing = {}) {
+  const empty = { delta: 0, dollarDelta: 0, gamma: 0, vega: 0, theta: 0 };
+  if (!holdings) return { ...empty, byUnderlying: {}, unpriced: [] };
+
+  const byUnderlying = {};
+  const unpriced = [];
+  holdings.forEach(h => {
+    const underlying = h.underlying || h.ticker;
+    const entry = byUnderlying[underlying] || (byUnderlying[underlying] = { ...empty });
+
+    if (isOptionHolding(h)) {
+      const value = valueOptionHolding(h, pricing);
+      if (!value) {
+        unpriced.push(h.ticker);
+        return;
+      }
+      entry.delta += value.delta;
+      entry.dollarDelta += (value.delta * h.underlyingPrice) / 100;
+      entry.gamma += value.gamma;
+      entry.vega += value.vega;
+      entry.theta += value.theta;
+    } else {
+      entry.delta += h.quantity || 0;
+      entry.dollarDelta += (h.marketValue || 0) / 100;
+    }
+  });
+
+  const totals = Object.values(byUnderlying).reduce((acc, g) => ({
+    delta: acc.delta + g.delta,
+    dollarDelta: acc.dollarDelta + g.dollarDelta,
+    gamma: acc.gamma + g.gamma,
+    vega: acc.vega + g.vega,
+    theta: acc.theta + g.theta,
+  }), empty);
+
+  return { ...totals, byUnderlying, unpriced };
+}
@@ -0,0 +1,70 @@
+import { normalCdf, blackScholes, impliedVolatility, yearsToExpiry, valueOptionHolding, shockHolding, calculatePortfolioGreeks } from '../utils/options';
+import { runSingleScenario } from '../utils/stress';
+
+describe('options utilities', () => {
+  const asOf = new Date('2026-06-18T21:00:00Z');
+  const put = {
+    ticker: 'AAPL 18DEC26 170 P', assetClass: 'OPT', underlying: 'AAPL', right: 'P', strike: 170,
+    expiry: '2026-12-18', multiplier: 100, quantity: 2, underlyingPrice: 175, volatility: 0.25, marketValue: 1800,
+  };
+
+  it('computes the normal CDF', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 3);
+    expect(normalCdf(-1.96)).toBeCloseTo(0.025, 3);
+  });
+
+  it('prices options with Black-Scholes', () => {
+    const call = blackScholes({ right: 'C', spot: 100, strike: 100, timeYears: 1, volatility: 0.2, rate: 0.05 });
+    expect(call.price).toBeCloseTo(10.45, 2);
+    expect(call.delta).toBeCloseTo(0.637, 3);
+    expect(call.gamma).toBeCloseTo(0.0188, 4);
+    expect(call.vega).toBeCloseTo(0.375, 3);
+    expect(call.theta).toBeCloseTo(-6.414 / 365, 4);
+
+    const putPrice = blackScholes({ right: 'P', spot: 100, strike: 100, timeYears: 1, volatility: 0.2, rate: 0.05 }).price;
+    // Put-call parity: C - P = S - K e^{-rT}
+    expect(call.price - putPrice).toBeCloseTo(100 - 100 * Math.exp(-0.05), 4);
+    expect(blackScholes({ right: 'P', spot: 90, strike: 100, timeYears: 0 }).price).toBe(10);
+  });
+
+  it('backs out implied volatility', () => {
+    const params = { right: 'C', spot: 100, strike: 100, timeYears: 1, rate: 0.05 };
+    expect(impliedVolatility(10.45, params)).toBeCloseTo(0.2, 3);
+    expect(impliedVolatility(200, params)).toBeNull();
+  });
+
+  it('values option holdings per position', () => {
+    expect(yearsToExpiry('2026-12-18', asOf)).toBeCloseTo(183 / 365, 6);
+    const value = valueOptionHolding(put, { asOf, rate: 0.04 });
+    const perShare = blackScholes({ right: 'P', spot: 175, strike: 170, timeYears: yearsToExpiry('2026-12-18', asOf), volatility: 0.25, rate: 0.04 });
+    expect(value.marketValue).toBeCloseTo(perShare.price * 200);
+    expect(value.delta).toBeCloseTo(perShare.delta * 200);
+    expect(valueOptionHolding({ ticker: 'AAPL', marketValue: 17500 })).toBeNull();
+  });
+
+  it('reprices options nonlinearly under a shock', () => {
+    const down = shockHolding(put, -0.2, { asOf });
+    const up = shockHolding(put, 0.2, { asOf });
+    expect(down.underlyingPrice).toBeCloseTo(140);
+    expect(down.marketValue - put.marketValue).toBeGreaterThan(put.marketValue - up.marketValue);
+    expect(shockHolding({ ticker: 'AAPL', marketValue: 17500 }, -0.2).marketValue).toBeCloseTo(14000);
+  });
+
+  it('aggregates portfolio Greeks', () => {
+    const holdings = [{ ticker: 'AAPL', quantity: 100, marketValue: 17500 }, put];
+    const greeks = calculatePortfolioGreeks(holdings, { asOf });
+    const putValue = valueOptionHolding(put, { asOf });
+    expect(greeks.byUnderlying.AAPL.delta).toBeCloseTo(100 + putValue.delta);
+    expect(greeks.gamma).toBeCloseTo(putValue.gamma);
+    expect(greeks.theta).toBeLessThan(0);
+    expect(calculatePortfolioGreeks([{ ...put, underlyingPrice: undefined }]).unpriced).toEqual([put.ticker]);
+  });
+
+  it('runSingleScenario hedges a stock drop with a long put', () => {
+    const portfolio = { cash: 0, marginUsed: 0, holdings: [{ ticker: 'AAPL', quantity: 200, marketValue: 35000 }, put] };
+    const stressed = runSingleScenario(portfolio, 0.3, null, { asOf });
+    const unhedged = runSingleScenario({ ...portfolio, holdings: [portfolio.holdings[0]] }, 0.3);
+    expect(parseFloat(stressed.marketValue) - parseFloat(unhedged.marketValue)).toBeGreaterThan(put.marketValue);
+  });
+});
@@ -0,0 +1,112 @@
+import { shockHolding } from './options';
+
+/**
+ * Portfolio margin rules in the style of the OCC's TIMS methodology: every position is
+ * revalued across a grid of underlying price moves, positions on the same underlying
+ * offset each other, and the worst-case loss is the maintenance requirement.
+ */
+export const DEFAULT_PORTFOLIO_MARGIN_RULES = {
+  mode: 'portfolio',
+  priceRange: 0.15,
+  steps: 10,
+  // Positions above the threshold share of gross market value are stressed across the wider range.
+  concentration: { threshold: 0.3, priceRange: 0.3 },
+  // Initial margin as a multiple of the maintenance requirement.
+  initialMultiplier: 1,
+  // Option valuation inputs (asOf, rate) used when repricing option legs.
+  pricing: {},
+};
+
+/**
+ * Builds the grid of price moves, e.g. -15%, -12%, ... +15% for a range of 0.15 and 10 steps.
+ *
+ * @param {number} priceRange - The largest move in either direction.
+ * @param {number} steps - The number of intervals across the full range.
+ * @returns {Array<number>} The price moves as fractions.
+ */
+export function buildPriceGrid(priceRange, steps) {
+  const grid = [];
+  for (let i = 0; i <= steps; i++) {
+    grid.push(-priceRange + (2 * priceRange * i) / steps);
+  }
+  return grid;
+}
+
+/**
+ * Revalues a holding after its underlying moves by the given fraction; options are
+ * repriced with Black-Scholes.
+ *
+ * @param {object} holding - The holding.
+ * @param {number} move - The underlying price move, e.g. -0.15.
+ * @param {object} [pricing] - Option valuation inputs, as for shockHolding.
+ * @returns {number} The holding's profit or loss under the move.
+ */
+export function revalueHolding(holding, move, pricing = {}) {
+  return shockHolding(holding, move, pricing).marketValue - (holding.marketValue || 0);
+}
+
+/**
+ * Computes the portfolio margin requirement for a set of holdings.
+ *
+ * @param {Array<object>} holdings - The portfolio holdings.
+ * @param {object} [rules=DEFAULT_PORTFOLIO_MARGIN_RULES] - The portfolio margin parameters.
+ * @returns {object} The per-position breakdown and the total initial and maintenance margin,
+ *   in the same shape as computeMarginRequirements.
+ */
+export function computePortfolioMargin(holdings, rules = DEFAULT_PORTFOLIO_MARGIN_RULES) {
+  if (!holdings) return { positions: [], totalInitial: 0, totalMaintenance: 0 };
+  const { priceRange, steps, concentration, initialMultiplier = 1, pricing } = { ...DEFAULT_PORTFOLIO_MARGIN_RULES, ...rules };
+  const grossMarketValue = holdings.reduce((acc, h) => acc + Math.abs(h.marketValue || 0), 0);
+
+  // Group positions by underlying so hedges offset; the widest band in a group applies to all of it.
+  const groups = {};
+  holdings.forEach((h, index) => {
+    const underlying = h.underlying || h.ticker;
+    const share = grossMarketValue > 0 ? Math.abs(h.marketValue || 0) / grossMarketValue : 0;
+    const concentrated = concentration && share > concentration.threshold;
+    const group = groups[underlying] || (groups[underlying] = { indexes: [], priceRange, concentrated: false });
+    group.indexes.push(index);
+    if (concentrated) {
+      group.priceRange = Math.max(group.priceRange, concentration.priceRange);
+      group.concentrated = true;
+    }
+  });
+
+  const positions = holdings.map(h => ({
+    ticker: h.ticker,
+    marketValue: h.marketValue || 0,
+    initialRate: 0,
+    maintenanceRate: 0,
+    initialMargin: 0,
+    maintenanceMargin: 0,
+    rules: [],
+  }));
+
+  Object.values(groups).forEach(group => {
+    const grid = buildPriceGrid(group.priceRange, steps);
+    const groupLoss = Math.max(0, ...grid.map(move => -group.indexes.reduce((acc, i) => acc + revalueHolding(holdings[i], move, pricing), 0)));
+    const standaloneLosses = group.indexes.map(i => Math.max(0, ...grid.map(move => -revalueHolding(holdings[i], move, pricing))));
+    const totalStandalone = standaloneLosses.reduce((acc, loss) => acc + loss, 0);
+    const label = `TIMS ±${(group.priceRange * 100).toFixed(0)}%${group.concentrated ? ' (concentrated)' : ''}`;
+
+    // Share the group's requirement out in proportion to each position's own worst-case loss.
+    group.indexes.forEach((i, k) => {
+      const maintenance = totalStandalone > 0 ? groupLoss * (standaloneLosses[k] / totalStandalone) : 0;
+      const exposure = Math.abs(holdings[i].marketValue || 0);
+      positions[i] = {
+        ...positions[i],
+        maintenanceMargin: maintenance,
+        initialMargin: maintenance * initialMultiplier,
+        maintenanceRate: exposure > 0 ? maintenance / exposure : 0,
+        initialRate: exposure > 0 ? (maintenance * initialMultiplier) / exposure : 0,
+        rules: [label],
+      };
+    });
+  });
+
+  return {
+    positions,
+    totalInitial: positions.reduce((acc, p) => acc + p.initialMargin, 0),
+    totalMaintenance: positions.reduce((acc, p) => acc + p.maintenanceMargin, 0),
+  };
+}
@@ -0,0 +1,56 @@
+import { DEFAULT_PORTFOLIO_MARGIN_RULES, buildPriceGrid, computePortfolioMargin } from '../utils/portfolio-margin';
+import { calculateAllMetrics } from '../utils/metrics';
+import { getMarginCallThreshold } from '../utils/stress';
+
+describe('portfolio margin', () => {
+  const portfolio = {
+    cash: 15000,
+    marginUsed: 55000,
+    holdings: [
+      { ticker: 'AAPL', marketValue: 17500 },
+      { ticker: 'MSFT', marketValue: 20000 },
+      { ticker: 'JPM', marketValue: 22500 },
+      { ticker: 'XOM', marketValue: 24000 },
+    ],
+  };
+
+  it('builds a symmetric grid of price moves', () => {
+    const grid = buildPriceGrid(0.15, 10);
+    expect(grid).toHaveLength(11);
+    expect(grid[0]).toBeCloseTo(-0.15);
+    expect(grid[5]).toBeCloseTo(0);
+    expect(grid[10]).toBeCloseTo(0.15);
+  });
+
+  it('takes the worst-case loss across the grid as the requirement', () => {
+    const result = computePortfolioMargin(portfolio.holdings);
+    expect(result.totalMaintenance).toBeCloseTo(12600);
+    expect(result.positions[0].maintenanceRate).toBeCloseTo(0.15);
+    expect(result.positions[0].rules).toEqual(['TIMS ±15%']);
+    expect(computePortfolioMargin(null).totalMaintenance).toBe(0);
+  });
+
+  it('stresses concentrated positions across a wider band', () => {
+    const result = computePortfolioMargin([{ ticker: 'NVDA', marketValue: 60000 }, { ticker: 'KO', marketValue: 40000 }]);
+    expect(result.positions[0].maintenanceMargin).toBeCloseTo(18000);
+    expect(result.positions[0].rules).toEqual(['TIMS ±30% (concentrated)']);
+  });
+
+  it('offsets long and short positions on the same underlying', () => {
+    const hedged = [
+      { ticker: 'SPY', marketValue: 50000 },
+      { ticker: 'SPY-SHORT', underlying: 'SPY', marketValue: -30000 },
+    ];
+    const result = computePortfolioMargin(hedged, { ...DEFAULT_PORTFOLIO_MARGIN_RULES, concentration: null });
+    expect(result.totalMaintenance).toBeCloseTo(3000);
+  });
+
+  it('drives calculateAllMetrics and the margin call threshold', () => {
+    const metrics = calculateAllMetrics(portfolio, 0.5, 0.25, DEFAULT_PORTFOLIO_MARGIN_RULES);
+    expect(metrics.maintenanceMargin).toBe("12600.00");
+    expect(metrics.excessLiquidity).toBe("31400.00");
+    expect(metrics.buyingPower).toBe("209333.33");
+    // Net debit 55000 - 15000 = 40000 at the blended 15% rate: 84000 may fall to 40000 / 0.85
+    expect(parseFloat(getMarginCallThreshold(portfolio, 0.25, DEFAULT_PORTFOLIO_MARGIN_RULES).dropPercentage)).toBeCloseTo(43.98);
+  });
+});
@@ -0,0 +1,191 @@
+import Papa from 'papaparse';
+import { DEFAULT_VOLATILITY, isOptionHolding, valueOptionHolding } from './options';
+
+const isOption = holding => Boolean(holding.right);
+const contractSize = holding => (isOption(holding) ? holding.multiplier || 100 : 1);
+
+function readQuote(value, asOf) {
+  if (typeof value === 'number') return value > 0 ? { price: value, asOf } : null;
+  if (!value || typeof value !== 'object') return null;
+  const price = typeof value.price === 'number' ? value.price : parseFloat(value.last);
+  return price > 0 ? { price, asOf: value.asOf || value.time || asOf } : null;
+}
+
+/**
+ * Parses a quote file. Accepts JSON, either a map of ticker to price or to { price, asOf }, the
+ * same map under `quotes` with a file-wide `asOf`, or an array of { ticker, price, asOf }; or a
+ * CSV with `ticker` and `price` columns and an optional `asOf` column.
+ *
+ * @param {string} text - The file contents.
+ * @param {object} [options] - Parse options.
+ * @param {string} [options.asOf=null] - ISO timestamp for quotes that carry none, e.g. the file's modification time.
+ * @returns {object} { quotes, skipped } where quotes maps ticker to { price, asOf }, or { error }.
+ */
+export function parseQuotes(text, { asOf = null } = {}) {
+  const trimmed = (text || '').replace(/^﻿/, '').trim();
+  let entries;
+  let fileAsOf = asOf;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      return { error: `Quote file is not valid JSON: ${error.message}` };
+    }
+    if (Array.isArray(parsed)) {
+      entries = parsed.map(q => [q && (q.ticker || q.symbol), q]);
+    } else {
+      if (parsed.quotes && typeof parsed.quotes === 'object') {
+        fileAsOf = parsed.asOf || asOf;
+        parsed = parsed.quotes;
+      }
+      entries = Array.isArray(parsed) ? parsed.map(q => [q && (q.ticker || q.symbol), q]) : Object.entries(parsed);
+    }
+  } else {
+    const { data, meta } = Papa.parse(trimmed, { header: true, skipEmptyLines: true });
+    const fields = (meta.fields || []).map(f => f.trim());
+    if (!fields.some(f => f === 'ticker' || f === 'symbol') || !fields.some(f => f === 'price' || f === 'last')) {
+      return { error: "Quote CSV must have 'ticker' and 'price' columns." };
+    }
+    entries = data.map(row => [row.ticker || row.symbol, { price: parseFloat(row.price ?? row.last), asOf: row.asOf || row.time || undefined }]);
+  }
+
+  const quotes = {};
+  const skipped = [];
+  entries.forEach(([ticker, value]) => {
+    const quote = ticker ? readQuote(value, fileAsOf) : null;
+    if (quote) quotes[String(ticker).trim().toUpperCase()] = quote;
+    else skipped.push(String(ticker || ''));
+  });
+  if (Object.keys(quotes).length === 0) {
+    return { error: 'No usable quotes were found in the file.' };
+  }
+  return { quotes, skipped };
+}
+
+/**
+ * A quote provider serving quotes already in memory, such as those from a quote file.
+ * Providers have a `name` and a `fetchQuotes(tickers)` method returning a Promise of
+ * { quotes, skipped } or { error }; the Promise never rejects.
+ *
+ * @param {object} quotes - Map of ticker to { price, asOf }, as from parseQuotes.
+ * @param {string} [name='Quote file'] - Shown as the source of the quotes.
+ * @returns {object} The provider.
+ */
+export function createStaticQuoteProvider(quotes, name = 'Quote file') {
+  return {
+    name,
+    fetchQuotes(tickers) {
+      const wanted = tickers.map(t => t.toUpperCase()).filter(t => quotes[t]);
+      return Promise.resolve({ quotes: Object.fromEntries(wanted.map(t => [t, quotes[t]])), skipped: [] });
+    },
+  };
+}
+
+/**
+ * A quote provider for a local HTTP endpoint. Tickers are sent as a comma-separated `symbols`
+ * query parameter and the response is read like a quote file; quotes without a timestamp are
+ * stamped with the time of the request.
+ *
+ * @param {string} url - The endpoint, e.g. http://localhost:8080/quotes.
+ * @param {object} [options] - Provider options.
+ * @param {Function} [options.fetchImpl=window.fetch] - The fetch implementation.
+ * @returns {object} The provider.
+ */
+export function createHttpQuoteProvider(url, { fetchImpl = (...args) => window.fetch(...args) } = {}) {
+  return {
+    name: url,
+    fetchQuotes(tickers) {
+      const requestUrl = `${url}${url.includes('?') ? '&' : '?'}symbols=${encodeURIComponent(tickers.join(','))}`;
+      const asOf = new Date().toISOString();
+      return fetchImpl(requestUrl)
+        .then(response => {
+          if (!response.ok) return { error: `Quote endpoint returned HTTP ${response.status}.` };
+          return response.text().then(text => parseQuotes(text, { asOf }));
+        })
+        .catch(error => ({ error: `Could not reach the quote endpoint: ${error.message}` }));
+    },
+  };
+}
+
+/**
+ * The symbols to ask a quote provider for: every ticker, plus the underlying of each option leg.
+ *
+ * @param {Array<object>} holdings - Portfolio holdings.
+ * @returns {Array<string>} Unique symbols, in holding order.
+ */
+export function quoteSymbols(holdings) {
+  return [...new Set((holdings || []).flatMap(h => (isOptionHolding(h) && h.underlying ? [h.ticker, h.underlying] : [h.ticker])))];
+}
+
+// Reprices an option leg at a new underlying price. The volatility is the one its current mark
+// implies at the old underlying price, or its own or the default when that price is unknown.
+function revalueOptionLeg(holding, quote, pricing) {
+  const current = valueOptionHolding(holding, pricing);
+  const volatility = current ? current.volatility : (holding.volatility ?? DEFAULT_VOLATILITY);
+  const repriced = valueOptionHolding({ ...holding, underlyingPrice: quote.price, volatility }, pricing);
+  return {
+    ...holding,
+    underlyingPrice: quote.price,
+    marketValue: repriced.marketValue,
+    lastPrice: repriced.price,
+    quoteTime: quote.asOf || null,
+  };
+}
+
+/**
+ * Values holdings at their latest quotes: market value becomes quantity × price (× multiplier
+ * for option legs), and the price and quote time are kept on the holding as `lastPrice` and
+ * `quoteTime`. An option leg without a quote of its own is repriced with Black-Scholes from a
+ * quote for its underlying; one with its own quote takes the underlying's quote as its
+ * `underlyingPrice` when there is one. Holdings without a quote keep their market value.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} quotes - Map of ticker to { price, asOf }.
+ * @param {object} [pricing] - Valuation inputs for option legs, as for valueOptionHolding.
+ * @returns {object} { portfolio, missing } with the tickers that had no quote.
+ */
+export function applyQuotes(portfolio, quotes, pricing = {}) {
+  if (!portfolio || !portfolio.holdings) return { portfolio, missing: [] };
+  const missing = [];
+  const holdings = portfolio.holdings.map(h => {
+    const quote = quotes[String(h.ticker).toUpperCase()];
+    const underlyingQuote = isOptionHolding(h) && h.underlying ? quotes[String(h.underlying).toUpperCase()] : null;
+    if (!quote && underlyingQuote) return revalueOptionLeg(h, underlyingQuote, pricing);
+    if (!quote) {
+      missing.push(h.ticker);
+      return h;
+    }
+    return {
+      ...h,
+      marketValue: h.quantity * quote.price * contractSize(h),
+      lastPrice: quote.price,
+      quoteTime: quote.asOf || null,
+      ...(underlyingQuote && { underlyingPrice: underlyingQuote.price }),
+    };
+  });
+  return { portfolio: { ...portfolio, holdings }, missing };
+}
+
+/**
+ * Unrealized profit or loss of each position against its cost basis. Shorts carry a negative
+ * cost basis and market value, so a falling price shows as a gain.
+ *
+ * @param {Array<object>} holdings - Portfolio holdings.
+ * @returns {Array<object>} { ticker, marketValue, costBasis, unrealizedPnl, unrealizedPnlPercent, quoteTime }
+ *   per holding; the percentage is null without a cost basis.
+ */
+export function unrealizedPnl(holdings) {
+  return (holdings || []).map(h => {
+    const pnl = (h.marketValue || 0) - (h.costBasis || 0);
+    return {
+      ticker: h.ticker,
+      marketValue: h.marketValue || 0,
+      costBasis: h.costBasis || 0,
+      unrealizedPnl: pnl,
+      unrealizedPnlPercent: h.costBasis ? (pnl / Math.abs(h.costBasis)) * 100 : null,
+      quoteTime: h.quoteTime || null,
+    };
+  });
+}
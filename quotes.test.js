@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { parseQuotes, createStaticQuoteProvider, createHttpQuoteProvider, quoteSymbols, applyQuotes, unrealizedPnl } from '../utils/quotes';
+import { valueOptionHolding } from '../utils/options';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../mock', name), 'utf8');
+
+describe('quotes', () => {
+  const portfolio = {
+    cash: 0,
+    marginUsed: 0,
+    holdings: [
+      { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, sector: 'Technology' },
+      { ticker: 'TSLA', quantity: -10, marketValue: -2500, costBasis: -2600, annualDividend: 0, sector: 'Consumer', short: true },
+      { ticker: 'SPY 20261218 400P', underlying: 'SPY', right: 'P', strike: 400, expiry: '2026-12-18', multiplier: 100, quantity: 2, marketValue: 1000, costBasis: 1200, annualDividend: 0, sector: 'Index' },
+    ],
+  };
+
+  it('reads quote files as CSV or JSON', () => {
+    const csv = parseQuotes(readFixture('quotes-sample.csv'));
+    expect(csv.quotes.AAPL).toEqual({ price: 182.5, asOf: '2026-10-16T20:00:00Z' });
+    expect(Object.keys(csv.quotes)).toHaveLength(4);
+
+    expect(parseQuotes('{"aapl": 180, "MSFT": {"price": 400, "asOf": "2026-10-17"}, "BAD": -1}', { asOf: 'file' })).toEqual({
+      quotes: { AAPL: { price: 180, asOf: 'file' }, MSFT: { price: 400, asOf: '2026-10-17' } },
+      skipped: ['BAD'],
+    });
+    expect(parseQuotes('{"asOf": "2026-10-17T16:00:00Z", "quotes": [{"symbol": "XOM", "last": "117.3"}]}').quotes.XOM)
+      .toEqual({ price: 117.3, asOf: '2026-10-17T16:00:00Z' });
+    expect(parseQuotes('symbol,close\nAAPL,1').error).toMatch(/'ticker' and 'price'/);
+    expect(parseQuotes('{"AAPL": "n/a"}').error).toMatch(/No usable quotes/);
+    expect(parseQuotes('{').error).toMatch(/not valid JSON/);
+  });
+
+  it('values holdings at quantity × price and reports missing quotes', () => {
+    const { portfolio: quoted, missing } = applyQuotes(portfolio, {
+      AAPL: { price: 180, asOf: '2026-10-17T16:00:00Z' },
+      TSLA: { price: 240, asOf: null },
+      'SPY 20261218 400P': { price: 6.5, asOf: null },
+    });
+    expect(missing).toEqual([]);
+    expect(quoted.holdings.map(h => h.marketValue)).toEqual([18000, -2400, 1300]);
+    expect(quoted.holdings[0]).toMatchObject({ lastPrice: 180, quoteTime: '2026-10-17T16:00:00Z' });
+    expect(applyQuotes(portfolio, {}).missing).toEqual(['AAPL', 'TSLA', 'SPY 20261218 400P']);
+
+    const pnl = unrealizedPnl(quoted.holdings);
+    expect(pnl[0]).toMatchObject({ unrealizedPnl: 3000, unrealizedPnlPercent: 20, quoteTime: '2026-10-17T16:00:00Z' });
+    expect(pnl[1]).toMatchObject({ unrealizedPnl: 200, unrealizedPnlPercent: expect.closeTo(7.69, 2) });
+    expect(pnl[2].unrealizedPnl).toBe(100);
+  });
+
+  it('reprices option legs from a quote for their underlying', () => {
+    const asOf = new Date('2026-10-17T16:00:00Z');
+    const put = portfolio.holdings[2];
+    expect(quoteSymbols(portfolio.holdings)).toEqual(['AAPL', 'TSLA', 'SPY 20261218 400P', 'SPY']);
+
+    // Without a previous underlying price there is no mark to imply volatility from
+    const { portfolio: quoted, missing } = applyQuotes(portfolio, { SPY: { price: 380, asOf: '2026-10-17T16:00:00Z' } }, { asOf });
+    expect(missing).toEqual(['AAPL', 'TSLA']);
+    const leg = quoted.holdings[2];
+    expect(leg).toMatchObject({ underlyingPrice: 380, quoteTime: '2026-10-17T16:00:00Z' });
+    expect(leg.marketValue).toBeCloseTo(valueOptionHolding({ ...put, underlyingPrice: 380, volatility: 0.3 }, { asOf }).marketValue);
+    expect(leg.lastPrice * 200).toBeCloseTo(leg.marketValue);
+
+    // With one, the leg keeps the volatility its mark implied and the put gains as SPY falls
+    const marked = { ...portfolio, holdings: [{ ...put, underlyingPrice: 420 }] };
+    const { volatility } = valueOptionHolding(marked.holdings[0], { asOf });
+    const [repriced] = applyQuotes(marked, { SPY: { price: 400, asOf: null } }, { asOf }).portfolio.holdings;
+    expect(repriced.marketValue).toBeGreaterThan(1000);
+    expect(valueOptionHolding(repriced, { asOf }).volatility).toBeCloseTo(volatility); // so the next refresh prices at it too
+    expect(repriced.marketValue).toBeCloseTo(valueOptionHolding({ ...put, underlyingPrice: 400, volatility }, { asOf }).marketValue);
+
+    // A quote for the leg itself wins over the underlying, which still moves the spot it is valued against
+    const both = applyQuotes(marked, { SPY: { price: 380 }, 'SPY 20261218 400P': { price: 6.5 } }, { asOf }).portfolio.holdings[0];
+    expect(both).toMatchObject({ marketValue: 1300, lastPrice: 6.5, underlyingPrice: 380 });
+    expect(applyQuotes(marked, { 'SPY 20261218 400P': { price: 6.5 } }, { asOf }).portfolio.holdings[0].underlyingPrice).toBe(420);
+  });
+
+  it('serves quotes from a file or a local endpoint', async () => {
+    const file = createStaticQuoteProvider({ AAPL: { price: 180, asOf: null } });
+    expect(await file.fetchQuotes(['aapl', 'MSFT'])).toEqual({ quotes: { AAPL: { price: 180, asOf: null } }, skipped: [] });
+
+    const fetchImpl = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve('{"AAPL": 181}') }));
+    const http = createHttpQuoteProvider('http://localhost:8080/quotes', { fetchImpl });
+    const result = await http.fetchQuotes(['AAPL', 'MSFT']);
+    expect(fetchImpl).toHaveBeenCalledWith('http://localhost:8080/quotes?symbols=AAPL%2CMSFT');
+    expect(result.quotes.AAPL.price).toBe(181);
+    expect(result.quotes.AAPL.asOf).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    const down = createHttpQuoteProvider('http://localhost:8080/quotes', { fetchImpl: () => Promise.reject(new Error('ECONNREFUSED')) });
+    expect(await down.fetchQuotes(['AAPL'])).toEqual({ error: 'Could not reach the quote endpoint: ECONNREFUSED' });
+    const failing = createHttpQuoteProvider('http://localhost:8080/quotes', { fetchImpl: () => Promise.resolve({ ok: false, status: 503 }) });
+    expect((await failing.fetchQuotes(['AAPL'])).error).toBe('Quote endpoint returned HTTP 503.');
+  });
+});
@@ -0,0 +1,281 @@
+import { calculateAllMetrics } from './metrics';
+import { calcYieldOnCost, projectDividends, dividendMarginCoverage } from './dividends';
+import { DEFAULT_INTEREST_SCHEDULE, annualInterest, blendedInterestRate } from './interest';
+import { runSingleScenario, calculateVaR, getMarginCallThreshold, analyzeCorrelation } from './stress';
+import { calculateRiskMetrics } from './risk';
+import { DEFAULT_SCENARIOS, runScenario } from './scenarios';
+import { analyzeStrategy, buildPayoffCurve } from './hedges';
+import { DEFAULT_BASE_CURRENCY, toBaseCurrency } from './fx';
+
+export const REPORT_VERSION = 1;
+
+/** Uniform market drops in the stress table, as on the dashboard. */
+export const REPORT_MARKET_DROPS = [0.1, 0.2, 0.3, 0.4, 0.5];
+
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// JSON with object keys sorted, so equal inputs always serialize the same way.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : stableStringify(v))).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hashes report inputs with 32-bit FNV-1a over their key-sorted JSON. Two reports with the same
+ * hash were built from the same portfolio and settings.
+ *
+ * @param {*} inputs - Any JSON-serializable value.
+ * @returns {string} The hash as 8 hex digits.
+ */
+export function hashReportInputs(inputs) {
+  const text = stableStringify(inputs);
+  let hash = FNV_OFFSET_BASIS;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Infinity has no JSON form; null stands for unlimited.
+const finiteOrNull = value => (isFinite(value) ? value : null);
+
+/**
+ * Builds a risk report from the same calculations the dashboard shows: metrics, dividend
+ * analysis, margin-call threshold, VaR, market-drop and scenario stress tests, sector
+ * concentration and, when hedge legs are given, the hedge payoff. With price history it also
+ * has historical, parametric and Monte Carlo VaR with component VaR, as from calculateRiskMetrics.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} [options] - Report options.
+ * @param {object} [options.marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @param {Array<object>} [options.scenarios=DEFAULT_SCENARIOS] - Scenarios for the stress table.
+ * @param {Array<object>} [options.hedgeLegs=[]] - Hedge strategy legs, as for analyzeStrategy.
+ * @param {Array<number>} [options.hedgeDaysRemaining=[]] - Days before expiry for pre-expiry payoff curves.
+ * @param {object} [options.interestSchedule=DEFAULT_INTEREST_SCHEDULE] - Interest benchmarks and tiers.
+ * @param {string} [options.loanCurrency='USD'] - The margin loan currency.
+ * @param {number} [options.dividendGrowth=0.05] - Annual dividend growth for the income projection.
+ * @param {number} [options.confidenceLevel=0.95] - VaR confidence level.
+ * @param {object|null} [options.priceHistory=null] - Daily closes from parsePriceHistoryCsv.
+ * @param {string} [options.generatedAt=new Date().toISOString()] - Report timestamp.
+ * @returns {object} The report, with riskMetrics null without price history; `inputHash` covers the portfolio and every option except the timestamp.
+ */
+export function buildRiskReport(portfolio, {
+  marginRules = null,
+  scenarios = DEFAULT_SCENARIOS,
+  hedgeLegs = [],
+  hedgeDaysRemaining = [],
+  interestSchedule = DEFAULT_INTEREST_SCHEDULE,
+  loanCurrency = 'USD',
+  dividendGrowth = 0.05,
+  confidenceLevel = 0.95,
+  priceHistory = null,
+  generatedAt = new Date().toISOString(),
+} = {}) {
+  const base = toBaseCurrency(portfolio);
+  const annualDividend = base.holdings.reduce((acc, h) => acc + (h.annualDividend || 0), 0);
+  const interestRate = blendedInterestRate(base.marginUsed, loanCurrency, interestSchedule);
+  const { marginBreakdown, ...metrics } = calculateAllMetrics(portfolio, 0.5, 0.25, marginRules);
+  const hedgeAnalysis = hedgeLegs.length > 0 ? analyzeStrategy(hedgeLegs) : null;
+
+  return {
+    version: REPORT_VERSION,
+    generatedAt,
+    inputHash: hashReportInputs({
+      portfolio, marginRules, scenarios, hedgeLegs, hedgeDaysRemaining, interestSchedule, loanCurrency, dividendGrowth, confidenceLevel,
+      priceHistory: priceHistory || undefined,
+    }),
+    baseCurrency: base.baseCurrency || DEFAULT_BASE_CURRENCY,
+    metrics,
+    positions: (marginBreakdown || []).map(p => ({ ticker: p.ticker, marketValue: p.marketValue, maintenanceMargin: p.maintenanceMargin, maintenanceRate: p.maintenanceRate })),
+    dividends: {
+      annualIncome: annualDividend,
+      yieldOnCost: calcYieldOnCost(base.holdings),
+      marginInterestRate: interestRate,
+      annualMarginInterest: annualInterest(base.marginUsed, loanCurrency, interestSchedule),
+      coverageRatio: finiteOrNull(dividendMarginCoverage(base.holdings, base.marginUsed, interestRate)),
+      projections: projectDividends(base.holdings, 5, dividendGrowth),
+    },
+    marginCall: getMarginCallThreshold(base, 0.25, marginRules),
+    valueAtRisk: calculateVaR(base, confidenceLevel, 1),
+    riskMetrics: priceHistory ? calculateRiskMetrics(base, priceHistory, { confidenceLevel }) : null,
+    stress: {
+      marketDrops: REPORT_MARKET_DROPS.map(drop => {
+        const result = runSingleScenario(base, drop, marginRules);
+        return { drop, netLiquidationValue: result.netLiquidationValue, excessLiquidity: result.excessLiquidity, marginHealth: result.marginHealth };
+      }),
+      scenarios: scenarios.map(scenario => {
+        const result = runScenario(portfolio, scenario, marginRules);
+        return {
+          id: result.id,
+          name: result.name,
+          nlvChange: result.nlvChange,
+          excessLiquidity: result.metrics.excessLiquidity,
+          marginHealth: result.metrics.marginHealth,
+          breachesMaintenance: result.breachesMaintenance,
+        };
+      }),
+    },
+    concentration: analyzeCorrelation(base.holdings),
+    hedge: hedgeAnalysis && {
+      legs: hedgeLegs,
+      maxProfit: finiteOrNull(hedgeAnalysis.maxProfit),
+      maxLoss: finiteOrNull(hedgeAnalysis.maxLoss),
+      breakevens: hedgeAnalysis.breakevens,
+      payoff: buildPayoffCurve(hedgeLegs, { daysRemaining: hedgeDaysRemaining, steps: 10 }),
+    },
+  };
+}
+
+/**
+ * Serializes a report as pretty-printed JSON.
+ *
+ * @param {object} report - The report from buildRiskReport.
+ * @returns {string} The JSON text.
+ */
+export function exportRiskReportJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+/**
+ * Formats an amount in a currency with two decimals; null, an unlimited amount, as 'Unlimited'.
+ *
+ * @param {number|string|null} value - The amount, as a number or a toFixed string.
+ * @param {string} [currency=DEFAULT_BASE_CURRENCY] - ISO currency code, e.g. the report's base currency.
+ * @returns {string} The formatted amount, e.g. $1234.50 or €1234.50.
+ */
+export function formatMoney(value, currency = DEFAULT_BASE_CURRENCY) {
+  if (value === null) return 'Unlimited';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, useGrouping: false }).format(parseFloat(value));
+}
+
+/**
+ * Formats a percentage with two decimals.
+ *
+ * @param {number|string} value - The percentage, e.g. 12.5 for 12.5%.
+ * @returns {string} The formatted percentage.
+ */
+export function formatPercent(value) {
+  return `${parseFloat(value).toFixed(2)}%`;
+}
+
+function table(headers, rows) {
+  const head = headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const REPORT_STYLES = `
+body { font-family: Helvetica, Arial, sans-serif; color: #111; margin: 2rem; font-size: 12px; }
+h1 { font-size: 20px; margin-bottom: 0; }
+h2 { font-size: 15px; border-bottom: 1px solid #999; margin-top: 1.5rem; page-break-after: avoid; }
+.meta { color: #555; margin-top: 0.25rem; }
+table { border-collapse: collapse; width: 100%; margin-top: 0.5rem; page-break-inside: avoid; }
+th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #eee; }
+@page { size: A4; margin: 15mm; }
+@media print { body { margin: 0; } }
+`;
+
+/**
+ * Renders a report as a self-contained HTML page styled for printing or saving as PDF.
+ *
+ * @param {object} report - The report from buildRiskReport.
+ * @param {string} [title='Margin Risk Report'] - The page title.
+ * @returns {string} The HTML document.
+ */
+export function renderRiskReportHtml(report, title = 'Margin Risk Report') {
+  const { metrics, dividends, marginCall, valueAtRisk, riskMetrics, stress, hedge } = report;
+  const money = value => formatMoney(value, report.baseCurrency);
+  const sections = [
+    `<h2>Account Metrics (${escapeHtml(report.baseCurrency)})</h2>`,
+    table(['Metric', 'Value'], [
+      ['Net liquidation value', money(metrics.netLiquidationValue)],
+      ['Market value', money(metrics.marketValue)],
+      ['Excess liquidity', money(metrics.excessLiquidity)],
+      ['Buying power', money(metrics.buyingPower)],
+      ['Leverage', `${metrics.leverage}x`],
+      ['Margin health', formatPercent(metrics.marginHealth)],
+      ['Maintenance / initial margin', `${money(metrics.maintenanceMargin)} / ${money(metrics.initialMargin)}`],
+    ]),
+    table(['Position', 'Market value', 'Maintenance margin', 'Rate'], report.positions.map(p => [
+      p.ticker, money(p.marketValue), money(p.maintenanceMargin), formatPercent(p.maintenanceRate * 100),
+    ])),
+    '<h2>Dividends</h2>',
+    table(['Measure', 'Value'], [
+      ['Annual dividend income', money(dividends.annualIncome)],
+      ['Yield on cost', formatPercent(dividends.yieldOnCost)],
+      ['Margin interest rate', formatPercent(dividends.marginInterestRate * 100)],
+      ['Annual margin interest', money(dividends.annualMarginInterest)],
+      ['Interest coverage', dividends.coverageRatio === null ? 'N/A' : `${dividends.coverageRatio.toFixed(2)}x`],
+    ]),
+    table(['Year', 'Projected income'], dividends.projections.map(p => [p.year, money(p.income)])),
+    '<h2>Margin Call and Value at Risk</h2>',
+    table(['Measure', 'Value'], [
+      ['Market drop to margin call', marginCall.dropPercentage === 'N/A' ? 'N/A (no margin loan)' : formatPercent(marginCall.dropPercentage)],
+      [`Value at Risk (${valueAtRisk.timeHorizon || '1 day(s)'}, ${valueAtRisk.confidenceLevel || ''})`, money(valueAtRisk.VaR)],
+      ['Concentration', report.concentration],
+    ]),
+    ...(riskMetrics ? [
+      '<h2>Value at Risk from Price History</h2>',
+      table(['Method', 'VaR', 'Expected shortfall'], [
+        ['Historical', riskMetrics.historical], ['Parametric', riskMetrics.parametric], ['Monte Carlo', riskMetrics.monteCarlo],
+      ].map(([label, estimate]) => [label, money(estimate.VaR), money(estimate.expectedShortfall)])),
+      table(['Ticker', 'Exposure', 'Marginal VaR', 'Component VaR', 'Share'], riskMetrics.components.map(c => [
+        c.ticker, money(c.exposure), formatPercent(c.marginalVaR * 100), money(c.componentVaR), formatPercent(c.contribution),
+      ])),
+      `<p>${riskMetrics.observations} daily returns.${riskMetrics.missingTickers.length > 0 ? ` No history for: ${escapeHtml(riskMetrics.missingTickers.join(', '))}.` : ''}</p>`,
+    ] : []),
+    '<h2>Stress Tests</h2>',
+    table(['Market drop', 'NLV', 'Excess liquidity', 'Margin health'], stress.marketDrops.map(d => [
+      `-${(d.drop * 100).toFixed(0)}%`, money(d.netLiquidationValue), money(d.excessLiquidity), formatPercent(d.marginHealth),
+    ])),
+    table(['Scenario', 'NLV change', 'Excess liquidity', 'Margin health', 'Maintenance'], stress.scenarios.map(s => [
+      s.name, money(s.nlvChange), money(s.excessLiquidity), formatPercent(s.marginHealth), s.breachesMaintenance ? 'BREACH' : 'OK',
+    ])),
+  ];
+
+  if (hedge) {
+    const curveKeys = Object.keys(hedge.payoff[0] || {}).filter(key => key !== 'price');
+    sections.push(
+      '<h2>Hedge Payoff</h2>',
+      table(['Leg', 'Quantity', 'Strike', 'Premium'], hedge.legs.map(leg => [
+        leg.type, leg.quantity, leg.type === 'stock' ? '-' : leg.strike, (leg.premium || 0).toFixed(2),
+      ])),
+      table(['Measure', 'Value'], [
+        ['Max profit', money(hedge.maxProfit)],
+        ['Max loss', money(hedge.maxLoss)],
+        ['Breakevens', hedge.breakevens.length > 0 ? hedge.breakevens.map(b => b.toFixed(2)).join(', ') : 'None'],
+      ]),
+      table(['Underlying price', ...curveKeys.map(key => (key === 'expiry' ? 'P&L at expiry' : `P&L ${key}`))], hedge.payoff.map(point => [
+        point.price.toFixed(2), ...curveKeys.map(key => point[key].toFixed(2)),
+      ])),
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(report.generatedAt)} · Input hash ${escapeHtml(report.inputHash)} · Report version ${report.version}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { hashReportInputs, buildRiskReport, exportRiskReportJson, renderRiskReportHtml, formatMoney } from '../utils/report';
+import { calculateAllMetrics } from '../utils/metrics';
+import { getMarginCallThreshold } from '../utils/stress';
+import { calculateRiskMetrics, parsePriceHistoryCsv } from '../utils/risk';
+
+const readText = (name) => fs.readFileSync(path.join(__dirname, '../../mock', name), 'utf8');
+const readFixture = (name) => JSON.parse(readText(name));
+
+describe('risk report', () => {
+  const portfolio = readFixture('account-snapshot.json');
+  const legs = [
+    { type: 'stock', quantity: 100, premium: 175 },
+    { type: 'put', quantity: 1, strike: 160, premium: 2 },
+  ];
+  const generatedAt = '2026-10-18T09:00:00.000Z';
+
+  it('hashes inputs regardless of key order', () => {
+    expect(hashReportInputs({ a: 1, b: [1, 2] })).toBe(hashReportInputs({ b: [1, 2], a: 1 }));
+    expect(hashReportInputs({ a: 1 })).not.toBe(hashReportInputs({ a: 2 }));
+    // FNV-1a of the JSON text '"a"'
+    expect(hashReportInputs('a')).toBe('61a1cfea');
+  });
+
+  it('uses the dashboard calculations', () => {
+    const report = buildRiskReport(portfolio, { generatedAt, hedgeLegs: legs });
+    const { marginBreakdown, ...metrics } = calculateAllMetrics(portfolio);
+    expect(report.metrics).toEqual(metrics);
+    expect(report.positions).toHaveLength(marginBreakdown.length);
+    expect(report.marginCall).toEqual(getMarginCallThreshold(portfolio));
+    expect(report.dividends.annualIncome).toBe(1602);
+    expect(report.stress.marketDrops).toHaveLength(5);
+    expect(report.stress.scenarios[0]).toMatchObject({ id: expect.any(String), breachesMaintenance: expect.any(Boolean) });
+    expect(report.concentration).toMatch(/concentration|diversified/);
+    expect(report.hedge).toMatchObject({ maxProfit: null, maxLoss: expect.closeTo(1700) });
+    expect(report.hedge.payoff).toHaveLength(11);
+    expect(buildRiskReport(portfolio, { generatedAt }).hedge).toBeNull();
+  });
+
+  it('stamps the time and a hash of the inputs', () => {
+    const first = buildRiskReport(portfolio, { generatedAt });
+    const later = buildRiskReport(portfolio, { generatedAt: '2026-10-25T09:00:00.000Z' });
+    expect(later.inputHash).toBe(first.inputHash);
+    expect(buildRiskReport({ ...portfolio, cash: 0 }, { generatedAt }).inputHash).not.toBe(first.inputHash);
+    expect(JSON.parse(exportRiskReportJson(first))).toMatchObject({ version: 1, generatedAt, inputHash: first.inputHash });
+  });
+
+  it('adds the price-history VaR methods when history is given', () => {
+    const priceHistory = parsePriceHistoryCsv(readText('price-history-sample.csv'));
+    const withHistory = buildRiskReport(portfolio, { generatedAt, priceHistory });
+    expect(withHistory.riskMetrics).toEqual(calculateRiskMetrics(portfolio, priceHistory, { confidenceLevel: 0.95 }));
+    expect(withHistory.riskMetrics.components).toHaveLength(4);
+    expect(withHistory.inputHash).not.toBe(buildRiskReport(portfolio, { generatedAt }).inputHash);
+    expect(buildRiskReport(portfolio, { generatedAt }).riskMetrics).toBeNull();
+
+    const view = renderRiskReportHtml(withHistory);
+    expect(view).toContain('Value at Risk from Price History');
+    expect(view).toContain(`<td>Historical</td><td>$${withHistory.riskMetrics.historical.VaR.toFixed(2)}</td>`);
+    expect(view).toMatch(/<td>XOM<\/td>/);
+    expect(renderRiskReportHtml(buildRiskReport(portfolio, { generatedAt }))).not.toContain('Price History');
+  });
+
+  it('renders a self-contained printable page', () => {
+    const report = buildRiskReport(portfolio, { generatedAt, hedgeLegs: legs });
+    const view = renderRiskReportHtml(report, 'Weekly <Risk>');
+    expect(view).toMatch(/^<!DOCTYPE html>/);
+    expect(view).toContain('<title>Weekly &lt;Risk&gt;</title>');
+    expect(view).toContain(`Generated ${generatedAt}`);
+    expect(view).toContain('@media print');
+    expect(view).toContain('<td>Net liquidation value</td><td>$44000.00</td>');
+    expect(view).toContain('Hedge Payoff');
+    expect(view).not.toMatch(/<(script|link|img)\b/);
+  });
+
+  it('formats amounts in the report currency', () => {
+    expect(formatMoney('-20')).toBe('-$20.00');
+    expect(formatMoney(null)).toBe('Unlimited');
+    const view = renderRiskReportHtml(buildRiskReport({ ...portfolio, baseCurrency: 'EUR' }, { generatedAt }));
+    expect(view).toContain('<td>Net liquidation value</td><td>€44000.00</td>');
+    expect(view).not.toMatch(/\$\d/);
+  });
+});
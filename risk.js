@@ -0,0 +1,256 @@
+import Papa from 'papaparse';
+import { calculatePortfolioGreeks } from './options';
+
+/**
+ * Seedable pseudo-random generator (mulberry32), so simulations can be reproduced.
+ *
+ * @param {number} seed - Any 32-bit integer.
+ * @returns {function(): number} A generator of uniform numbers in [0, 1).
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draws a standard normal variate with the Box-Muller transform.
+ *
+ * @param {function(): number} random - A uniform generator such as createRandom(seed).
+ * @returns {number} A draw from N(0, 1).
+ */
+export function randomNormal(random) {
+  const u1 = 1 - random();
+  const u2 = random();
+  return Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9).
+ *
+ * @param {number} p - A probability in (0, 1).
+ * @returns {number} z such that P(Z <= z) = p.
+ */
+export function normalInverse(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Parses a CSV of daily closes. Accepts a long layout (date,ticker,close) or a wide one
+ * (date followed by one column per ticker).
+ *
+ * @param {string} text - The CSV file contents.
+ * @returns {object} { dates, closes } where closes maps each ticker to a date-keyed object of prices,
+ *   or { error } when the file has no usable rows.
+ */
+export function parsePriceHistoryCsv(text) {
+  const { data, meta } = Papa.parse((text || '').trim(), { header: true, dynamicTyping: true, skipEmptyLines: true });
+  const fields = (meta.fields || []).map(f => f.trim());
+  if (data.length === 0 || !fields.includes('date')) {
+    return { error: "Price history must have a 'date' column and at least one row." };
+  }
+
+  const closes = {};
+  const addClose = (ticker, date, close) => {
+    if (!ticker || typeof close !== 'number' || !isFinite(close) || close <= 0) return;
+    (closes[ticker] = closes[ticker] || {})[date] = close;
+  };
+
+  const isLong = fields.includes('ticker') && fields.includes('close');
+  data.forEach(row => {
+    const date = String(row.date).trim();
+    if (isLong) {
+      addClose(String(row.ticker).trim(), date, row.close);
+    } else {
+      fields.filter(f => f !== 'date').forEach(ticker => addClose(ticker, date, row[ticker]));
+    }
+  });
+
+  const dates = [...new Set(Object.values(closes).flatMap(byDate => Object.keys(byDate)))].sort();
+  return { dates, closes };
+}
+
+/**
+ * Computes aligned daily simple returns for the given tickers, using only dates on which
+ * every ticker has a close.
+ *
+ * @param {object} history - Parsed price history from parsePriceHistoryCsv.
+ * @param {Array<string>} tickers - The tickers to include.
+ * @returns {object} { tickers, returns } where returns[i] is the series for tickers[i].
+ */
+export function computeReturns(history, tickers) {
+  const dates = history.dates.filter(date => tickers.every(t => history.closes[t] && history.closes[t][date] !== undefined));
+  const returns = tickers.map(t => {
+    const series = [];
+    for (let i = 1; i < dates.length; i++) {
+      series.push(history.closes[t][dates[i]] / history.closes[t][dates[i - 1]] - 1);
+    }
+    return series;
+  });
+  return { tickers, returns };
+}
+
+/**
+ * Sample covariance matrix of aligned return series.
+ *
+ * @param {Array<Array<number>>} returns - One return series per asset, all the same length.
+ * @returns {Array<Array<number>>} The covariance matrix.
+ */
+export function covarianceMatrix(returns) {
+  const n = returns.length === 0 ? 0 : returns[0].length;
+  const means = returns.map(series => series.reduce((acc, r) => acc + r, 0) / n);
+  return returns.map((a, i) => returns.map((b, j) => {
+    let sum = 0;
+    for (let t = 0; t < n; t++) sum += (a[t] - means[i]) * (b[t] - means[j]);
+    return n > 1 ? sum / (n - 1) : 0;
+  }));
+}
+
+/**
+ * Cholesky decomposition of a symmetric positive semi-definite matrix. Zero or slightly
+ * negative pivots (from perfectly correlated assets) are clamped so the factor stays usable.
+ *
+ * @param {Array<Array<number>>} matrix - The covariance matrix.
+ * @returns {Array<Array<number>>} Lower-triangular L with L * L^T = matrix.
+ */
+export function choleskyDecomposition(matrix) {
+  const size = matrix.length;
+  const lower = matrix.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        lower[i][j] = Math.sqrt(Math.max(sum, 0));
+      } else {
+        lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+      }
+    }
+  }
+  return lower;
+}
+
+function quantileLoss(losses, confidenceLevel) {
+  const sorted = [...losses].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.floor(sorted.length * confidenceLevel));
+  const valueAtRisk = sorted[index];
+  const tail = sorted.slice(index);
+  return {
+    VaR: Math.max(0, valueAtRisk),
+    expectedShortfall: Math.max(0, tail.reduce((acc, l) => acc + l, 0) / tail.length),
+  };
+}
+
+/**
+ * Dollar exposure per underlying: market value for stock, delta-equivalent for options.
+ *
+ * @param {Array<object>} holdings - The portfolio holdings.
+ * @returns {object} Map of ticker to dollar exposure.
+ */
+export function exposuresByTicker(holdings) {
+  const { byUnderlying } = calculatePortfolioGreeks(holdings);
+  return Object.entries(byUnderlying).reduce((acc, [ticker, greeks]) => ({ ...acc, [ticker]: greeks.dollarDelta * 100 }), {});
+}
+
+/**
+ * Runs historical-simulation, parametric and Monte Carlo VaR with Expected Shortfall, plus
+ * parametric marginal and component VaR per position. Multi-day horizons scale one-day
+ * results by the square root of time.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} history - Parsed price history from parsePriceHistoryCsv.
+ * @param {object} [options] - Risk options.
+ * @param {number} [options.confidenceLevel=0.95] - The confidence level.
+ * @param {number} [options.timeHorizonDays=1] - The time horizon in days.
+ * @param {number} [options.simulations=10000] - Monte Carlo paths.
+ * @param {number} [options.seed=42] - Monte Carlo seed.
+ * @returns {object} historical, parametric and monteCarlo { VaR, expectedShortfall }, components,
+ *   the tickers without history, and the number of return observations.
+ */
+export function calculateRiskMetrics(portfolio, history, { confidenceLevel = 0.95, timeHorizonDays = 1, simulations = 10000, seed = 42 } = {}) {
+  const empty = { VaR: 0, expectedShortfall: 0 };
+  const result = { historical: empty, parametric: empty, monteCarlo: empty, components: [], missingTickers: [], observations: 0 };
+  if (!portfolio || !portfolio.holdings || !history || !history.closes) return result;
+
+  const exposures = exposuresByTicker(portfolio.holdings);
+  const tickers = Object.keys(exposures).filter(t => exposures[t] !== 0);
+  const covered = tickers.filter(t => history.closes[t]);
+  result.missingTickers = tickers.filter(t => !history.closes[t]);
+
+  const { returns } = computeReturns(history, covered);
+  const observations = returns.length > 0 ? returns[0].length : 0;
+  result.observations = observations;
+  if (covered.length === 0 || observations < 2) return result;
+
+  const weights = covered.map(t => exposures[t]);
+  const horizonScale = Math.sqrt(timeHorizonDays);
+
+  // Historical simulation: replay each day's returns against today's exposures.
+  const historicalLosses = [];
+  for (let t = 0; t < observations; t++) {
+    historicalLosses.push(-weights.reduce((acc, w, i) => acc + w * returns[i][t], 0) * horizonScale);
+  }
+  result.historical = quantileLoss(historicalLosses, confidenceLevel);
+
+  // Parametric (variance-covariance) with zero mean.
+  const covariance = covarianceMatrix(returns);
+  const covTimesWeights = covariance.map(row => row.reduce((acc, c, j) => acc + c * weights[j], 0));
+  const portfolioSigma = Math.sqrt(Math.max(0, weights.reduce((acc, w, i) => acc + w * covTimesWeights[i], 0))) * horizonScale;
+  const z = normalInverse(confidenceLevel);
+  const densityAtZ = Math.exp(-(z * z) / 2) / Math.sqrt(2 * Math.PI);
+  result.parametric = {
+    VaR: z * portfolioSigma,
+    expectedShortfall: (portfolioSigma * densityAtZ) / (1 - confidenceLevel),
+  };
+
+  result.components = covered.map((ticker, i) => {
+    const marginalVaR = portfolioSigma > 0 ? (z * covTimesWeights[i] * timeHorizonDays) / portfolioSigma : 0;
+    const componentVaR = weights[i] * marginalVaR;
+    return {
+      ticker,
+      exposure: weights[i],
+      marginalVaR,
+      componentVaR,
+      contribution: result.parametric.VaR > 0 ? (componentVaR / result.parametric.VaR) * 100 : 0,
+    };
+  });
+
+  // Monte Carlo with Cholesky-correlated normal draws.
+  const lower = choleskyDecomposition(covariance);
+  const random = createRandom(seed);
+  const monteCarloLosses = [];
+  for (let s = 0; s < simulations; s++) {
+    const draws = covered.map(() => randomNormal(random));
+    let pnl = 0;
+    for (let i = 0; i < covered.length; i++) {
+      let shock = 0;
+      for (let k = 0; k <= i; k++) shock += lower[i][k] * draws[k];
+      pnl += weights[i] * shock;
+    }
+    monteCarloLosses.push(-pnl * horizonScale);
+  }
+  result.monteCarlo = quantileLoss(monteCarloLosses, confidenceLevel);
+
+  return result;
+}
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  createRandom, normalInverse, parsePriceHistoryCsv, computeReturns, covarianceMatrix,
+  choleskyDecomposition, calculateRiskMetrics,
+} from '../utils/risk';
+import { calculateVaR } from '../utils/stress';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../mock', name), 'utf8');
+
+describe('risk utilities', () => {
+  const history = parsePriceHistoryCsv([
+    'date,ticker,close',
+    '2026-10-01,AAA,100', '2026-10-02,AAA,102', '2026-10-05,AAA,99.96', '2026-10-06,AAA,101.9592', '2026-10-07,AAA,96.861240',
+    '2026-10-01,BBB,50', '2026-10-02,BBB,50.5', '2026-10-05,BBB,50', '2026-10-06,BBB,51', '2026-10-07,BBB,49.47',
+  ].join('\n'));
+
+  it('generates reproducible random numbers from a seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const draws = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(draws);
+    draws.forEach(d => expect(d).toBeGreaterThanOrEqual(0));
+    draws.forEach(d => expect(d).toBeLessThan(1));
+    expect(createRandom(8)()).not.toBe(draws[0]);
+  });
+
+  it('inverts the normal CDF', () => {
+    expect(normalInverse(0.5)).toBeCloseTo(0, 8);
+    expect(normalInverse(0.95)).toBeCloseTo(1.644854, 5);
+    expect(normalInverse(0.01)).toBeCloseTo(-2.326348, 5);
+  });
+
+  it('parses long and wide price history files', () => {
+    expect(history.dates).toHaveLength(5);
+    expect(history.closes.BBB['2026-10-06']).toBe(51);
+
+    const wide = parsePriceHistoryCsv(readFixture('price-history-sample.csv'));
+    expect(Object.keys(wide.closes)).toEqual(['AAPL', 'MSFT', 'JPM', 'XOM']);
+    expect(wide.dates).toHaveLength(75);
+    expect(parsePriceHistoryCsv('ticker,close\nAAPL,1').error).toBeDefined();
+  });
+
+  it('aligns returns and builds a covariance matrix with its Cholesky factor', () => {
+    const { returns } = computeReturns(history, ['AAA', 'BBB']);
+    expect(returns[0].map(r => parseFloat(r.toFixed(4)))).toEqual([0.02, -0.02, 0.02, -0.05]);
+
+    const covariance = covarianceMatrix([[0.01, -0.01, 0.02, 0], [0.02, -0.02, 0.04, 0]]);
+    expect(covariance[0][1]).toBeCloseTo(2 * covariance[0][0], 12);
+    const lower = choleskyDecomposition([[4, 2], [2, 3]]);
+    expect(lower).toEqual([[2, 0], [1, Math.sqrt(2)]]);
+  });
+
+  it('computes historical, parametric and Monte Carlo VaR with Expected Shortfall', () => {
+    const portfolio = { cash: 0, marginUsed: 0, holdings: [{ ticker: 'AAA', quantity: 100, marketValue: 10000 }] };
+    const risk = calculateRiskMetrics(portfolio, history, { confidenceLevel: 0.75, simulations: 20000 });
+    expect(risk.observations).toBe(4);
+    expect(risk.historical.VaR).toBeCloseTo(500, 4);
+    expect(risk.historical.expectedShortfall).toBeCloseTo(500, 4);
+
+    const sigma = Math.sqrt(covarianceMatrix(computeReturns(history, ['AAA']).returns)[0][0]);
+    expect(risk.parametric.VaR).toBeCloseTo(normalInverse(0.75) * sigma * 10000, 6);
+    expect(risk.monteCarlo.VaR / risk.parametric.VaR).toBeCloseTo(1, 1);
+    expect(risk.monteCarlo.expectedShortfall).toBeGreaterThan(risk.monteCarlo.VaR);
+  });
+
+  it('splits parametric VaR into component VaR per position', () => {
+    const portfolio = {
+      cash: 0, marginUsed: 0,
+      holdings: [{ ticker: 'AAA', quantity: 100, marketValue: 10000 }, { ticker: 'BBB', quantity: 100, marketValue: 5000 }, { ticker: 'ZZZ', quantity: 1, marketValue: 100 }],
+    };
+    const risk = calculateRiskMetrics(portfolio, history, { timeHorizonDays: 5 });
+    const total = risk.components.reduce((acc, c) => acc + c.componentVaR, 0);
+    expect(total).toBeCloseTo(risk.parametric.VaR, 6);
+    expect(risk.components.reduce((acc, c) => acc + c.contribution, 0)).toBeCloseTo(100, 6);
+    expect(risk.missingTickers).toEqual(['ZZZ']);
+  });
+
+  it('reproduces Monte Carlo results for the same seed', () => {
+    const portfolio = { cash: 0, marginUsed: 0, holdings: [{ ticker: 'AAA', quantity: 100, marketValue: 10000 }, { ticker: 'BBB', quantity: 100, marketValue: 5000 }] };
+    const first = calculateRiskMetrics(portfolio, history, { seed: 1, simulations: 500 });
+    expect(calculateRiskMetrics(portfolio, history, { seed: 1, simulations: 500 }).monteCarlo).toEqual(first.monteCarlo);
+    expect(calculateRiskMetrics(portfolio, history, { seed: 2, simulations: 500 }).monteCarlo).not.toEqual(first.monteCarlo);
+    expect(calculateRiskMetrics(null, history).parametric.VaR).toBe(0);
+  });
+
+  it('makes the simple calculateVaR deterministic', () => {
+    const portfolio = { holdings: [{ marketValue: 80000 }] };
+    expect(calculateVaR(portfolio, 0.95, 1)).toEqual(calculateVaR(portfolio, 0.95, 1));
+    expect(calculateVaR(portfolio, 0.95, 1, 0.02, 1000, 1)).not.toEqual(calculateVaR(portfolio, 0.95, 1, 0.02, 1000, 2));
+  });
+});
@@ -0,0 +1,210 @@
+import { calculateAllMetrics } from './metrics';
+import { shockHolding } from './options';
+
+export const SCENARIO_LIBRARY_VERSION = 1;
+
+/**
+ * @typedef {object} Scenario
+ * @property {string} id - Stable identifier.
+ * @property {string} name - Display name.
+ * @property {string} description - What the scenario represents.
+ * @property {number} marketShock - Price move for holdings without a sector or ticker shock.
+ * @property {Object<string, number>} sectorShocks - Price moves by sector.
+ * @property {Object<string, number>} tickerShocks - Price moves by ticker (or option underlying).
+ * @property {number} cashChange - Fractional change in cash.
+ * @property {number} marginUsedChange - Fractional change in the margin loan.
+ */
+
+/**
+ * Built-in scenarios. Shocks are fractional price moves; a ticker shock wins over a sector
+ * shock, which wins over the market shock. Cash and margin changes are fractional too.
+ *
+ * @type {Array<Scenario>}
+ */
+export const DEFAULT_SCENARIOS = [
+  {
+    id: '2008-replay',
+    name: '2008 replay',
+    description: 'Peak-to-trough of the global financial crisis, led by banks and real estate.',
+    marketShock: -0.45,
+    sectorShocks: { Financials: -0.7, 'Real Estate': -0.65, Energy: -0.5, Technology: -0.45, 'Consumer Staples': -0.25, Utilities: -0.3 },
+    tickerShocks: {},
+    cashChange: 0,
+    marginUsedChange: 0,
+  },
+  {
+    id: '2020-covid-crash',
+    name: '2020 COVID crash',
+    description: 'February to March 2020 drawdown, hardest on energy and travel.',
+    marketShock: -0.34,
+    sectorShocks: { Energy: -0.55, Financials: -0.4, Technology: -0.28, 'Health Care': -0.25, 'Consumer Staples': -0.2 },
+    tickerShocks: {},
+    cashChange: 0,
+    marginUsedChange: 0,
+  },
+  {
+    id: 'rates-up-200bp',
+    name: 'Rates +200bp hits Financials',
+    description: 'A fast 200bp rise in rates: banks, REITs and utilities reprice and long-duration tech derates.',
+    marketShock: -0.08,
+    sectorShocks: { Financials: -0.25, 'Real Estate': -0.2, Utilities: -0.15, Technology: -0.12 },
+    tickerShocks: {},
+    cashChange: 0,
+    marginUsedChange: 0,
+  },
+  {
+    id: 'energy-down-40',
+    name: 'Energy -40%',
+    description: 'An oil price collapse confined to the energy sector.',
+    marketShock: 0,
+    sectorShocks: { Energy: -0.4 },
+    tickerShocks: {},
+    cashChange: 0,
+    marginUsedChange: 0,
+  },
+];
+
+/**
+ * The price move a scenario applies to a holding. Option legs take the shock of their underlying.
+ *
+ * @param {object} scenario - The scenario.
+ * @param {object} holding - The holding.
+ * @returns {number} The fractional price move.
+ */
+export function scenarioShockFor(scenario, holding) {
+  const ticker = holding.underlying || holding.ticker;
+  const tickerShocks = scenario.tickerShocks || {};
+  const sectorShocks = scenario.sectorShocks || {};
+  if (typeof tickerShocks[ticker] === 'number') return tickerShocks[ticker];
+  if (typeof sectorShocks[holding.sector] === 'number') return sectorShocks[holding.sector];
+  return scenario.marketShock || 0;
+}
+
+/**
+ * Applies a scenario to a portfolio.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} scenario - The scenario.
+ * @param {object} [pricing] - Option valuation inputs, as for shockHolding.
+ * @returns {object} The stressed portfolio.
+ */
+export function applyScenario(portfolio, scenario, pricing = {}) {
+  const cashFactor = 1 + (scenario.cashChange || 0);
+  const loanFactor = 1 + (scenario.marginUsedChange || 0);
+  const stressed = {
+    ...portfolio,
+    cash: portfolio.cash * cashFactor,
+    marginUsed: portfolio.marginUsed * loanFactor,
+    holdings: portfolio.holdings.map(h => shockHolding(h, scenarioShockFor(scenario, h), pricing)),
+  };
+  if (portfolio.cashBalances) {
+    // Positive balances are cash, negative ones are margin loans in that currency.
+    stressed.cashBalances = Object.fromEntries(Object.entries(portfolio.cashBalances)
+      .map(([currency, balance]) => [currency, balance * (balance < 0 ? loanFactor : cashFactor)]));
+  }
+  return stressed;
+}
+
+/**
+ * Runs a scenario and reports the resulting account state.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {object} scenario - The scenario.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @param {object} [pricing] - Option valuation inputs, as for shockHolding.
+ * @returns {object} The scenario, its metrics, the change in NLV and whether maintenance is breached.
+ */
+export function runScenario(portfolio, scenario, marginRules = null, pricing = {}) {
+  if (!portfolio || !portfolio.holdings || !scenario) return null;
+  const before = calculateAllMetrics(portfolio, 0.5, 0.25, marginRules);
+  const metrics = calculateAllMetrics(applyScenario(portfolio, scenario, pricing), 0.5, 0.25, marginRules);
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    metrics,
+    nlvChange: parseFloat(metrics.netLiquidationValue) - parseFloat(before.netLiquidationValue),
+    breachesMaintenance: parseFloat(metrics.excessLiquidity) < 0,
+  };
+}
+
+function validateShockMap(value, label, errors, name) {
+  if (value === undefined) return {};
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${name}: ${label} must be an object of name to shock.`);
+    return {};
+  }
+  return Object.entries(value).reduce((acc, [key, shock]) => {
+    if (typeof shock !== 'number' || shock < -1) {
+      errors.push(`${name}: ${label} for ${key} must be a number no lower than -1.`);
+      return acc;
+    }
+    return { ...acc, [key]: shock };
+  }, {});
+}
+
+/**
+ * Serializes scenarios into the library JSON format.
+ *
+ * @param {Array<object>} scenarios - The scenarios.
+ * @returns {string} The library as pretty-printed JSON.
+ */
+export function exportScenarioLibrary(scenarios) {
+  return JSON.stringify({ version: SCENARIO_LIBRARY_VERSION, scenarios }, null, 2);
+}
+
+/**
+ * Parses and validates a scenario library. Invalid scenarios are dropped and reported;
+ * a bare array of scenarios is accepted as well as the exported { version, scenarios } form.
+ *
+ * @param {string} text - The library JSON.
+ * @returns {object} { scenarios, errors }.
+ */
+export function importScenarioLibrary(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { scenarios: [], errors: [`Scenario library is not valid JSON: ${error.message}`] };
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.scenarios;
+  if (!Array.isArray(list)) {
+    return { scenarios: [], errors: ["Scenario library must contain a 'scenarios' array."] };
+  }
+
+  const errors = [];
+  const scenarios = [];
+  list.forEach((raw, index) => {
+    const name = raw && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : null;
+    if (!name) {
+      errors.push(`Scenario ${index + 1} has no name.`);
+      return;
+    }
+    const scenarioErrors = [];
+    const numberOr = (value, label, min) => {
+      if (value === undefined) return 0;
+      if (typeof value !== 'number' || value < min) {
+        scenarioErrors.push(`${name}: ${label} must be a number no lower than ${min}.`);
+        return 0;
+      }
+      return value;
+    };
+    const scenario = {
+      id: typeof raw.id === 'string' && raw.id ? raw.id : name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name,
+      description: typeof raw.description === 'string' ? raw.description : '',
+      marketShock: numberOr(raw.marketShock, 'marketShock', -1),
+      sectorShocks: validateShockMap(raw.sectorShocks, 'sectorShocks', scenarioErrors, name),
+      tickerShocks: validateShockMap(raw.tickerShocks, 'tickerShocks', scenarioErrors, name),
+      cashChange: numberOr(raw.cashChange, 'cashChange', -1),
+      marginUsedChange: numberOr(raw.marginUsedChange, 'marginUsedChange', -1),
+    };
+    if (scenarioErrors.length > 0) {
+      errors.push(...scenarioErrors);
+      return;
+    }
+    scenarios.push(scenario);
+  });
+
+  return { scenarios, errors };
+}
@@ -0,0 +1,77 @@
+import {
+  DEFAULT_SCENARIOS,
+  scenarioShockFor,
+  applyScenario,
+  runScenario,
+  exportScenarioLibrary,
+  importScenarioLibrary,
+} from '../utils/scenarios';
+import { createMarginRules } from '../utils/margin-rules';
+
+describe('stress scenarios', () => {
+  const portfolio = {
+    cash: 15000,
+    marginUsed: 55000,
+    holdings: [
+      { ticker: 'AAPL', quantity: 100, marketValue: 17500, sector: 'Technology' },
+      { ticker: 'MSFT', quantity: 50, marketValue: 20000, sector: 'Technology' },
+      { ticker: 'JPM', quantity: 150, marketValue: 22500, sector: 'Financials' },
+      { ticker: 'XOM', quantity: 200, marketValue: 24000, sector: 'Energy' },
+    ],
+  };
+  const flatRules = createMarginRules(0.5, 0.25);
+  const byId = id => DEFAULT_SCENARIOS.find(s => s.id === id);
+
+  it('prefers ticker shocks over sector shocks over the market shock', () => {
+    const scenario = { marketShock: -0.1, sectorShocks: { Technology: -0.2 }, tickerShocks: { AAPL: -0.5 } };
+    expect(scenarioShockFor(scenario, portfolio.holdings[0])).toBe(-0.5);
+    expect(scenarioShockFor(scenario, portfolio.holdings[1])).toBe(-0.2);
+    expect(scenarioShockFor(scenario, portfolio.holdings[2])).toBe(-0.1);
+    expect(scenarioShockFor(scenario, { ticker: 'AAPL  261218P00170000', underlying: 'AAPL', sector: 'Technology' })).toBe(-0.5);
+  });
+
+  it('shocks cash and margin loan balances', () => {
+    const stressed = applyScenario(portfolio, { marketShock: 0, cashChange: -0.2, marginUsedChange: 0.1 });
+    expect(stressed.cash).toBeCloseTo(12000);
+    expect(stressed.marginUsed).toBeCloseTo(60500);
+    expect(stressed.holdings[0].marketValue).toBeCloseTo(17500);
+  });
+
+  it('reports excess liquidity and margin health after a sector shock', () => {
+    const result = runScenario(portfolio, byId('energy-down-40'), flatRules);
+    expect(result.metrics.marketValue).toBe('74400.00');
+    expect(result.metrics.excessLiquidity).toBe('15800.00');
+    expect(result.metrics.marginHealth).toBe('45.93');
+    expect(result.nlvChange).toBeCloseTo(-9600);
+    expect(result.breachesMaintenance).toBe(false);
+  });
+
+  it('flags scenarios that breach maintenance', () => {
+    const result = runScenario(portfolio, byId('2008-replay'), flatRules);
+    expect(result.metrics.marketValue).toBe('39375.00');
+    expect(result.breachesMaintenance).toBe(true);
+    expect(runScenario(null, byId('2008-replay'))).toBeNull();
+  });
+
+  it('round-trips the library through JSON', () => {
+    const { scenarios, errors } = importScenarioLibrary(exportScenarioLibrary(DEFAULT_SCENARIOS));
+    expect(errors).toEqual([]);
+    expect(scenarios).toEqual(DEFAULT_SCENARIOS);
+  });
+
+  it('drops invalid scenarios and reports why', () => {
+    const text = JSON.stringify([
+      { name: 'Chip selloff', tickerShocks: { NVDA: -0.3 } },
+      { name: 'Bad shock', marketShock: -1.5 },
+      { sectorShocks: { Energy: -0.2 } },
+      { name: 'Bad sector', sectorShocks: { Energy: 'down' } },
+    ]);
+    const { scenarios, errors } = importScenarioLibrary(text);
+    expect(scenarios).toHaveLength(1);
+    expect(scenarios[0]).toMatchObject({ id: 'chip-selloff', marketShock: 0, tickerShocks: { NVDA: -0.3 }, sectorShocks: {} });
+    expect(errors).toHaveLength(3);
+    expect(errors[2]).toMatch(/Bad sector/);
+    expect(importScenarioLibrary('not json').errors[0]).toMatch(/not valid JSON/);
+    expect(importScenarioLibrary('{"version":1}').errors[0]).toMatch(/scenarios/);
+  });
+});
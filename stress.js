@@ -1,21 +1,24 @@
 import { calculateAllMetrics } from './metrics';
+import { shockHolding } from './options';
+import { createRandom, randomNormal } from './risk';
+import { DEFAULT_BASE_CURRENCY, portfolioCurrencies, shockFxRates, toBaseCurrency } from './fx';
 
 /**
  * Runs a single stress scenario by applying a market drop percentage.
+ * Option holdings are repriced with Black-Scholes at the dropped underlying price.
  *
  * @param {object} portfolio - The original portfolio object.
  * @param {number} dropPercent - The percentage drop to apply to holdings.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @param {object} [pricing] - Option valuation inputs (asOf, rate), as for shockHolding.
  * @returns {object} The new portfolio metrics after the drop.
  */
-export function runSingleScenario(portfolio, dropPercent) {
+export function runSingleScenario(portfolio, dropPercent, marginRules = null, pricing = {}) {
   if (!portfolio || !portfolio.holdings) return {};
-  const stressedHoldings = portfolio.holdings.map(h => ({
-    ...h,
-    marketValue: h.marketValue * (1 - dropPercent),
-  }));
+  const stressedHoldings = portfolio.holdings.map(h => shockHolding(h, -dropPercent, pricing));
 
   const stressedPortfolio = { ...portfolio, holdings: stressedHoldings };
-  return calculateAllMetrics(stressedPortfolio);
+  return calculateAllMetrics(stressedPortfolio, 0.5, 0.25, marginRules);
 }
 
 /**
@@ -26,22 +29,22 @@ export function runSingleScenario(portfolio, dropPercent) {
  * @param {number} timeHorizonDays - The time horizon in days.
  * @param {number} [dailyVolatility=0.02] - Assumed average daily market volatility.
  * @param {number} [simulations=1000] - Number of simulations to run.
+ * @param {number} [seed=42] - Seed for the random draws, so repeated calls give the same VaR.
  * @returns {object} An object containing the VaR.
  */
-export function calculateVaR(portfolio, confidenceLevel, timeHorizonDays, dailyVolatility = 0.02, simulations = 1000) {
+export function calculateVaR(portfolio, confidenceLevel, timeHorizonDays, dailyVolatility = 0.02, simulations = 1000, seed = 42) {
     if (!portfolio || !portfolio.holdings) return { VaR: "0.00" };
     const marketValue = portfolio.holdings.reduce((acc, h) => acc + h.marketValue, 0);
     if (marketValue === 0) {
         return { VaR: "0.00", confidenceLevel: `${confidenceLevel * 100}%`, timeHorizon: `${timeHorizonDays} day(s)` };
     }
 
+    const random = createRandom(seed);
     const losses = [];
     for (let i = 0; i < simulations; i++) {
         let simMarketValue = marketValue;
         for (let t = 0; t < timeHorizonDays; t++) {
-            const u1 = Math.random();
-            const u2 = Math.random();
-            const z = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+            const z = randomNormal(random);
             simMarketValue *= (1 + z * dailyVolatility);
         }
         losses.push(marketValue - simMarketValue);
@@ -59,25 +62,33 @@ export function calculateVaR(portfolio, confidenceLevel, timeHorizonDays, dailyV
 }
 
 /**
- * Determines the market drop percentage at which a margin call would be triggered.
+ * Determines the market drop percentage at which a margin call would be triggered: the point
+ * where the market value, less the net debit (margin used beyond cash), no longer covers the
+ * maintenance requirement. With margin rules, the portfolio's blended maintenance rate is used.
  *
  * @param {object} portfolio - The portfolio object.
  * @param {number} [maintMarginReq=0.25] - Maintenance margin requirement.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
  * @returns {object} The margin call threshold as a percentage and value.
  */
-export function getMarginCallThreshold(portfolio, maintMarginReq = 0.25) {
+export function getMarginCallThreshold(portfolio, maintMarginReq = 0.25, marginRules = null) {
     if (!portfolio || !portfolio.holdings) return { dropPercentage: "N/A", marketValueDrop: "N/A" };
+    portfolio = toBaseCurrency(portfolio);
     const marketValue = portfolio.holdings.reduce((acc, h) => acc + h.marketValue, 0);
-    const metrics = calculateAllMetrics(portfolio, 0.5, maintMarginReq);
-    const nlv = parseFloat(metrics.netLiquidationValue);
+    const metrics = calculateAllMetrics(portfolio, 0.5, maintMarginReq, marginRules);
+    const effectiveMaintReq = marketValue > 0 ? parseFloat(metrics.maintenanceMargin) / marketValue : maintMarginReq;
 
-    const marginLoan = marketValue + portfolio.cash - nlv;
+    // Cash offsets the margin loan, so only the net debit has to be covered
+    const netDebit = Math.max(0, portfolio.marginUsed - portfolio.cash);
 
-    if (marginLoan <= 0 || marketValue === 0) {
+    if (netDebit === 0 || marketValue === 0) {
         return { dropPercentage: "N/A", marketValueDrop: "N/A" };
     }
 
-    const thresholdMarketValue = marginLoan / (1 - maintMarginReq);
+    if (effectiveMaintReq >= 1) {
+        return { dropPercentage: "0.00", marketValueDrop: "0.00" };
+    }
+    const thresholdMarketValue = netDebit / (1 - effectiveMaintReq);
 
     if (marketValue <= thresholdMarketValue) {
         return { dropPercentage: "0.00", marketValueDrop: "0.00" };
@@ -92,13 +103,58 @@ export function getMarginCallThreshold(portfolio, maintMarginReq = 0.25) {
     };
 }
 
+/**
+ * Builds FX shock scenarios for each foreign currency in the portfolio, named from the base
+ * currency's point of view: "USD +10% vs EUR" means the euro is worth 1/1.1 as many dollars.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {Array<number>} [moves=[0.1, -0.1]] - Moves in the base currency against each foreign one.
+ * @returns {Array<object>} { name, shocks } per scenario, with shocks as for shockFxRates;
+ *   a final scenario moves every foreign currency at once when there are several.
+ */
+export function buildFxShockScenarios(portfolio, moves = [0.1, -0.1]) {
+  if (!portfolio || !portfolio.holdings) return [];
+  const base = portfolio.baseCurrency || DEFAULT_BASE_CURRENCY;
+  const foreign = portfolioCurrencies(portfolio).filter(c => c !== base);
+  const label = move => `${base} ${move > 0 ? '+' : ''}${(move * 100).toFixed(0)}%`;
+
+  return moves.flatMap(move => {
+    const shock = 1 / (1 + move) - 1;
+    const single = foreign.map(currency => ({ name: `${label(move)} vs ${currency}`, shocks: { [currency]: shock } }));
+    if (foreign.length < 2) return single;
+    return [...single, { name: `${label(move)} vs all`, shocks: Object.fromEntries(foreign.map(c => [c, shock])) }];
+  });
+}
+
+/**
+ * Runs an FX shock scenario.
+ *
+ * @param {object} portfolio - The portfolio object, with fxRates.
+ * @param {object} shocks - Map of currency to the fractional change in its value in base currency.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @returns {object} The metrics after the shock and the change in excess liquidity.
+ */
+export function runFxShock(portfolio, shocks, marginRules = null) {
+  if (!portfolio || !portfolio.holdings) return {};
+  const before = calculateAllMetrics(portfolio, 0.5, 0.25, marginRules);
+  const metrics = calculateAllMetrics(shockFxRates(portfolio, shocks), 0.5, 0.25, marginRules);
+  return {
+    ...metrics,
+    excessLiquidityChange: (parseFloat(metrics.excessLiquidity) - parseFloat(before.excessLiquidity)).toFixed(2),
+  };
+}
+
 /**
  * Performs a basic correlation analysis based on sector concentration.
  *
  * @param {Array<object>} holdings - The portfolio holdings.
+ * @param {object} [thresholds] - Top-sector share of market value, in percent, above which
+ *   concentration is reported.
+ * @param {number} [thresholds.high=75] - Reported as high concentration risk.
+ * @param {number} [thresholds.moderate=65] - Reported as moderate concentration risk.
  * @returns {string} A descriptive analysis of portfolio concentration.
  */
-export function analyzeCorrelation(holdings) {
+export function analyzeCorrelation(holdings, { high = 75, moderate = 65 } = {}) {
     if (!holdings || holdings.length === 0) return "No assets to analyze.";
     const totalMarketValue = holdings.reduce((acc, h) => acc + (h.marketValue || 0), 0);
     if (totalMarketValue === 0) return "No market value to analyze.";
@@ -114,10 +170,10 @@ export function analyzeCorrelation(holdings) {
     const topSector = sortedSectors[0];
     const topSectorConcentration = (topSector[1] / totalMarketValue) * 100;
 
-    if (topSectorConcentration > 50) {
+    if (topSectorConcentration > high) {
         return `High concentration risk: ${topSectorConcentration.toFixed(1)}% in ${topSector[0]}.`;
     }
-    if (topSectorConcentration > 30) {
+    if (topSectorConcentration > moderate) {
         return `Moderate concentration risk: ${topSectorConcentration.toFixed(1)}% in ${topSector[0]}.`;
     }
 
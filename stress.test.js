@@ -1,4 +1,5 @@
-import { runSingleScenario, calculateVaR, getMarginCallThreshold, analyzeCorrelation } from '../utils/stress';
+import { runSingleScenario, calculateVaR, getMarginCallThreshold, analyzeCorrelation, buildFxShockScenarios, runFxShock } from '../utils/stress';
+import { DEFAULT_MARGIN_RULES } from '../utils/margin-rules';
 
 describe('stress testing utilities', () => {
   const mockPortfolio = {
@@ -22,7 +23,10 @@ describe('stress testing utilities', () => {
 
   it('getMarginCallThreshold calculates correctly', () => {
     const threshold = getMarginCallThreshold(mockPortfolio);
-    expect(parseFloat(threshold.dropPercentage)).toBeCloseTo(37.50);
+    // Net debit is 40000 - 10000 = 30000, covered until market value falls to 30000 / 0.75 = 40000
+    expect(parseFloat(threshold.dropPercentage)).toBeCloseTo(50);
+    expect(parseFloat(runSingleScenario(mockPortfolio, 0.5).excessLiquidity)).toBeCloseTo(0);
+    expect(getMarginCallThreshold({ ...mockPortfolio, cash: 40000 }).dropPercentage).toBe("N/A");
     expect(getMarginCallThreshold({ ...mockPortfolio, marginUsed: 0 }).dropPercentage).toBe("N/A");
     expect(getMarginCallThreshold(null).dropPercentage).toBe("N/A");
   });
@@ -33,4 +37,56 @@ describe('stress testing utilities', () => {
     const diversified = [{ marketValue: 40000, sector: 'Tech' }, { marketValue: 60000, sector: 'Finance' }];
     expect(analyzeCorrelation(diversified)).toBe('Portfolio appears reasonably diversified across sectors.');
   });
-});
\ No newline at end of file
+
+  it('applies margin rules to stressed prices and the margin call threshold', () => {
+    const portfolio = {
+      cash: 0,
+      marginUsed: 10000,
+      holdings: [
+        { ticker: 'LOW', quantity: 5000, marketValue: 30000, sector: 'Energy' },
+        { ticker: 'KO', quantity: 1000, marketValue: 70000, sector: 'Staples' },
+      ],
+    };
+    // LOW falls from $6 to $3 a share and moves into the 50% low-price tier
+    const stressed = runSingleScenario(portfolio, 0.5, DEFAULT_MARGIN_RULES);
+    expect(stressed.marginBreakdown[0].maintenanceRate).toBe(0.5);
+    expect(stressed.maintenanceMargin).toBe("19750.00");
+
+    const threshold = getMarginCallThreshold(portfolio, 0.25, DEFAULT_MARGIN_RULES);
+    // Blended maintenance rate is (30000 * 25% + 70000 * 35%) / 100000 = 32%
+    expect(parseFloat(threshold.dropPercentage)).toBeCloseTo(85.29);
+  });
+
+  it('shocks FX rates and reports the change in excess liquidity', () => {
+    const portfolio = {
+      baseCurrency: 'USD',
+      fxRates: { base: 'USD', rates: { EUR: 1.085, CAD: 1 / 1.36 } },
+      cashBalances: { USD: -20000, EUR: -10000, CAD: 6800 },
+      holdings: [
+        { ticker: 'AAPL', marketValue: 17500, currency: 'USD' },
+        { ticker: 'SAP', marketValue: 10000, currency: 'EUR' },
+        { ticker: 'RY', marketValue: 13600, currency: 'CAD' },
+      ],
+    };
+    const scenarios = buildFxShockScenarios(portfolio);
+    expect(scenarios.map(s => s.name)).toEqual([
+      'USD +10% vs EUR', 'USD +10% vs CAD', 'USD +10% vs all',
+      'USD -10% vs EUR', 'USD -10% vs CAD', 'USD -10% vs all',
+    ]);
+    expect(scenarios[0].shocks.EUR).toBeCloseTo(1 / 1.1 - 1);
+    expect(buildFxShockScenarios({ cash: 0, marginUsed: 0, holdings: [] })).toEqual([]);
+
+    // The euro position is financed in euros, so only its margin requirement moves.
+    expect(runFxShock(portfolio, scenarios[0].shocks).excessLiquidityChange).toBe("246.59");
+    // The Canadian position and cash are unhedged: CAD 20,400 loses a tenth of its dollar value.
+    const cadShock = runFxShock(portfolio, scenarios[1].shocks);
+    expect(cadShock.netLiquidationValue).toBe("11136.36");
+    expect(cadShock.excessLiquidityChange).toBe("-1136.36");
+  });
+
+  it('reports concentration against configurable thresholds', () => {
+    const holdings = [{ marketValue: 40000, sector: 'Tech' }, { marketValue: 60000, sector: 'Finance' }];
+    expect(analyzeCorrelation(holdings, { high: 70, moderate: 65 })).toBe('Portfolio appears reasonably diversified across sectors.');
+    expect(analyzeCorrelation(holdings, { high: 70, moderate: 55 })).toBe('Moderate concentration risk: 60.0% in Finance.');
+  });
+});
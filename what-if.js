@@ -0,0 +1,196 @@
+import { calculateAllMetrics } from './metrics';
+import { getMarginCallThreshold, analyzeCorrelation } from './stress';
+import { toBaseCurrency } from './fx';
+
+export const TRADE_TYPES = ['buy', 'sell', 'option', 'transfer'];
+
+// Upper bound for the affordable-quantity search.
+const MAX_SEARCH_QUANTITY = 1e9;
+
+/**
+ * Moves cash in or out of the account. Money coming in pays down the margin loan first;
+ * money going out comes from cash first and is borrowed beyond that.
+ */
+function settle(account, amount) {
+  if (amount >= 0) {
+    const repaid = Math.min(account.marginUsed, amount);
+    return { ...account, marginUsed: account.marginUsed - repaid, cash: account.cash + amount - repaid };
+  }
+  const fromCash = Math.min(account.cash, -amount);
+  return { ...account, cash: account.cash - fromCash, marginUsed: account.marginUsed - amount - fromCash };
+}
+
+const isSameOption = (h, trade) => h.underlying === trade.underlying && h.right === trade.right
+  && h.strike === trade.strike && h.expiry === trade.expiry;
+
+function applyTrade(account, trade) {
+  const commission = trade.commission || 0;
+  const quantity = trade.quantity;
+  const index = trade.type === 'option'
+    ? account.holdings.findIndex(h => isSameOption(h, trade))
+    : account.holdings.findIndex(h => h.ticker === trade.ticker && !h.right);
+  const existing = account.holdings[index];
+
+  if (trade.type === 'transfer') {
+    if (typeof trade.amount !== 'number' || trade.amount === 0) return { error: 'Transfer needs a non-zero amount.' };
+    return { account: settle(account, trade.amount) };
+  }
+  if (!(quantity > 0) && trade.type !== 'option') return { error: `${trade.ticker}: quantity must be positive.` };
+  if (!(trade.price >= 0)) return { error: `${trade.ticker || trade.underlying}: price must be zero or more.` };
+
+  if (trade.type === 'buy') {
+    const value = quantity * trade.price;
+    const holding = existing
+      ? {
+        ...existing,
+        quantity: existing.quantity + quantity,
+        marketValue: existing.marketValue + value,
+        costBasis: (existing.costBasis || 0) + value + commission,
+        annualDividend: (existing.annualDividend || 0) * ((existing.quantity + quantity) / existing.quantity),
+      }
+      : { ticker: trade.ticker, quantity, marketValue: value, costBasis: value + commission, annualDividend: 0, sector: trade.sector || 'Uncategorized' };
+    const holdings = existing ? account.holdings.map((h, i) => (i === index ? holding : h)) : [...account.holdings, holding];
+    return { account: settle({ ...account, holdings }, -(value + commission)) };
+  }
+
+  if (trade.type === 'sell') {
+    if (!existing || existing.quantity < quantity) return { error: `Cannot sell ${quantity} ${trade.ticker}: only ${existing ? existing.quantity : 0} held.` };
+    const remaining = existing.quantity - quantity;
+    const holdings = account.holdings
+      .map((h, i) => (i === index ? {
+        ...h,
+        quantity: remaining,
+        marketValue: h.marketValue * (remaining / h.quantity),
+        costBasis: (h.costBasis || 0) * (remaining / h.quantity),
+        annualDividend: (h.annualDividend || 0) * (remaining / h.quantity),
+      } : h))
+      .filter(h => h.quantity !== 0);
+    return { account: settle({ ...account, holdings }, quantity * trade.price - commission) };
+  }
+
+  if (trade.type === 'option') {
+    if (!trade.underlying || !['C', 'P'].includes(trade.right) || !(trade.strike > 0) || !trade.expiry || !quantity) {
+      return { error: 'Option trades need an underlying, right, strike, expiry and a non-zero quantity.' };
+    }
+    const multiplier = trade.multiplier || 100;
+    // Positive quantities buy contracts, negative ones sell (write) them.
+    const premium = quantity * trade.price * multiplier;
+    const stock = account.holdings.find(h => h.ticker === trade.underlying && !h.right);
+    const newQuantity = (existing ? existing.quantity : 0) + quantity;
+    const leg = {
+      ...(existing || {
+        ticker: `${trade.underlying} ${trade.expiry} ${trade.strike}${trade.right}`,
+        underlying: trade.underlying,
+        right: trade.right,
+        strike: trade.strike,
+        expiry: trade.expiry,
+        multiplier,
+        costBasis: 0,
+        annualDividend: 0,
+        assetClass: 'OPT',
+        sector: stock ? stock.sector : 'Uncategorized',
+        ...(stock && stock.quantity && { underlyingPrice: stock.marketValue / stock.quantity }),
+      }),
+      quantity: newQuantity,
+      marketValue: newQuantity * trade.price * multiplier,
+    };
+    leg.costBasis = (leg.costBasis || 0) + premium + commission;
+    const holdings = existing
+      ? account.holdings.map((h, i) => (i === index ? leg : h)).filter(h => h.quantity !== 0)
+      : [...account.holdings, leg];
+    return { account: settle({ ...account, holdings }, -(premium + commission)) };
+  }
+
+  return { error: `Unknown trade type '${trade.type}'.` };
+}
+
+/**
+ * Applies hypothetical trades to a copy of a portfolio, in order. Trades are priced in the base
+ * currency; a multi-currency portfolio is converted first.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {Array<object>} trades - Trades: { type: 'buy' | 'sell', ticker, quantity, price, commission? },
+ *   { type: 'option', underlying, right, strike, expiry, quantity (negative to write), price, multiplier? }
+ *   or { type: 'transfer', amount } with a negative amount for a withdrawal.
+ * @returns {object} { portfolio, errors }; trades with errors are skipped.
+ */
+export function applyTrades(portfolio, trades) {
+  if (!portfolio || !portfolio.holdings) return { portfolio, errors: [] };
+  const errors = [];
+  const base = toBaseCurrency(portfolio);
+  const account = (trades || []).reduce((current, trade) => {
+    const result = applyTrade(current, trade);
+    if (result.error) {
+      errors.push(result.error);
+      return current;
+    }
+    return result.account;
+  }, { ...base, cash: base.cash || 0, marginUsed: base.marginUsed || 0 });
+  return { portfolio: account, errors };
+}
+
+function accountView(portfolio, marginRules) {
+  return {
+    metrics: calculateAllMetrics(portfolio, 0.5, 0.25, marginRules),
+    marginCall: getMarginCallThreshold(portfolio, 0.25, marginRules),
+    concentration: analyzeCorrelation(portfolio.holdings),
+  };
+}
+
+/**
+ * Compares an account before and after hypothetical trades.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {Array<object>} trades - Trades, as for applyTrades.
+ * @param {object} [marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @returns {object} { before, after, portfolio, errors } where before and after hold the metrics,
+ *   the margin call threshold and the concentration analysis.
+ */
+export function compareTrades(portfolio, trades, marginRules = null) {
+  if (!portfolio || !portfolio.holdings) return null;
+  const result = applyTrades(portfolio, trades);
+  return {
+    before: accountView(toBaseCurrency(portfolio), marginRules),
+    after: accountView(result.portfolio, marginRules),
+    portfolio: result.portfolio,
+    errors: result.errors,
+  };
+}
+
+/**
+ * The largest whole quantity of a ticker that can be bought on margin while margin health
+ * stays at or above a floor. Found by doubling and then bisecting, since margin health falls
+ * as the position grows.
+ *
+ * @param {object} portfolio - The portfolio object.
+ * @param {string} ticker - The ticker to buy.
+ * @param {number} price - The price per share.
+ * @param {object} [options] - Search options.
+ * @param {number} [options.minMarginHealth=25] - The margin health floor, in percent.
+ * @param {object} [options.marginRules] - Per-position margin rule set passed to calculateAllMetrics.
+ * @param {number} [options.commission=0] - Commission for the trade.
+ * @param {Array<object>} [options.trades=[]] - Trades to apply before the buy.
+ * @returns {number} The quantity; 0 when not even one share fits.
+ */
+export function maxAffordableQuantity(portfolio, ticker, price, { minMarginHealth = 25, marginRules = null, commission = 0, trades = [] } = {}) {
+  if (!portfolio || !portfolio.holdings || !ticker || !(price > 0)) return 0;
+  const fits = quantity => {
+    const { portfolio: after } = applyTrades(portfolio, [...trades, { type: 'buy', ticker, quantity, price, commission }]);
+    const metrics = calculateAllMetrics(after, 0.5, 0.25, marginRules);
+    return parseFloat(metrics.netLiquidationValue) > 0 && parseFloat(metrics.marginHealth) >= minMarginHealth;
+  };
+
+  if (!fits(1)) return 0;
+  let low = 1;
+  let high = 2;
+  while (high < MAX_SEARCH_QUANTITY && fits(high)) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (fits(middle)) low = middle;
+    else high = middle;
+  }
+  return low;
+}
@@ -0,0 +1,69 @@
+import { applyTrades, compareTrades, maxAffordableQuantity } from '../utils/what-if';
+
+describe('trade what-if', () => {
+  const portfolio = {
+    cash: 5000,
+    marginUsed: 0,
+    holdings: [
+      { ticker: 'AAPL', quantity: 100, marketValue: 17500, costBasis: 15000, annualDividend: 92, sector: 'Technology' },
+      { ticker: 'JPM', quantity: 150, marketValue: 22500, costBasis: 20000, annualDividend: 630, sector: 'Financials' },
+    ],
+  };
+
+  it('buys with cash first and borrows the rest', () => {
+    const { portfolio: after, errors } = applyTrades(portfolio, [
+      { type: 'buy', ticker: 'AAPL', quantity: 100, price: 175, commission: 1 },
+      { type: 'buy', ticker: 'KO', quantity: 10, price: 60, sector: 'Consumer Staples' },
+    ]);
+    expect(errors).toEqual([]);
+    expect(after.cash).toBe(0);
+    expect(after.marginUsed).toBe(12501 + 600);
+    expect(after.holdings[0]).toMatchObject({ quantity: 200, marketValue: 35000, costBasis: 32501, annualDividend: 184 });
+    expect(after.holdings[2]).toEqual({ ticker: 'KO', quantity: 10, marketValue: 600, costBasis: 600, annualDividend: 0, sector: 'Consumer Staples' });
+    expect(portfolio.holdings[0].quantity).toBe(100);
+  });
+
+  it('sells into the loan first and moves cash in and out', () => {
+    const { portfolio: after, errors } = applyTrades({ ...portfolio, cash: 0, marginUsed: 10000 }, [
+      { type: 'sell', ticker: 'JPM', quantity: 150, price: 160 },
+      { type: 'transfer', amount: -20000 },
+      { type: 'sell', ticker: 'AAPL', quantity: 500, price: 175 },
+      { type: 'transfer', amount: 0 },
+    ]);
+    expect(after.holdings.map(h => h.ticker)).toEqual(['AAPL']);
+    expect(after.marginUsed).toBe(6000);
+    expect(after.cash).toBe(0);
+    expect(errors).toEqual(['Cannot sell 500 AAPL: only 100 held.', 'Transfer needs a non-zero amount.']);
+  });
+
+  it('opens and closes option legs priced off the underlying', () => {
+    const put = { type: 'option', underlying: 'AAPL', right: 'P', strike: 170, expiry: '2026-12-18', price: 5.5 };
+    const { portfolio: opened } = applyTrades(portfolio, [{ ...put, quantity: -2 }]);
+    expect(opened.cash).toBe(6100);
+    expect(opened.holdings[2]).toMatchObject({ underlying: 'AAPL', quantity: -2, marketValue: -1100, multiplier: 100, underlyingPrice: 175, sector: 'Technology' });
+
+    const { portfolio: closed } = applyTrades(opened, [{ ...put, quantity: 2, price: 3 }]);
+    expect(closed.holdings).toHaveLength(2);
+    expect(closed.cash).toBe(5500);
+    expect(applyTrades(portfolio, [{ ...put, right: 'X', quantity: 1 }]).errors[0]).toMatch(/underlying, right, strike/);
+  });
+
+  it('compares metrics, margin call distance and concentration before and after', () => {
+    const comparison = compareTrades({ ...portfolio, marginUsed: 20000 }, [{ type: 'buy', ticker: 'JPM', quantity: 200, price: 150 }]);
+    expect(comparison.before.metrics.netLiquidationValue).toBe('25000.00');
+    expect(comparison.after.metrics.netLiquidationValue).toBe('25000.00');
+    expect(parseFloat(comparison.after.metrics.leverage)).toBeGreaterThan(parseFloat(comparison.before.metrics.leverage));
+    expect(parseFloat(comparison.after.marginCall.dropPercentage)).toBeLessThan(parseFloat(comparison.before.marginCall.dropPercentage));
+    expect(comparison.after.concentration).toMatch(/Financials/);
+    expect(compareTrades(null, [])).toBeNull();
+  });
+
+  it('finds the largest buy that keeps margin health above a floor', () => {
+    const quantity = maxAffordableQuantity(portfolio, 'KO', 50, { minMarginHealth: 25 });
+    const health = q => parseFloat(compareTrades(portfolio, [{ type: 'buy', ticker: 'KO', quantity: q, price: 50 }]).after.metrics.marginHealth);
+    expect(health(quantity)).toBeGreaterThanOrEqual(25);
+    expect(health(quantity + 1)).toBeLessThan(25);
+    expect(maxAffordableQuantity(portfolio, 'KO', 50, { minMarginHealth: 100 })).toBe(0);
+    expect(maxAffordableQuantity(portfolio, 'KO', 0)).toBe(0);
+  });
+});